@@ -0,0 +1,658 @@
+#!/usr/bin/env node
+// Headless Klyppr: runs the same pipeline as the app, without Electron or a display.
+//
+//   klyppr --input a.mp4 --out dir --silence-db -40 --padding 0.06 --normalize
+//
+// Exit codes: 0 success, 1 processing failed, 2 bad usage, 3 ffmpeg/ffprobe missing,
+// 130 cancelled (Ctrl+C).
+
+const path = require('path');
+const os = require('os');
+const readline = require('readline');
+const fs = require('fs-extra');
+const { execFile } = require('child_process');
+const pipeline = require('./pipeline');
+const { version } = require('./package.json');
+
+const EXIT = {
+    OK: 0,
+    FAILED: 1,
+    USAGE: 2,
+    NO_FFMPEG: 3,
+    CANCELLED: 130
+};
+
+const QUALITY_PRESETS = ['lossless', 'high', 'medium', 'fast'];
+
+const USAGE = `Usage: klyppr --input <file> [--input <file> ...] --out <dir> [options]
+
+Options:
+  -i, --input <file>       Input video or audio file (repeatable; bare arguments are inputs too)
+  -o, --out <dir>          Output folder (created if missing)
+      --subfolder <dir>    Write into this folder next to each input instead of --out
+      --name <template>    Output file name; tokens {name} {ext} {date} {preset}
+                           {silenceDb} {counter} (default ${pipeline.DEFAULT_OUTPUT_TEMPLATE})
+      --on-exists <mode>   ${pipeline.COLLISION_POLICIES.join(' | ')} — when the output exists
+                           (default increment: keep both; ask needs a terminal)
+      --silence-db <dB>    Silence threshold (default -40)
+      --min-silence <sec>  Minimum silence duration (default 0.2)
+      --padding <sec>      Padding kept around speech (default 0.06)
+      --padding-before <sec>
+                           Padding before speech starts (default: --padding)
+      --padding-after <sec>
+                           Padding after speech ends, for breaths (default: --padding)
+      --min-segment <sec>  Drop speech islands shorter than this between cuts (default off)
+      --min-cut <sec>      Leave pauses shorter than this in (default off)
+      --islands <mode>     ${pipeline.SHORT_ISLAND_MODES.join(' | ')} — cut short islands with the
+                           pauses around them, or join them to a neighbour (default merge)
+      --auto               Analyze the noise floor and choose threshold, min silence
+                           and padding per file (overrides --silence-db, --min-silence
+                           and --padding; --padding-before/--padding-after still apply)
+      --quality <preset>   ${QUALITY_PRESETS.join(' | ')} (default lossless)
+      --format <profile>   Output container/codecs (default source = same as input):
+                           ${Object.keys(pipeline.OUTPUT_PROFILES).join(' | ')}
+      --normalize          Two-pass loudness normalization (default -16 LUFS, -1.5 dBTP)
+      --loudness <target>  ${Object.keys(pipeline.LOUDNESS_TARGETS).join(' | ')} | custom
+                           (implies --normalize)
+      --lufs <LUFS>        Custom integrated loudness; with --true-peak <dBTP> and
+                           --lra <LU> (implies --loudness custom)
+      --highpass <Hz>      Voice cleanup: cut hum/rumble below this frequency
+      --denoise <mode>     Voice cleanup: afftdn | arnndn (RNNoise model; falls back to afftdn)
+      --rnn-model <file>   RNNoise model for arnndn (default: $KLYPPR_RNN_MODEL or
+                           bin/models/voice.rnnn in a source checkout)
+      --deess <level>      Voice cleanup: ${Object.keys(pipeline.VOICE_DEESS).join(' | ')}
+      --dynamics <mode>    Voice cleanup: ${Object.keys(pipeline.VOICE_DYNAMICS).join(' | ')}
+      --clean-analysis     Detect silences on the cleaned-up signal too
+      --analyze-track <n>  Detect silences on audio track n only (1 = first; comma-separated
+                           tracks are mixed, e.g. 1,3); the output keeps every track
+      --analyze-channel <c> left | right — analyze one channel of a stereo track
+      --external-audio <file>
+                           Sync this recording (e.g. a WAV from an external recorder) to
+                           the input's audio by cross-correlation (single input only)
+      --external-mode <m>  ${pipeline.EXTERNAL_AUDIO_MODES.join(' | ')} — replace the input's audio, or add the
+                           recording as the first track and keep the rest (default replace)
+      --companion <file>   Cut this synchronized file (another camera, an external recorder)
+                           with the cuts detected on the single input (repeatable)
+      --offset <sec>       Where the input's 0:00 falls in the preceding --companion
+                           (negative when the companion started later; default 0)
+      --subtitles <file>   SRT/VTT/ASS file to retime (repeatable, single input only;
+                           default: a same-named .srt next to each input)
+      --mux-subtitles      Also embed the retimed subtitles as soft tracks
+      --max-pause <sec>    Shorten longer pauses to this length instead of removing them
+      --pause-keep <part>  ${pipeline.PAUSE_KEEP_MODES.join(' | ')} — part of a shortened pause to keep
+                           (default middle: its centre, cut on both sides without padding)
+      --speed-up <factor>  Fast-forward silences at this speed instead of cutting them
+      --speed-audio <mode> mute | atempo — audio during sped-up silences (default mute)
+      --chapters-at <sec>  Add a chapter after every removed pause this long
+      --fade <ms>          Fade the audio out/in at every cut (removes clicks)
+      --crossfade          Overlap neighbouring segments by the fade instead
+      --dissolve           Also dissolve the video across each cut (needs --fade)
+      --export <format>    Write a cut list instead of rendering:
+                           ${Object.keys(pipeline.EXPORT_FORMATS).join(' | ')}
+      --gpu                Use a hardware encoder when one is available
+      --parallel <n|auto>  Encode in n chunks on parallel workers (auto = per core)
+      --resumable          Keep progress in the output folder; running the same
+                           command again skips detection and loudness, and with
+                           --parallel encodes only the missing chunks
+      --smart              Smart render: stream-copy between cuts, re-encode only
+                           around them (H.264/HEVC; falls back to full re-encode)
+      --cache-dir <dir>    Analysis cache (default: $KLYPPR_CACHE_DIR or the user cache folder);
+                           re-runs that change only padding, pauses or quality skip detection
+      --no-cache           Analyze every file again and do not store the results
+      --cache-info         Show what the analysis cache holds (no input needed)
+      --clear-cache        Empty the analysis cache (no input needed)
+      --ffmpeg <path>      ffmpeg binary (default: $KLYPPR_FFMPEG, bundled, or PATH)
+      --ffprobe <path>     ffprobe binary (default: $KLYPPR_FFPROBE, bundled, or PATH)
+      --json               Machine-readable output (one JSON object per line)
+  -h, --help               Show this help
+  -v, --version            Show version`;
+
+// ============================================================================
+// ARGUMENT PARSING
+// ============================================================================
+
+class UsageError extends Error {}
+
+function parseNumber(flag, value) {
+    const n = parseFloat(value);
+    if (value == null || !isFinite(n)) throw new UsageError(`${flag} expects a number`);
+    return n;
+}
+
+// "1,3" (1-based, as users count tracks) → [0, 2]
+function parseTrackList(flag, value) {
+    const tracks = String(value).split(',').map(v => Number(v.trim()));
+    if (!tracks.length || tracks.some(n => !Number.isInteger(n) || n < 1)) {
+        throw new UsageError(`${flag} expects track numbers like 1 or 1,3`);
+    }
+    return tracks.map(n => n - 1);
+}
+
+function parseArgs(argv) {
+    const opts = {
+        inputs: [],
+        outputPath: null,
+        outputSubfolder: null,
+        outputTemplate: pipeline.DEFAULT_OUTPUT_TEMPLATE,
+        onCollision: 'increment',
+        silenceDb: -40,
+        minSilenceDuration: 0.2,
+        paddingDuration: 0.06,
+        paddingBefore: null,
+        paddingAfter: null,
+        minSegmentDuration: 0,
+        minGapDuration: 0,
+        islandMode: 'merge',
+        autoThreshold: false,
+        qualityPreset: 'lossless',
+        outputProfile: 'source',
+        normalizeAudio: false,
+        loudnessTarget: pipeline.DEFAULT_LOUDNESS_TARGET,
+        loudnessI: null,
+        loudnessTP: -1.5,
+        loudnessLRA: 11,
+        exportFormat: null,
+        useHardwareEncoder: false,
+        smartRender: false,
+        parallelChunks: 0,
+        resumable: false,
+        externalAudio: null,
+        externalAudioMode: 'replace',
+        companions: [],
+        subtitleFiles: [],
+        muxSubtitles: false,
+        chapterMinPause: 0,
+        fadeDuration: 0,
+        fadeMode: 'fade',
+        videoTransition: 'cut',
+        maxPause: null,
+        pauseKeep: 'middle',
+        silenceSpeed: null,
+        silenceAudio: 'mute',
+        voiceHighpass: null,
+        voiceDenoise: 'off',
+        voiceDeess: 'off',
+        voiceDynamics: 'off',
+        voiceCleanAnalysis: false,
+        analysisTracks: [],
+        analysisChannel: 'both',
+        rnnModel: null,
+        cacheDir: null,
+        useCache: true,
+        cacheInfo: false,
+        clearCache: false,
+        ffmpeg: null,
+        ffprobe: null,
+        json: false,
+        help: false,
+        version: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) throw new UsageError(`${arg} expects a value`);
+            return argv[++i];
+        };
+
+        switch (arg) {
+            case '-i': case '--input': opts.inputs.push(next()); break;
+            case '-o': case '--out': opts.outputPath = next(); break;
+            case '--subfolder': opts.outputSubfolder = next(); break;
+            case '--name': opts.outputTemplate = next(); break;
+            case '--on-exists': opts.onCollision = next(); break;
+            case '--silence-db': opts.silenceDb = parseNumber(arg, next()); break;
+            case '--min-silence': opts.minSilenceDuration = parseNumber(arg, next()); break;
+            case '--padding': opts.paddingDuration = parseNumber(arg, next()); break;
+            case '--padding-before': opts.paddingBefore = parseNumber(arg, next()); break;
+            case '--padding-after': opts.paddingAfter = parseNumber(arg, next()); break;
+            case '--min-segment': opts.minSegmentDuration = parseNumber(arg, next()); break;
+            case '--min-cut': opts.minGapDuration = parseNumber(arg, next()); break;
+            case '--islands': opts.islandMode = next(); break;
+            case '--auto': opts.autoThreshold = true; break;
+            case '--quality': opts.qualityPreset = next(); break;
+            case '--format': opts.outputProfile = next(); break;
+            case '--normalize': opts.normalizeAudio = true; break;
+            case '--loudness': opts.loudnessTarget = next(); opts.normalizeAudio = true; break;
+            case '--lufs': opts.loudnessI = parseNumber(arg, next()); break;
+            case '--true-peak': opts.loudnessTP = parseNumber(arg, next()); break;
+            case '--lra': opts.loudnessLRA = parseNumber(arg, next()); break;
+            case '--export': opts.exportFormat = next(); break;
+            case '--gpu': opts.useHardwareEncoder = true; break;
+            case '--smart': opts.smartRender = true; break;
+            case '--resumable': opts.resumable = true; break;
+            case '--parallel': opts.parallelChunks = next(); break;
+            case '--external-audio': opts.externalAudio = next(); break;
+            case '--external-mode': opts.externalAudioMode = next(); break;
+            case '--companion': opts.companions.push({ inputPath: next(), offset: 0 }); break;
+            case '--offset': {
+                const offset = parseNumber(arg, next());
+                if (!opts.companions.length) throw new UsageError('--offset must follow a --companion');
+                opts.companions[opts.companions.length - 1].offset = offset;
+                break;
+            }
+            case '--subtitles': opts.subtitleFiles.push(next()); break;
+            case '--mux-subtitles': opts.muxSubtitles = true; break;
+            case '--max-pause': opts.maxPause = parseNumber(arg, next()); break;
+            case '--pause-keep': opts.pauseKeep = next(); break;
+            case '--speed-up': opts.silenceSpeed = parseNumber(arg, next()); break;
+            case '--speed-audio': opts.silenceAudio = next(); break;
+            case '--chapters-at': opts.chapterMinPause = parseNumber(arg, next()); break;
+            case '--fade': opts.fadeDuration = parseNumber(arg, next()); break;
+            case '--crossfade': opts.fadeMode = 'crossfade'; break;
+            case '--dissolve': opts.videoTransition = 'dissolve'; break;
+            case '--highpass': opts.voiceHighpass = parseNumber(arg, next()); break;
+            case '--denoise': opts.voiceDenoise = next(); break;
+            case '--rnn-model': opts.rnnModel = next(); break;
+            case '--deess': opts.voiceDeess = next(); break;
+            case '--dynamics': opts.voiceDynamics = next(); break;
+            case '--clean-analysis': opts.voiceCleanAnalysis = true; break;
+            case '--analyze-track': opts.analysisTracks = parseTrackList(arg, next()); break;
+            case '--analyze-channel': opts.analysisChannel = next(); break;
+            case '--cache-dir': opts.cacheDir = next(); break;
+            case '--no-cache': opts.useCache = false; break;
+            case '--cache-info': opts.cacheInfo = true; break;
+            case '--clear-cache': opts.clearCache = true; break;
+            case '--ffmpeg': opts.ffmpeg = next(); break;
+            case '--ffprobe': opts.ffprobe = next(); break;
+            case '--json': opts.json = true; break;
+            case '-h': case '--help': opts.help = true; break;
+            case '-v': case '--version': opts.version = true; break;
+            default:
+                if (arg.startsWith('-')) throw new UsageError(`Unknown option: ${arg}`);
+                opts.inputs.push(arg);
+        }
+    }
+
+    if (opts.help || opts.version) return opts;
+    // Cache maintenance runs on its own
+    if ((opts.cacheInfo || opts.clearCache) && opts.inputs.length === 0) return opts;
+    if (opts.inputs.length === 0) throw new UsageError('No input file given');
+    if (!opts.outputPath && !opts.outputSubfolder) throw new UsageError('No output folder given (--out or --subfolder)');
+    if (!pipeline.COLLISION_POLICIES.includes(opts.onCollision)) {
+        throw new UsageError(`--on-exists must be one of: ${pipeline.COLLISION_POLICIES.join(', ')}`);
+    }
+    if (opts.onCollision === 'ask' && (!process.stdin.isTTY || opts.json)) {
+        throw new UsageError('--on-exists ask needs an interactive terminal (and no --json)');
+    }
+    if (!QUALITY_PRESETS.includes(opts.qualityPreset)) {
+        throw new UsageError(`--quality must be one of: ${QUALITY_PRESETS.join(', ')}`);
+    }
+    if (!pipeline.getOutputProfile(opts.outputProfile)) {
+        throw new UsageError(`--format must be one of: ${Object.keys(pipeline.OUTPUT_PROFILES).join(', ')}`);
+    }
+    if (opts.loudnessI != null) {
+        opts.loudnessTarget = 'custom';
+        opts.normalizeAudio = true;
+    }
+    if (opts.loudnessTarget !== 'custom' && !pipeline.LOUDNESS_TARGETS[opts.loudnessTarget]) {
+        throw new UsageError(`--loudness must be one of: ${Object.keys(pipeline.LOUDNESS_TARGETS).join(', ')}, custom`);
+    }
+    if (opts.loudnessTarget === 'custom' && opts.loudnessI == null) throw new UsageError('--loudness custom needs --lufs');
+    try {
+        pipeline.resolveLoudnessTarget(opts);
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+    if (opts.voiceHighpass != null && !(opts.voiceHighpass > 0)) throw new UsageError('--highpass must be greater than 0');
+    if (!pipeline.VOICE_DENOISERS.includes(opts.voiceDenoise)) {
+        throw new UsageError(`--denoise must be one of: ${pipeline.VOICE_DENOISERS.join(', ')}`);
+    }
+    if (opts.voiceDeess !== 'off' && !pipeline.VOICE_DEESS[opts.voiceDeess]) {
+        throw new UsageError(`--deess must be one of: ${Object.keys(pipeline.VOICE_DEESS).join(', ')}`);
+    }
+    if (opts.voiceDynamics !== 'off' && !pipeline.VOICE_DYNAMICS[opts.voiceDynamics]) {
+        throw new UsageError(`--dynamics must be one of: ${Object.keys(pipeline.VOICE_DYNAMICS).join(', ')}`);
+    }
+    if (!pipeline.ANALYSIS_CHANNELS.includes(opts.analysisChannel)) {
+        throw new UsageError(`--analyze-channel must be one of: ${pipeline.ANALYSIS_CHANNELS.join(', ')}`);
+    }
+    if (opts.exportFormat && !pipeline.EXPORT_FORMATS[opts.exportFormat]) {
+        throw new UsageError(`--export must be one of: ${Object.keys(pipeline.EXPORT_FORMATS).join(', ')}`);
+    }
+    if (opts.externalAudio && opts.inputs.length > 1) {
+        throw new UsageError('--external-audio can only be used with a single input');
+    }
+    if (!pipeline.EXTERNAL_AUDIO_MODES.includes(opts.externalAudioMode)) {
+        throw new UsageError(`--external-mode must be one of: ${pipeline.EXTERNAL_AUDIO_MODES.join(', ')}`);
+    }
+    if (opts.companions.length && opts.inputs.length > 1) {
+        throw new UsageError('--companion needs a single input to detect silences on');
+    }
+    if (opts.companions.length && opts.exportFormat) throw new UsageError('--companion cannot be combined with --export');
+    if (opts.subtitleFiles.length && opts.inputs.length > 1) {
+        throw new UsageError('--subtitles can only be used with a single input');
+    }
+    const badSubtitle = opts.subtitleFiles.find(file => !pipeline.SUBTITLE_EXTENSIONS.includes(path.extname(file).slice(1).toLowerCase()));
+    if (badSubtitle) {
+        throw new UsageError(`--subtitles expects ${pipeline.SUBTITLE_EXTENSIONS.join('/')} files: ${badSubtitle}`);
+    }
+    if (opts.silenceSpeed != null && opts.silenceSpeed <= 1) throw new UsageError('--speed-up must be greater than 1');
+    if (opts.maxPause != null && opts.maxPause < 0) throw new UsageError('--max-pause must not be negative');
+    if (opts.maxPause != null && opts.silenceSpeed != null) throw new UsageError('--max-pause and --speed-up cannot be combined');
+    if (!pipeline.PAUSE_KEEP_MODES.includes(opts.pauseKeep)) {
+        throw new UsageError(`--pause-keep must be one of: ${pipeline.PAUSE_KEEP_MODES.join(', ')}`);
+    }
+    if (!['mute', 'atempo'].includes(opts.silenceAudio)) throw new UsageError('--speed-audio must be mute or atempo');
+    if (opts.parallelChunks !== 0 && opts.parallelChunks !== 'auto' && !(parseInt(opts.parallelChunks, 10) >= 1)) {
+        throw new UsageError('--parallel expects a chunk count or auto');
+    }
+    if (opts.chapterMinPause < 0) throw new UsageError('--chapters-at must not be negative');
+    if (opts.fadeDuration < 0) throw new UsageError('--fade must not be negative');
+    if (!opts.fadeDuration && (opts.fadeMode === 'crossfade' || opts.videoTransition === 'dissolve')) {
+        throw new UsageError('--crossfade and --dissolve need --fade <ms>');
+    }
+    if (opts.minSilenceDuration <= 0) throw new UsageError('--min-silence must be greater than 0');
+    if (opts.paddingDuration < 0) throw new UsageError('--padding must not be negative');
+    if (opts.paddingBefore < 0) throw new UsageError('--padding-before must not be negative');
+    if (opts.paddingAfter < 0) throw new UsageError('--padding-after must not be negative');
+    if (opts.minSegmentDuration < 0) throw new UsageError('--min-segment must not be negative');
+    if (opts.minGapDuration < 0) throw new UsageError('--min-cut must not be negative');
+    if (!pipeline.SHORT_ISLAND_MODES.includes(opts.islandMode)) {
+        throw new UsageError(`--islands must be one of: ${pipeline.SHORT_ISLAND_MODES.join(', ')}`);
+    }
+    return opts;
+}
+
+// ============================================================================
+// FFMPEG LOOKUP
+// ============================================================================
+
+// Explicit flag → environment → binaries bundled next to the app → PATH.
+function resolveBinary(name, explicit) {
+    if (explicit) return explicit;
+    const envValue = process.env[`KLYPPR_${name.toUpperCase()}`];
+    if (envValue) return envValue;
+
+    const extension = process.platform === 'win32' ? '.exe' : '';
+    const platformDir = process.platform === 'win32' ? 'win' : 'mac';
+    const bundled = [
+        path.join(__dirname, 'bin', platformDir, `${name}${extension}`),
+        process.resourcesPath && path.join(process.resourcesPath, 'bin', `${name}${extension}`)
+    ].filter(Boolean);
+    return bundled.find(p => fs.existsSync(p)) || name;
+}
+
+// RNNoise model for --denoise arnndn: flag → environment → bin/models in a source checkout.
+// No model is bundled with the app.
+function resolveDenoiseModel(explicit) {
+    if (explicit) return explicit;
+    if (process.env.KLYPPR_RNN_MODEL) return process.env.KLYPPR_RNN_MODEL;
+    const local = path.join(__dirname, 'bin', 'models', 'voice.rnnn');
+    return fs.existsSync(local) ? local : null;
+}
+
+// Analysis cache: flag → environment → the platform's per-user cache folder.
+function resolveCacheDir(explicit) {
+    if (explicit) return path.resolve(explicit);
+    if (process.env.KLYPPR_CACHE_DIR) return process.env.KLYPPR_CACHE_DIR;
+    const home = os.homedir();
+    if (process.platform === 'win32') return path.join(process.env.LOCALAPPDATA || home, 'Klyppr', 'analysis-cache');
+    if (process.platform === 'darwin') return path.join(home, 'Library', 'Caches', 'Klyppr', 'analysis-cache');
+    return path.join(process.env.XDG_CACHE_HOME || path.join(home, '.cache'), 'klyppr', 'analysis-cache');
+}
+
+function checkBinary(binary) {
+    return new Promise((resolve) => {
+        execFile(binary, ['-version'], { timeout: 8000 }, (err) => resolve(!err));
+    });
+}
+
+// ============================================================================
+// REPORTING
+// ============================================================================
+
+// Stands in for the IPC `event` the pipeline replies to in the app.
+function createReporter(json) {
+    let lastPercent = -1;
+    let lastStatus = null;
+
+    const emit = (record) => process.stdout.write(JSON.stringify(record) + '\n');
+
+    return {
+        reply(channel, data) {
+            if (channel === 'log') {
+                if (json) emit({ type: 'log', message: data });
+                else console.log(data);
+            } else if (channel === 'progress') {
+                // Only print when the whole percent (or the phase) actually changes
+                const percent = Math.floor(data.percent || 0);
+                const phase = String(data.status).split(':')[0];
+                if (percent === lastPercent && phase === lastStatus) return;
+                lastPercent = percent;
+                lastStatus = phase;
+                if (json) emit({ type: 'progress', percent, status: data.status });
+                else console.log(`[${String(percent).padStart(3)}%] ${data.status}`);
+            }
+        },
+        result(record) {
+            if (json) emit({ type: 'result', ...record });
+        }
+    };
+}
+
+function formatCacheInfo(info, cleared) {
+    if (!info.dir) return 'Analysis cache is off';
+    const kinds = Object.entries(info.kinds).map(([kind, count]) => `${count} ${kind}`).join(', ');
+    return `${cleared ? 'Cleared the analysis cache' : 'Analysis cache'}: ${info.dir}\n` +
+        `${info.entries} entries${kinds ? ` (${kinds})` : ''}, ${(info.bytes / 1024).toFixed(1)} KB` +
+        (info.files.length ? `\nFiles: ${info.files.join(', ')}` : '');
+}
+
+// --on-exists ask: one question per existing output on the terminal.
+function askCollision(outputFile) {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+    return new Promise((resolve) => {
+        rl.question(`${outputFile} exists — [k]eep both, [o]verwrite or [s]kip? `, (answer) => {
+            rl.close();
+            const choice = String(answer).trim().toLowerCase()[0];
+            resolve(choice === 'o' ? 'overwrite' : choice === 's' ? 'skip' : 'increment');
+        });
+    });
+}
+
+// ============================================================================
+// CUT LIST EXPORT
+// ============================================================================
+
+// Analyze only, then write the decisions for an NLE instead of rendering.
+async function exportCutList(params, format, reporter) {
+    const analysis = await pipeline.analyzeJob(params, reporter);
+    if (!analysis) return null;
+    const outputDir = pipeline.getOutputDir(params);
+    await fs.ensureDir(outputDir);
+    return pipeline.writeCutList(params.inputPath, analysis.silenceRanges, format, outputDir);
+}
+
+// ============================================================================
+// SYNCED COMPANIONS
+// ============================================================================
+
+// Master and companions each get their own entry in `results`.
+async function processSynced(params, companions, reporter, results) {
+    const missing = [];
+    for (const companion of companions) {
+        if (!await fs.pathExists(companion.inputPath)) missing.push(companion.inputPath);
+    }
+    if (missing.length) throw new Error(`Companion not found: ${missing.join(', ')}`);
+
+    let fileStart = Date.now();
+    await pipeline.processSyncedJobs(params, companions, reporter, ({ inputPath, outputFile, error }) => {
+        if (error) {
+            results.push({ input: inputPath, output: null, success: false, error });
+        } else if (!outputFile) {
+            if (!pipeline.isProcessingCancelled()) results.push({ input: inputPath, output: null, success: true, skipped: true });
+        } else {
+            results.push({ input: inputPath, output: outputFile, success: true, seconds: (Date.now() - fileStart) / 1000 });
+            reporter.reply('log', `✅ ${outputFile}`);
+        }
+        fileStart = Date.now();
+    });
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+async function main(argv) {
+    let opts;
+    try {
+        opts = parseArgs(argv);
+    } catch (error) {
+        if (!(error instanceof UsageError)) throw error;
+        console.error(`klyppr: ${error.message}\n\n${USAGE}`);
+        return EXIT.USAGE;
+    }
+
+    if (opts.help) {
+        console.log(USAGE);
+        return EXIT.OK;
+    }
+    if (opts.version) {
+        console.log(version);
+        return EXIT.OK;
+    }
+
+    // Keep stdout pure JSON: pipeline diagnostics printed via console.log go to stderr
+    if (opts.json) console.log = (...args) => console.error(...args);
+
+    const reporter = createReporter(opts.json);
+    pipeline.setAnalysisCacheDir(opts.useCache ? resolveCacheDir(opts.cacheDir) : null);
+
+    if (opts.cacheInfo || opts.clearCache) {
+        const info = opts.clearCache ? await pipeline.clearAnalysisCache() : await pipeline.getAnalysisCacheInfo();
+        if (opts.inputs.length) {
+            reporter.reply('log', `🗂️ ${formatCacheInfo(info, opts.clearCache)}`);
+        } else {
+            if (opts.json) reporter.result({ success: true, cache: info });
+            else console.log(formatCacheInfo(info, opts.clearCache));
+            return EXIT.OK;
+        }
+    }
+    const ffmpeg = resolveBinary('ffmpeg', opts.ffmpeg);
+    const ffprobe = resolveBinary('ffprobe', opts.ffprobe);
+
+    for (const binary of [ffmpeg, ffprobe]) {
+        if (!await checkBinary(binary)) {
+            const message = `Cannot run ${binary} — install FFmpeg or pass --ffmpeg/--ffprobe`;
+            if (opts.json) reporter.result({ success: false, error: message });
+            else console.error(`klyppr: ${message}`);
+            return EXIT.NO_FFMPEG;
+        }
+    }
+    pipeline.setFFmpegPaths({ ffmpeg, ffprobe });
+    pipeline.setDenoiseModel(resolveDenoiseModel(opts.rnnModel));
+
+    if (opts.useHardwareEncoder) {
+        pipeline.setHardwareEncoder(await pipeline.detectHardwareEncoderAsync());
+    }
+
+    if (opts.outputPath) await fs.ensureDir(opts.outputPath);
+    if (opts.onCollision === 'ask') pipeline.setCollisionHandler(askCollision);
+
+    process.on('SIGINT', () => {
+        reporter.reply('log', '⚠️ Cancelling processing...');
+        pipeline.cancelActiveProcess();
+    });
+
+    const sharedParams = {
+        outputPath: opts.outputPath,
+        outputSubfolder: opts.outputSubfolder,
+        outputTemplate: opts.outputTemplate,
+        onCollision: opts.onCollision,
+        silenceDb: opts.silenceDb,
+        minSilenceDuration: opts.minSilenceDuration,
+        paddingDuration: opts.paddingDuration,
+        paddingBefore: opts.paddingBefore,
+        paddingAfter: opts.paddingAfter,
+        minSegmentDuration: opts.minSegmentDuration,
+        minGapDuration: opts.minGapDuration,
+        islandMode: opts.islandMode,
+        autoThreshold: opts.autoThreshold,
+        normalizeAudio: opts.normalizeAudio,
+        loudnessTarget: opts.loudnessTarget,
+        loudnessI: opts.loudnessI,
+        loudnessTP: opts.loudnessTP,
+        loudnessLRA: opts.loudnessLRA,
+        voiceHighpass: opts.voiceHighpass,
+        voiceDenoise: opts.voiceDenoise,
+        voiceDeess: opts.voiceDeess,
+        voiceDynamics: opts.voiceDynamics,
+        voiceCleanAnalysis: opts.voiceCleanAnalysis,
+        analysisTracks: opts.analysisTracks,
+        analysisChannel: opts.analysisChannel,
+        externalAudio: opts.externalAudio,
+        externalAudioMode: opts.externalAudioMode,
+        qualityPreset: opts.qualityPreset,
+        outputProfile: opts.outputProfile,
+        useHardwareEncoder: opts.useHardwareEncoder,
+        smartRender: opts.smartRender,
+        parallelChunks: opts.parallelChunks,
+        resumable: opts.resumable,
+        subtitleFiles: opts.subtitleFiles,
+        muxSubtitles: opts.muxSubtitles,
+        chapterMinPause: opts.chapterMinPause,
+        fadeDuration: opts.fadeDuration,
+        fadeMode: opts.fadeMode,
+        videoTransition: opts.videoTransition,
+        silenceMode: opts.silenceSpeed ? 'speed' : opts.maxPause != null ? 'shorten' : 'cut',
+        maxPause: opts.maxPause,
+        pauseKeep: opts.pauseKeep,
+        silenceSpeed: opts.silenceSpeed,
+        silenceAudio: opts.silenceAudio
+    };
+
+    const results = [];
+    pipeline.resetCancellation();
+
+    for (const inputPath of opts.inputs) {
+        if (pipeline.isProcessingCancelled()) break;
+        const startTime = Date.now();
+        reporter.reply('log', `📁 ${inputPath}`);
+
+        try {
+            if (!await fs.pathExists(inputPath)) throw new Error(`Input not found: ${inputPath}`);
+            if (opts.externalAudio && !await fs.pathExists(opts.externalAudio)) {
+                throw new Error(`External audio not found: ${opts.externalAudio}`);
+            }
+            if (opts.companions.length) {
+                await processSynced({ ...sharedParams, inputPath }, opts.companions, reporter, results);
+                continue;
+            }
+            const outputFile = opts.exportFormat
+                ? await exportCutList({ ...sharedParams, inputPath }, opts.exportFormat, reporter)
+                : await pipeline.processJob({ ...sharedParams, inputPath }, reporter);
+            if (!outputFile) {
+                if (pipeline.isProcessingCancelled()) break;
+                results.push({ input: inputPath, output: null, success: true, skipped: true });
+                continue;
+            }
+            results.push({ input: inputPath, output: outputFile, success: true, seconds: (Date.now() - startTime) / 1000 });
+            reporter.reply('log', `✅ ${outputFile}`);
+        } catch (error) {
+            if (pipeline.isProcessingCancelled()) break;
+            const message = error.message || 'Unknown error';
+            results.push({ input: inputPath, output: null, success: false, error: message });
+            reporter.reply('log', `❌ Error: ${message}`);
+        }
+    }
+
+    const cancelled = pipeline.isProcessingCancelled();
+    const failed = results.filter(r => !r.success).length;
+    reporter.result({ success: !cancelled && failed === 0, cancelled, files: results });
+
+    if (cancelled) return EXIT.CANCELLED;
+    return failed > 0 ? EXIT.FAILED : EXIT.OK;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(
+        (code) => { process.exitCode = code; },
+        (error) => {
+            console.error(`klyppr: ${error.stack || error.message}`);
+            process.exitCode = EXIT.FAILED;
+        }
+    );
+}
+
+module.exports = { parseArgs, main };
@@ -0,0 +1,316 @@
+// Cut-list exporters: turn Klyppr's keep/cut decisions into files that NLEs and
+// audio editors can import, instead of rendering a new video.
+// Pure string builders — no ffmpeg, no file I/O (see writeCutList in pipeline.js).
+
+const { pathToFileURL } = require('url');
+const path = require('path');
+
+const EXPORT_FORMATS = {
+    edl:      { label: 'CMX3600 EDL',          suffix: '.edl' },
+    fcpxml:   { label: 'Final Cut Pro XML',    suffix: '.fcpxml' },
+    premiere: { label: 'Premiere XML',         suffix: '.xml' },
+    audacity: { label: 'Audacity label track', suffix: '_labels.txt' },
+    json:     { label: 'JSON cut list',        suffix: '.cuts.json' },
+    csv:      { label: 'CSV cut list',         suffix: '.cuts.csv' }
+};
+
+// ============================================================================
+// FRAME MATH
+// ============================================================================
+
+// NTSC rates (23.976, 29.97, 59.94) are expressed as n*1000/1001.
+function isNtscRate(fps) {
+    const nominal = Math.round(fps);
+    return Math.abs(fps - (nominal * 1000 / 1001)) < 0.01;
+}
+
+// Frame duration as a rational { num, den } seconds (1001/30000 for 29.97).
+function frameDuration(fps) {
+    const nominal = Math.max(1, Math.round(fps));
+    return isNtscRate(fps) ? { num: 1001, den: nominal * 1000 } : { num: 1, den: nominal };
+}
+
+/**
+ * Snap talking ranges to whole frames so every cut lands on a frame boundary
+ * in the NLE. Ranges that collapse to zero frames are dropped.
+ */
+function toFrameRanges(talkingRanges, fps) {
+    return talkingRanges
+        .map(r => ({ startFrame: Math.round(r.start * fps), endFrame: Math.round(r.end * fps) }))
+        .filter(r => r.endFrame > r.startFrame);
+}
+
+// Non-drop-frame timecode on the nominal rate (29.97 counts as 30).
+function framesToTimecode(frames, fps) {
+    const base = Math.max(1, Math.round(fps));
+    const ff = frames % base;
+    const totalSeconds = Math.floor(frames / base);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${pad(Math.floor(totalSeconds / 3600))}:${pad(Math.floor(totalSeconds / 60) % 60)}:${pad(totalSeconds % 60)}:${pad(ff)}`;
+}
+
+function timecodeToFrames(timecode, fps) {
+    const m = /^(\d+):(\d+):(\d+)[:;.](\d+)$/.exec(String(timecode || '').trim());
+    if (!m) return 0;
+    const base = Math.max(1, Math.round(fps));
+    return ((+m[1] * 3600) + (+m[2] * 60) + (+m[3])) * base + (+m[4]);
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function csvField(value) {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// ============================================================================
+// EXPORTERS
+// ============================================================================
+
+// `cut` = { sourcePath, duration, fps, width, height, audioChannels, startTimecode,
+//           silenceRanges, talkingRanges }
+
+function buildEdl(cut) {
+    const { fps } = cut;
+    const name = path.basename(cut.sourcePath);
+    const sourceOffset = timecodeToFrames(cut.startTimecode, fps);
+    const lines = [
+        `TITLE: ${path.parse(name).name.toUpperCase().slice(0, 70)}`,
+        'FCM: NON-DROP FRAME',
+        ''
+    ];
+
+    let recordFrame = 0;
+    toFrameRanges(cut.talkingRanges, fps).forEach((r, i) => {
+        const length = r.endFrame - r.startFrame;
+        lines.push(
+            `${String(i + 1).padStart(3, '0')}  AX       AA/V  C        ` +
+            `${framesToTimecode(sourceOffset + r.startFrame, fps)} ${framesToTimecode(sourceOffset + r.endFrame, fps)} ` +
+            `${framesToTimecode(recordFrame, fps)} ${framesToTimecode(recordFrame + length, fps)}`,
+            `* FROM CLIP NAME: ${name}`,
+            ''
+        );
+        recordFrame += length;
+    });
+
+    return lines.join('\r\n');
+}
+
+function buildFcpxml(cut) {
+    const { fps } = cut;
+    const fd = frameDuration(fps);
+    const time = (frames) => frames === 0 ? '0s' : `${frames * fd.num}/${fd.den}s`;
+    const name = path.basename(cut.sourcePath);
+    const ranges = toFrameRanges(cut.talkingRanges, fps);
+    const sourceFrames = Math.round(cut.duration * fps);
+    const totalFrames = ranges.reduce((sum, r) => sum + (r.endFrame - r.startFrame), 0);
+    const hasVideo = cut.width > 0 && cut.height > 0;
+    // The asset starts at the source timecode, so clip starts are on that timeline too
+    const sourceOffset = timecodeToFrames(cut.startTimecode, fps);
+
+    let offset = 0;
+    const clips = ranges.map((r) => {
+        const length = r.endFrame - r.startFrame;
+        const clip = `                        <asset-clip ref="r2" name="${escapeXml(name)}" offset="${time(offset)}" ` +
+            `start="${time(sourceOffset + r.startFrame)}" duration="${time(length)}" format="r1" tcFormat="NDF"/>`;
+        offset += length;
+        return clip;
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<!DOCTYPE fcpxml>',
+        '<fcpxml version="1.9">',
+        '    <resources>',
+        `        <format id="r1" frameDuration="${fd.num}/${fd.den}s"` +
+            (hasVideo ? ` width="${cut.width}" height="${cut.height}"` : '') + '/>',
+        `        <asset id="r2" name="${escapeXml(name)}" start="${time(sourceOffset)}" duration="${time(sourceFrames)}" ` +
+            `hasVideo="${hasVideo ? 1 : 0}" hasAudio="1" format="r1" audioSources="1" audioChannels="${cut.audioChannels || 2}">`,
+        `            <media-rep kind="original-media" src="${escapeXml(pathToFileURL(cut.sourcePath).href)}"/>`,
+        '        </asset>',
+        '    </resources>',
+        '    <library>',
+        '        <event name="Klyppr">',
+        `            <project name="${escapeXml(path.parse(name).name)} (Klyppr)">`,
+        `                <sequence format="r1" duration="${time(totalFrames)}" tcStart="0s" tcFormat="NDF">`,
+        '                    <spine>',
+        ...clips,
+        '                    </spine>',
+        '                </sequence>',
+        '            </project>',
+        '        </event>',
+        '    </library>',
+        '</fcpxml>',
+        ''
+    ].join('\n');
+}
+
+function buildPremiereXml(cut) {
+    const { fps } = cut;
+    const timebase = Math.max(1, Math.round(fps));
+    const ntsc = isNtscRate(fps) ? 'TRUE' : 'FALSE';
+    const rate = `<rate><timebase>${timebase}</timebase><ntsc>${ntsc}</ntsc></rate>`;
+    const name = path.basename(cut.sourcePath);
+    const pathurl = pathToFileURL(cut.sourcePath).href.replace(/^file:\/\/\//, 'file://localhost/');
+    const sourceFrames = Math.round(cut.duration * fps);
+    const ranges = toFrameRanges(cut.talkingRanges, fps);
+    const totalFrames = ranges.reduce((sum, r) => sum + (r.endFrame - r.startFrame), 0);
+    const hasVideo = cut.width > 0 && cut.height > 0;
+    const channels = cut.audioChannels || 2;
+    // In/out count from the media's first frame; the file's timecode places them on the source timecode
+    const sourceOffset = timecodeToFrames(cut.startTimecode, fps);
+
+    // The first clip carries the full <file> definition; the rest reference it by id
+    let fileDefined = false;
+    const fileElement = (indent) => {
+        if (fileDefined) return `${indent}<file id="file-1"/>`;
+        fileDefined = true;
+        return [
+            `${indent}<file id="file-1">`,
+            `${indent}    <name>${escapeXml(name)}</name>`,
+            `${indent}    <pathurl>${escapeXml(pathurl)}</pathurl>`,
+            `${indent}    ${rate}`,
+            `${indent}    <duration>${sourceFrames}</duration>`,
+            `${indent}    <timecode>${rate}<string>${framesToTimecode(sourceOffset, fps)}</string>` +
+                `<frame>${sourceOffset}</frame><displayformat>NDF</displayformat></timecode>`,
+            `${indent}    <media>`,
+            ...(hasVideo ? [`${indent}        <video><samplecharacteristics><width>${cut.width}</width><height>${cut.height}</height></samplecharacteristics></video>`] : []),
+            `${indent}        <audio><channelcount>${channels}</channelcount></audio>`,
+            `${indent}    </media>`,
+            `${indent}</file>`
+        ].join('\n');
+    };
+
+    const clipItems = (kind) => {
+        let recordFrame = 0;
+        return ranges.map((r, i) => {
+            const length = r.endFrame - r.startFrame;
+            const indent = '                    ';
+            const item = [
+                `${indent}<clipitem id="clipitem-${kind}${i + 1}">`,
+                `${indent}    <name>${escapeXml(name)}</name>`,
+                `${indent}    <duration>${sourceFrames}</duration>`,
+                `${indent}    ${rate}`,
+                `${indent}    <start>${recordFrame}</start>`,
+                `${indent}    <end>${recordFrame + length}</end>`,
+                `${indent}    <in>${r.startFrame}</in>`,
+                `${indent}    <out>${r.endFrame}</out>`,
+                fileElement(`${indent}    `),
+                ...(kind === 'a' ? [`${indent}    <sourcetrack><mediatype>audio</mediatype><trackindex>1</trackindex></sourcetrack>`] : []),
+                `${indent}</clipitem>`
+            ].join('\n');
+            recordFrame += length;
+            return item;
+        });
+    };
+
+    const videoTrack = hasVideo ? [
+        '            <video>',
+        '                <format><samplecharacteristics>' +
+            `<width>${cut.width}</width><height>${cut.height}</height>${rate}</samplecharacteristics></format>`,
+        '                <track>',
+        ...clipItems('v'),
+        '                </track>',
+        '            </video>'
+    ] : [];
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<!DOCTYPE xmeml>',
+        '<xmeml version="4">',
+        '    <sequence id="sequence-1">',
+        `        <name>${escapeXml(path.parse(name).name)} (Klyppr)</name>`,
+        `        <duration>${totalFrames}</duration>`,
+        `        ${rate}`,
+        '        <media>',
+        ...videoTrack,
+        '            <audio>',
+        '                <track>',
+        ...clipItems('a'),
+        '                </track>',
+        '            </audio>',
+        '        </media>',
+        '    </sequence>',
+        '</xmeml>',
+        ''
+    ].join('\n');
+}
+
+// Audacity labels mark the regions to delete (Edit → Labeled Audio → Delete).
+function buildAudacityLabels(cut) {
+    return cut.silenceRanges
+        .map((r, i) => `${r.start.toFixed(6)}\t${r.end.toFixed(6)}\tcut ${i + 1}`)
+        .join('\n') + '\n';
+}
+
+// Every keep/cut span in timeline order, with frame-snapped boundaries.
+function buildSpans(cut) {
+    const spans = [
+        ...cut.talkingRanges.map(r => ({ type: 'keep', start: r.start, end: r.end })),
+        ...cut.silenceRanges.map(r => ({ type: 'cut', start: r.start, end: r.end }))
+    ].sort((a, b) => a.start - b.start);
+
+    return spans.map(s => ({
+        ...s,
+        duration: s.end - s.start,
+        startFrame: Math.round(s.start * cut.fps),
+        endFrame: Math.round(s.end * cut.fps)
+    }));
+}
+
+function buildJson(cut) {
+    const spans = buildSpans(cut);
+    const kept = cut.talkingRanges.reduce((sum, r) => sum + (r.end - r.start), 0);
+    return JSON.stringify({
+        source: cut.sourcePath,
+        duration: cut.duration,
+        fps: cut.fps,
+        outputDuration: kept,
+        keep: spans.filter(s => s.type === 'keep'),
+        cut: spans.filter(s => s.type === 'cut')
+    }, null, 2) + '\n';
+}
+
+function buildCsv(cut) {
+    const rows = [['type', 'start', 'end', 'duration', 'start_frame', 'end_frame'].join(',')];
+    for (const s of buildSpans(cut)) {
+        rows.push([s.type, s.start.toFixed(3), s.end.toFixed(3), s.duration.toFixed(3), s.startFrame, s.endFrame]
+            .map(csvField).join(','));
+    }
+    return rows.join('\n') + '\n';
+}
+
+const BUILDERS = {
+    edl: buildEdl,
+    fcpxml: buildFcpxml,
+    premiere: buildPremiereXml,
+    audacity: buildAudacityLabels,
+    json: buildJson,
+    csv: buildCsv
+};
+
+function buildCutList(format, cut) {
+    const builder = BUILDERS[format];
+    if (!builder) throw new Error(`Unknown export format: ${format}`);
+    return builder(cut);
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    buildCutList,
+    toFrameRanges,
+    framesToTimecode,
+    timecodeToFrames,
+    frameDuration
+};
@@ -1,7 +1,34 @@
 const { app, BrowserWindow, ipcMain, dialog, shell, Menu } = require('electron');
 const path = require('path');
 const fs = require('fs-extra');
-const { spawn, execFile } = require('child_process');
+const {
+    VIDEO_EXTENSIONS,
+    AUDIO_EXTENSIONS,
+    SUBTITLE_EXTENSIONS,
+    EXTERNAL_AUDIO_MODES,
+    setFFmpegPaths,
+    setDenoiseModel,
+    hasDenoiseModel,
+    setAnalysisCacheDir,
+    getAnalysisCacheInfo,
+    clearAnalysisCache,
+    setHardwareEncoder,
+    getHardwareEncoder,
+    detectHardwareEncoderAsync,
+    resetCancellation,
+    isProcessingCancelled,
+    cancelActiveProcess,
+    getVideoMetadata,
+    listAudioStreams,
+    analyzeJob,
+    writeCutList,
+    processJob,
+    processSyncedJobs,
+    setCollisionHandler,
+    getOutputFile,
+    hasJobState,
+    removeJobTempDir
+} = require('./pipeline');
 
 // ============================================================================
 // CONSTANTS
@@ -10,145 +37,15 @@ const { spawn, execFile } = require('child_process');
 Menu.setApplicationMenu(null);
 
 const configPath = path.join(app.getPath('userData'), 'config.json');
-const MIN_SEGMENT_DURATION = 0.05;
-const TEMP_DIR_NAME = '.klyppr_temp';
-
-// YouTube-standard loudness target (-16 LUFS)
-const LOUDNORM_TARGET = 'I=-16:TP=-1.5:LRA=11';
 
 const PLATFORM = {
     isWindows: process.platform === 'win32',
     isDevelopment: process.env.NODE_ENV === 'development'
 };
 
-const VIDEO_EXTENSIONS = [
-    'mp4', 'avi', 'mov', 'mkv', 'webm', 'flv', 'ts',
-    'm4v', 'wmv', '3gp', 'mpg', 'mpeg', 'mts', 'vob'
-];
-
-// GPU encoder quality settings (higher = better quality)
-const HW_QUALITY_SETTINGS = {
-    // VideoToolbox (macOS) — uses quality percentage (1-100)
-    videotoolbox: { fast: 35, medium: 55, high: 75, lossless: 90 },
-    // NVENC (NVIDIA) — uses CQ value (lower = better, like CRF)
-    nvenc: { fast: 32, medium: 24, high: 18, lossless: 16 },
-    // QSV (Intel) — uses global_quality
-    qsv: { fast: 32, medium: 24, high: 18, lossless: 16 },
-    // AMF (AMD) — uses quality level
-    amf: { fast: 32, medium: 24, high: 18, lossless: 16 }
-};
-
-// Map the INPUT video codec to a matching encoder per backend, so the output keeps
-// the same codec it came in with (h264 in → h264 out, hevc in → hevc out, …).
-const VIDEO_ENCODERS = {
-    h264: { sw: 'libx264', nvenc: 'h264_nvenc', videotoolbox: 'h264_videotoolbox', qsv: 'h264_qsv', amf: 'h264_amf' },
-    hevc: { sw: 'libx265', nvenc: 'hevc_nvenc', videotoolbox: 'hevc_videotoolbox', qsv: 'hevc_qsv', amf: 'hevc_amf' },
-    vp9:  { sw: 'libvpx-vp9' },
-    av1:  { sw: 'libsvtav1' },
-    mpeg4: { sw: 'mpeg4' }
-};
-
-// Map the INPUT audio codec to a matching encoder, so audio stays the same codec.
-const AUDIO_ENCODERS = {
-    aac: 'aac', mp3: 'libmp3lame', opus: 'libopus', vorbis: 'libvorbis',
-    ac3: 'ac3', eac3: 'eac3', flac: 'flac', alac: 'alac',
-    pcm_s16le: 'pcm_s16le', pcm_s24le: 'pcm_s24le'
-};
-
-// Resolved at startup
-let FFMPEG_PATH = null;
-let FFPROBE_PATH = null;
-
-// Detected asynchronously after the window opens — null means software encoding
-let detectedHWEncoder = null;
+// Resolved once GPU detection (started after the window opens) finishes
 let hwDetectionPromise = null;
 
-// ============================================================================
-// ACTIVE PROCESS TRACKING (for cancel support)
-// ============================================================================
-
-let currentFFmpegProcess = null;
-let isCancelled = false;
-
-function setActiveProcess(proc) {
-    currentFFmpegProcess = proc;
-}
-
-function clearActiveProcess() {
-    currentFFmpegProcess = null;
-}
-
-function cancelActiveProcess() {
-    isCancelled = true;
-    if (currentFFmpegProcess) {
-        try {
-            currentFFmpegProcess.kill('SIGTERM');
-        } catch (e) { /* Process may have already exited */ }
-        clearActiveProcess();
-    }
-}
-
-// ============================================================================
-// FFMPEG RUNNER (spawn-based, replaces fluent-ffmpeg)
-// ============================================================================
-
-/**
- * Run ffmpeg with the given args. Streams stderr line-by-line (onLine) and
- * parses `time=` for progress (onProgress). Resolves with the full stderr text
- * (used by loudness measurement); rejects on non-zero exit or cancellation.
- */
-function runFFmpeg(args, { onLine, onProgress } = {}) {
-    return new Promise((resolve, reject) => {
-        if (isCancelled) return reject(new Error('Processing cancelled'));
-
-        const proc = spawn(FFMPEG_PATH, args);
-        setActiveProcess(proc);
-
-        let fullStderr = '';
-        let lineBuffer = '';
-
-        proc.stderr.on('data', (chunk) => {
-            const text = chunk.toString();
-            fullStderr += text;
-
-            if (onProgress) {
-                const m = text.match(/time=\s*(\d+):(\d+):(\d+(?:\.\d+)?)/);
-                if (m) {
-                    const seconds = (+m[1]) * 3600 + (+m[2]) * 60 + parseFloat(m[3]);
-                    onProgress(seconds);
-                }
-            }
-
-            if (onLine) {
-                lineBuffer += text;
-                let nl;
-                while ((nl = lineBuffer.search(/\r?\n/)) !== -1) {
-                    const line = lineBuffer.slice(0, nl);
-                    const skip = (lineBuffer[nl] === '\r' && lineBuffer[nl + 1] === '\n') ? 2 : 1;
-                    lineBuffer = lineBuffer.slice(nl + skip);
-                    if (line) onLine(line);
-                }
-            }
-        });
-
-        proc.on('error', (err) => {
-            clearActiveProcess();
-            reject(err);
-        });
-
-        proc.on('close', (code) => {
-            clearActiveProcess();
-            if (onLine && lineBuffer) onLine(lineBuffer);
-            if (isCancelled) return reject(new Error('Processing cancelled'));
-            if (code === 0) resolve(fullStderr);
-            else {
-                const tail = fullStderr.trim().split('\n').slice(-3).join(' | ');
-                reject(new Error(`FFmpeg exited with code ${code}${tail ? `: ${tail}` : ''}`));
-            }
-        });
-    });
-}
-
 // ============================================================================
 // CONFIG FUNCTIONS
 // ============================================================================
@@ -203,52 +100,15 @@ function setupFFmpegBinaries() {
         throw new Error('FFmpeg or FFprobe binaries not found.');
     }
 
-    FFMPEG_PATH = ffmpegPath;
-    FFPROBE_PATH = ffprobePath;
-}
+    setFFmpegPaths({ ffmpeg: ffmpegPath, ffprobe: ffprobePath });
 
-/**
- * Detect available hardware video encoders asynchronously (non-blocking).
- * Runs `ffmpeg -encoders` and checks for GPU-accelerated H.264 encoders.
- * Resolves to an encoder info object or null if none is available.
- */
-function detectHardwareEncoderAsync() {
-    return new Promise((resolve) => {
-        execFile(FFMPEG_PATH, ['-hide_banner', '-encoders'],
-            { timeout: 8000, maxBuffer: 5 * 1024 * 1024 },
-            (err, stdout) => {
-                if (err) {
-                    console.log('💻 Hardware detection failed — using software encoding');
-                    return resolve(null);
-                }
-
-                const output = stdout || '';
-                const { isWindows } = PLATFORM;
-
-                if (!isWindows) {
-                    if (output.includes('h264_videotoolbox')) {
-                        console.log('🎮 Hardware encoder detected: h264_videotoolbox (Apple GPU)');
-                        return resolve({ codec: 'h264_videotoolbox', type: 'videotoolbox' });
-                    }
-                } else {
-                    if (output.includes('h264_nvenc')) {
-                        console.log('🎮 Hardware encoder detected: h264_nvenc (NVIDIA GPU)');
-                        return resolve({ codec: 'h264_nvenc', type: 'nvenc' });
-                    }
-                    if (output.includes('h264_qsv')) {
-                        console.log('🎮 Hardware encoder detected: h264_qsv (Intel GPU)');
-                        return resolve({ codec: 'h264_qsv', type: 'qsv' });
-                    }
-                    if (output.includes('h264_amf')) {
-                        console.log('🎮 Hardware encoder detected: h264_amf (AMD GPU)');
-                        return resolve({ codec: 'h264_amf', type: 'amf' });
-                    }
-                }
-
-                console.log('💻 No hardware encoder found — using software encoding');
-                resolve(null);
-            });
-    });
+    // No RNNoise model ships with the app: only a development checkout can provide one.
+    // Without it arnndn falls back to afftdn and the renderer disables the RNNoise choice.
+    if (PLATFORM.isDevelopment) setDenoiseModel(path.join(__dirname, 'bin', 'models', 'voice.rnnn'));
+    if (!hasDenoiseModel()) console.warn('RNNoise model not available — RNNoise denoising is disabled');
+
+    // Raw silence / loudness results, reused when only padding or quality change
+    setAnalysisCacheDir(path.join(app.getPath('userData'), 'analysis-cache'));
 }
 
 // ============================================================================
@@ -282,482 +142,506 @@ function createWindow() {
 }
 
 // ============================================================================
-// VIDEO METADATA HELPERS
+// BATCH QUEUE (main-process scheduler)
 // ============================================================================
 
-function getVideoMetadata(inputFile) {
-    return new Promise((resolve, reject) => {
-        execFile(FFPROBE_PATH,
-            ['-v', 'quiet', '-print_format', 'json', '-show_format', '-show_streams', inputFile],
-            { maxBuffer: 20 * 1024 * 1024 },
-            (err, stdout) => {
-                if (err) return reject(err);
-                try {
-                    const meta = JSON.parse(stdout);
-                    if (meta.format && meta.format.duration != null) {
-                        meta.format.duration = parseFloat(meta.format.duration);
-                    }
-                    resolve(meta);
-                } catch (e) {
-                    reject(new Error('Could not parse ffprobe output'));
-                }
-            });
-    });
-}
+// Jobs run one at a time in list order; status is one of
+// pending | processing | done | failed | cancelled.
+let jobQueue = [];
+let nextJobId = 1;
+let isQueueRunning = false;
+let isAnalyzing = false;
 
-function hasAudioStream(metadata) {
-    return !!(metadata && metadata.streams && metadata.streams.some(s => s.codec_type === 'audio'));
+function findJob(id) {
+    return jobQueue.find(j => j.id === id);
 }
 
-// Pull the input's real codec/pixel-format/audio params so we can reproduce them on
-// output instead of imposing our own. "As it went in, so it comes out."
-function extractStreamInfo(metadata) {
-    const streams = (metadata && metadata.streams) || [];
-    const v = streams.find(s => s.codec_type === 'video') || {};
-    const a = streams.find(s => s.codec_type === 'audio') || {};
-    const abr = parseInt(a.bit_rate, 10);
-    return {
-        vcodec: (v.codec_name || 'h264').toLowerCase(),
-        pixFmt: v.pix_fmt || 'yuv420p',
-        acodec: (a.codec_name || 'aac').toLowerCase(),
-        // keep the source audio bitrate when known (rounded to kbps), else a safe default
-        abitrate: (abr && isFinite(abr)) ? `${Math.round(abr / 1000)}k` : null
-    };
+// The job whose cuts a synced companion takes, or null (also when it left the queue).
+function syncMaster(job) {
+    return job.syncMasterId === null ? null : findJob(job.syncMasterId) || null;
 }
 
-function getFrameRate(metadata) {
-    const v = metadata.streams && metadata.streams.find(s => s.codec_type === 'video');
-    if (!v) return 30;
-    const rate = v.r_frame_rate || v.avg_frame_rate;
-    if (!rate) return 30;
-    const [num, den] = rate.split('/').map(Number);
-    const fps = den ? num / den : num;
-    return (fps && isFinite(fps) && fps > 0) ? fps : 30;
+function notifyQueue() {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('queue-updated', jobQueue.map(j => ({ ...j })));
+    }
 }
 
-function calculateDurationStats(silenceRanges, inputDuration) {
-    const totalSilenceDuration = silenceRanges.reduce(
-        (sum, range) => sum + (range.end - range.start), 0
-    );
-    return {
-        inputDuration,
-        totalSilenceDuration,
-        expectedOutputDuration: inputDuration - totalSilenceDuration
-    };
+function isMediaFile(filePath) {
+    const ext = path.extname(filePath).slice(1).toLowerCase();
+    return VIDEO_EXTENSIONS.includes(ext) || AUDIO_EXTENSIONS.includes(ext);
 }
 
-// ============================================================================
-// SEGMENT CALCULATION
-// ============================================================================
-
-function calculateTalkingRanges(silenceRanges, videoDuration) {
-    const talkingRanges = [];
-    let prevEnd = 0;
-
-    for (const range of silenceRanges) {
-        if (prevEnd < range.start) {
-            const duration = range.start - prevEnd;
-            if (duration > MIN_SEGMENT_DURATION) {
-                talkingRanges.push({ start: prevEnd, end: range.start });
-            }
+// Expand dropped/selected paths: folders are walked recursively for video and audio files.
+async function collectMediaFiles(inputPaths) {
+    const files = [];
+    for (const p of inputPaths) {
+        let stat;
+        try {
+            stat = await fs.stat(p);
+        } catch (e) {
+            continue;
         }
-        prevEnd = range.end;
-    }
-
-    if (prevEnd < videoDuration) {
-        const duration = videoDuration - prevEnd;
-        if (duration > MIN_SEGMENT_DURATION) {
-            talkingRanges.push({ start: prevEnd, end: videoDuration });
+        if (stat.isDirectory()) {
+            const entries = (await fs.readdir(p)).filter(name => !name.startsWith('.')).sort();
+            files.push(...await collectMediaFiles(entries.map(name => path.join(p, name))));
+        } else if (isMediaFile(p)) {
+            files.push(p);
         }
     }
-
-    return talkingRanges;
+    return files;
 }
 
-// ============================================================================
-// ENCODING SETTINGS
-// ============================================================================
-
-function getEncodingOptions(qualityPreset = 'medium', useHardwareEncoder = true, streamInfo = null) {
-    const preset = qualityPreset || 'medium';
-    const isHigh = preset === 'high' || preset === 'lossless';
-    const info = streamInfo || {};
-
-    // Reproduce the INPUT's own formats instead of imposing ours:
-    //   - video encoder matches the input codec (h264→libx264/…, hevc→libx265/…)
-    //   - pixel format is carried through unchanged (keeps 4:2:0 as 4:2:0, etc.)
-    //   - audio keeps its codec and (when known) its bitrate
-    const inVcodec = (info.vcodec || 'h264').toLowerCase();
-    const pixFmt = info.pixFmt || 'yuv420p';
-    const audioCodec = AUDIO_ENCODERS[(info.acodec || 'aac').toLowerCase()] || 'aac';
-    const audioBitrate = info.abitrate || '320k';
-    const family = VIDEO_ENCODERS[inVcodec] || VIDEO_ENCODERS.h264;
-
-    // Quality knob per preset. NEVER crf 0 — libx264 tags true-lossless as
-    // "High 4:4:4 Predictive", which hardware/software players render as a black screen.
-    // We do NOT pass -profile:v; the encoder derives the right profile from pixFmt.
-    const crf = preset === 'fast' ? 28 : preset === 'high' ? 18 : preset === 'lossless' ? 16 : 23;
-
-    // GPU path — only when this GPU actually has an encoder for the input's codec.
-    if (detectedHWEncoder && useHardwareEncoder && family[detectedHWEncoder.type]) {
-        const hwQuality = HW_QUALITY_SETTINGS[detectedHWEncoder.type] || {};
-        const qVal = hwQuality[preset] || hwQuality.high || hwQuality.medium;
-        let videoQuality;
-        switch (detectedHWEncoder.type) {
-            case 'videotoolbox':
-                videoQuality = ['-q:v', String(qVal)];
-                break;
-            case 'nvenc':
-                videoQuality = ['-preset', preset === 'fast' ? 'p1' : isHigh ? 'p7' : 'p4', '-cq', String(qVal), '-rc', 'vbr'];
-                break;
-            case 'qsv':
-                videoQuality = ['-global_quality', String(qVal), '-look_ahead', '1'];
-                break;
-            case 'amf':
-                videoQuality = ['-quality', preset === 'fast' ? 'speed' : isHigh ? 'quality' : 'balanced', '-qp_i', String(qVal), '-qp_p', String(qVal)];
-                break;
-            default:
-                videoQuality = ['-q:v', String(qVal)];
-        }
-        return { videoCodec: family[detectedHWEncoder.type], videoQuality, pixFmt, audioCodec, audioBitrate, isHardware: true };
-    }
-
-    // Software path — encoder matches the input codec family.
-    const sw = family.sw || 'libx264';
-    let videoQuality;
-    if (sw === 'libvpx-vp9') {
-        videoQuality = ['-crf', String(crf), '-b:v', '0'];
-    } else if (sw === 'libx265') {
-        videoQuality = ['-preset', preset === 'fast' ? 'veryfast' : isHigh ? 'medium' : 'fast', '-crf', String(crf)];
-    } else if (sw === 'libsvtav1') {
-        videoQuality = ['-crf', String(crf), '-preset', preset === 'fast' ? '10' : '6'];
-    } else if (sw === 'mpeg4') {
-        videoQuality = ['-q:v', preset === 'fast' ? '6' : isHigh ? '2' : '4'];
-    } else {
-        // libx264
-        videoQuality = ['-preset', preset === 'fast' ? 'veryfast' : isHigh ? 'medium' : 'veryfast', '-crf', String(crf)];
+async function addToQueue(inputPaths) {
+    const files = await collectMediaFiles(inputPaths);
+    for (const inputPath of files) {
+        // Skip files that are already waiting in the queue
+        if (jobQueue.some(j => j.inputPath === inputPath && j.status === 'pending')) continue;
+        jobQueue.push({
+            id: nextJobId++,
+            inputPath,
+            status: 'pending',
+            overrides: null,
+            reviewedRanges: null,
+            subtitleFiles: null,
+            externalAudio: null,
+            externalAudioMode: 'replace',
+            syncMasterId: null,
+            syncOffset: 0,
+            resumeParams: null,
+            outputFile: null,
+            error: null
+        });
     }
-    return { videoCodec: sw, videoQuality, pixFmt, audioCodec, audioBitrate, isHardware: false };
+    notifyQueue();
 }
 
-// ============================================================================
-// AUDIO LOUDNESS (two-pass loudnorm helpers)
-// ============================================================================
-
-/**
- * Pass 1: measure loudness stats with loudnorm print_format=json.
- * Silence gating in loudnorm means measuring the original (uncut) audio is
- * effectively identical to measuring the cut result, so we skip the extra cut.
- * Returns the parsed stats object, or null if measurement/parsing failed.
- */
-async function measureLoudness(inputFile) {
-    const args = [
-        '-hide_banner', '-vn', '-i', inputFile,
-        '-af', `loudnorm=${LOUDNORM_TARGET}:print_format=json`,
-        '-f', 'null', '-'
-    ];
-    const stderr = await runFFmpeg(args, {});
-    const open = stderr.lastIndexOf('{');
-    const close = stderr.lastIndexOf('}');
-    if (open === -1 || close <= open) return null;
-    try {
-        const stats = JSON.parse(stderr.slice(open, close + 1));
-        return (stats && stats.input_i != null) ? stats : null;
-    } catch (e) {
-        return null;
+// Per-file overrides win over the shared settings and switch Auto threshold off,
+// so hand-tuned values are never replaced by a suggestion. A resumed job keeps
+// the settings it was started with.
+function buildJobParams(job, sharedParams) {
+    if (job.resumeParams) return { ...sharedParams, ...job.resumeParams, inputPath: job.inputPath };
+    const params = { ...sharedParams, ...(job.overrides || {}), inputPath: job.inputPath };
+    if (job.overrides) params.autoThreshold = false;
+    if (job.externalAudio) {
+        params.externalAudio = job.externalAudio;
+        params.externalAudioMode = job.externalAudioMode;
     }
+    return params;
 }
 
-/**
- * Build the pass-2 loudnorm filter string using measured stats (linear mode).
- * Falls back to single-pass loudnorm when measurement is unavailable.
- */
-function buildLoudnormFilter(measured) {
-    if (!measured) return `loudnorm=${LOUDNORM_TARGET}`;
-    return `loudnorm=${LOUDNORM_TARGET}` +
-        `:measured_I=${measured.input_i}` +
-        `:measured_TP=${measured.input_tp}` +
-        `:measured_LRA=${measured.input_lra}` +
-        `:measured_thresh=${measured.input_thresh}` +
-        `:offset=${measured.target_offset}` +
-        `:linear=true`;
+// Collision policy 'ask': let the user pick per existing output file.
+async function askOutputCollision(outputFile) {
+    const { response } = await dialog.showMessageBox(mainWindow, {
+        type: 'question',
+        buttons: ['Keep Both', 'Overwrite', 'Skip'],
+        defaultId: 0,
+        cancelId: 2,
+        message: `${path.basename(outputFile)} already exists`,
+        detail: path.dirname(outputFile)
+    });
+    return ['increment', 'overwrite', 'skip'][response];
 }
 
 // ============================================================================
-// FILTER SCRIPT GENERATION (trim/atrim + concat)
+// UNFINISHED JOBS (offered for resume on the next launch)
 // ============================================================================
 
-function buildFilterScript(talkingRanges, normalizeAudio, loudnormFilter) {
-    const filterParts = talkingRanges.map((r, i) =>
-        `[0:v]trim=start=${r.start.toFixed(4)}:end=${r.end.toFixed(4)},setpts=PTS-STARTPTS[v${i}];` +
-        `[0:a]atrim=start=${r.start.toFixed(4)}:end=${r.end.toFixed(4)},asetpts=PTS-STARTPTS[a${i}]`
-    );
-
-    const concatInputs = talkingRanges.map((_, i) => `[v${i}][a${i}]`).join('');
+// Resumable jobs are listed in config.json while they run and dropped once done;
+// whatever is left after a crash, cancel or quit is offered on startup.
+function rememberUnfinishedJob(job, params) {
+    const { silenceRanges, subtitleFiles, ...jobParams } = params;
+    const config = loadConfig();
+    const outputFile = getOutputFile(params);
+    config.unfinishedJobs = (config.unfinishedJobs || []).filter(j => getOutputFile(j.params) !== outputFile);
+    config.unfinishedJobs.push({
+        params: jobParams,
+        reviewedRanges: job.reviewedRanges,
+        subtitleFiles: job.subtitleFiles
+    });
+    saveConfig(config);
+}
 
-    let filterGraph = filterParts.join(';') + ';' + concatInputs +
-        `concat=n=${talkingRanges.length}:v=1:a=1`;
+function forgetUnfinishedJob(params) {
+    const config = loadConfig();
+    if (!config.unfinishedJobs) return;
+    const outputFile = getOutputFile(params);
+    config.unfinishedJobs = config.unfinishedJobs.filter(j => getOutputFile(j.params) !== outputFile);
+    saveConfig(config);
+}
 
-    if (normalizeAudio) {
-        const ln = loudnormFilter || `loudnorm=${LOUDNORM_TARGET}`;
-        filterGraph += `[tmpv][tmpa];[tmpv]copy[outv];[tmpa]${ln}[outa]`;
-    } else {
-        filterGraph += `[outv][outa]`;
+async function offerUnfinishedJobs() {
+    const config = loadConfig();
+    const entries = [];
+    for (const entry of config.unfinishedJobs || []) {
+        if (entry && entry.params && await hasJobState(getOutputFile(entry.params))) entries.push(entry);
     }
+    config.unfinishedJobs = entries;
+    saveConfig(config);
+    if (!entries.length) return;
+
+    const names = entries.map(e => `• ${path.basename(e.params.inputPath)}`).join('\n');
+    const { response } = await dialog.showMessageBox(mainWindow, {
+        type: 'question',
+        buttons: ['Resume', 'Discard'],
+        defaultId: 0,
+        cancelId: 1,
+        message: `${entries.length} job${entries.length === 1 ? ' was' : 's were'} not finished last time`,
+        detail: `${names}\n\nResume adds ${entries.length === 1 ? 'it' : 'them'} to the queue and continues where ${entries.length === 1 ? 'it' : 'they'} stopped.`
+    });
 
-    return filterGraph;
-}
+    if (response === 1) {
+        for (const entry of entries) await removeJobTempDir(getOutputFile(entry.params));
+        config.unfinishedJobs = [];
+        saveConfig(config);
+        return;
+    }
 
-async function writeFilterScript(filterGraph, tempDir) {
-    await fs.ensureDir(tempDir);
-    const scriptPath = path.join(tempDir, 'filter_script.txt');
-    await fs.writeFile(scriptPath, filterGraph, 'utf8');
-    return scriptPath;
+    for (const entry of entries) {
+        jobQueue.push({
+            id: nextJobId++,
+            inputPath: entry.params.inputPath,
+            status: 'pending',
+            overrides: null,
+            reviewedRanges: entry.reviewedRanges || null,
+            subtitleFiles: entry.subtitleFiles || null,
+            externalAudio: entry.params.externalAudio || null,
+            externalAudioMode: entry.params.externalAudioMode || 'replace',
+            syncMasterId: null,
+            syncOffset: 0,
+            resumeParams: entry.params,
+            outputFile: null,
+            error: null
+        });
+    }
+    notifyQueue();
 }
 
-function formatEta(percent, elapsed) {
-    if (!(percent > 5 && elapsed > 2)) return '';
-    const remaining = Math.max(0, (elapsed / (percent / 100)) - elapsed);
-    return remaining < 60
-        ? ` — ~${Math.round(remaining)}s remaining`
-        : ` — ~${Math.round(remaining / 60)}m ${Math.round(remaining % 60)}s remaining`;
+// Prefix progress statuses with the batch position ("[2/5] Processing: 40%").
+function withJobPrefix(event, prefix) {
+    return {
+        reply: (channel, data) => {
+            if (channel === 'progress' && data && data.status) {
+                event.reply(channel, { ...data, status: `${prefix} ${data.status}` });
+            } else {
+                event.reply(channel, data);
+            }
+        }
+    };
 }
 
-// ============================================================================
-// VIDEO PROCESSING (trim+atrim+concat via filter_complex_script)
-// ============================================================================
-
-async function processVideoWithFilter(inputFile, outputFile, filterScriptPath, qualityPreset, expectedDuration, gopSize, event, useHardwareEncoder = true, streamInfo = null) {
-    if (isCancelled) throw new Error('Processing cancelled');
-
-    const encoding = getEncodingOptions(qualityPreset, useHardwareEncoder, streamInfo);
-    const args = [
-        '-hide_banner',
-        '-i', inputFile,
-        '-/filter_complex', filterScriptPath,
-        '-map', '[outv]',
-        '-map', '[outa]',
-        '-map_metadata', '0',
-        '-c:v', encoding.videoCodec,
-        ...encoding.videoQuality,
-        '-pix_fmt', encoding.pixFmt,
-        ...(gopSize ? ['-g', String(gopSize)] : []),
-        '-c:a', encoding.audioCodec,
-        '-b:a', encoding.audioBitrate,
-        '-avoid_negative_ts', 'make_zero',
-        '-movflags', '+faststart',
-        '-threads', '0',
-        '-y', outputFile
-    ];
-
-    event.reply('log', encoding.isHardware
-        ? `🎮 Using hardware encoder: ${encoding.videoCodec}`
-        : `💻 Using software encoder: ${encoding.videoCodec}`);
-    event.reply('log', `⚙️ FFmpeg: ${FFMPEG_PATH} ${args.join(' ')}`);
-
-    const startTime = Date.now();
-
-    await runFFmpeg(args, {
-        onProgress: (currentTime) => {
-            if (isCancelled) return;
-            let percent = Math.round((currentTime / expectedDuration) * 100);
-            if (!isFinite(percent) || percent < 0) percent = 0;
-            percent = Math.min(99, percent);
-            const elapsed = (Date.now() - startTime) / 1000;
-            event.reply('progress', { status: `Processing: ${percent}%${formatEta(percent, elapsed)}`, percent });
+// `onlyJobId` renders a single job (the review dialog's Render button).
+async function runQueue(event, sharedParams, { onlyJobId = null } = {}) {
+    if (isQueueRunning || isAnalyzing) return;
+    isQueueRunning = true;
+    resetCancellation();
+
+    // Failed/cancelled jobs get another chance on the next start; done jobs are kept
+    for (const job of jobQueue) {
+        if (onlyJobId !== null && job.id !== onlyJobId) continue;
+        if (job.status === 'failed' || job.status === 'cancelled') {
+            job.status = 'pending';
+            job.error = null;
+        }
+    }
+    // A synced group renders together: a companion that needs another go brings its master back
+    for (const job of jobQueue) {
+        const master = syncMaster(job);
+        if (master && job.status === 'pending' && master.status === 'done') master.status = 'pending';
+    }
+    notifyQueue();
+
+    const summary = { done: 0, failed: 0, total: 0 };
+    let lastOutputFile = null;
+    let lastError = null;
+
+    // Pick the next pending job each round so reorder/remove while running is honored.
+    // Companions are not picked on their own; they render right after their master.
+    let job;
+    const isRunnable = (j) => j.status === 'pending' && !syncMaster(j) && (onlyJobId === null || j.id === onlyJobId);
+    const willRun = (j) => isRunnable(j) || (j.status === 'pending' && !!syncMaster(j) && isRunnable(syncMaster(j)));
+    while (!isProcessingCancelled() && (job = jobQueue.find(isRunnable))) {
+        const position = summary.done + summary.failed + 1;
+        const total = position + jobQueue.filter(willRun).length - 1;
+        summary.total = total;
+        const companions = jobQueue.filter(j => syncMaster(j) === job && j.status !== 'processing');
+        const group = [job, ...companions];
+        for (const member of group) member.status = 'processing';
+        notifyQueue();
+
+        const params = buildJobParams(job, sharedParams);
+        if (job.reviewedRanges) params.silenceRanges = job.reviewedRanges;
+        if (job.subtitleFiles) params.subtitleFiles = job.subtitleFiles;
+        event.reply('log', `📁 [${position}/${total}] ${path.basename(job.inputPath)}`);
+        if (job.overrides) {
+            event.reply('log', `🎛️ Per-file settings: ${JSON.stringify(job.overrides)}`);
         }
-    });
 
-    event.reply('progress', { status: 'Processing: 100% — Complete!', percent: 100 });
-}
+        if (companions.length) {
+            event.reply('log', `🔗 Synced: ${companions.map(c => `${path.basename(c.inputPath)} (${c.syncOffset >= 0 ? '+' : ''}${c.syncOffset}s)`).join(', ')}`);
+        }
 
-// ============================================================================
-// AUDIO NORMALIZATION ONLY (when no silence found)
-// ============================================================================
+        const finishJob = (member, outputFile) => {
+            if (outputFile) {
+                member.resumeParams = null;
+                member.status = 'done';
+                member.outputFile = outputFile;
+                lastOutputFile = outputFile;
+                summary.done++;
+            } else {
+                member.status = 'cancelled';
+            }
+        };
+        const failJob = (member, message) => {
+            member.status = 'failed';
+            member.error = message || 'Unknown error';
+            lastError = member.error;
+            summary.failed++;
+        };
 
-async function normalizeAudioOnly(inputFile, outputFile, qualityPreset, event, metadata) {
-    if (isCancelled) throw new Error('Processing cancelled');
+        try {
+            const jobEvent = withJobPrefix(event, `[${position}/${total}]`);
+            if (companions.length) {
+                // Results arrive in group order: master first, then each companion
+                let next = 0;
+                await processSyncedJobs(params, companions.map(c => ({
+                    inputPath: c.inputPath,
+                    offset: c.syncOffset,
+                    subtitleFiles: c.subtitleFiles
+                })), jobEvent, ({ outputFile, error }) => {
+                    const member = group[next++];
+                    if (error) failJob(member, error);
+                    else finishJob(member, outputFile);
+                    notifyQueue();
+                });
+            } else {
+                if (params.resumable) rememberUnfinishedJob(job, params);
+                const outputFile = await processJob(params, jobEvent);
+                if (outputFile && params.resumable) forgetUnfinishedJob(params);
+                finishJob(job, outputFile);
+            }
+        } catch (error) {
+            const cancelled = isProcessingCancelled() || (error.message && error.message.includes('cancelled'));
+            if (!cancelled) event.reply('log', `❌ Error: ${error.message || 'Unknown error'}`);
+            for (const member of group) {
+                if (member.status !== 'processing') continue;
+                if (cancelled) member.status = 'cancelled';
+                else failJob(member, error.message);
+            }
+        }
+        // Members a cancel never reached
+        for (const member of group) {
+            if (member.status === 'processing') member.status = 'cancelled';
+        }
+        notifyQueue();
+    }
 
-    const inputDuration = metadata ? parseFloat(metadata.format.duration) : 0;
+    isQueueRunning = false;
 
-    event.reply('log', `🔊 Measuring loudness (pass 1/2)...`);
-    let measured = null;
-    try {
-        measured = await measureLoudness(inputFile);
-    } catch (e) { /* fall back to single-pass */ }
-    if (isCancelled) throw new Error('Processing cancelled');
-
-    const loudnormFilter = buildLoudnormFilter(measured);
-    event.reply('log', measured
-        ? `✅ Loudness measured (I=${measured.input_i} LUFS) — applying (pass 2/2)`
-        : `⚠️ Measurement unavailable — using single-pass loudnorm`);
-
-    const encoding = getEncodingOptions(qualityPreset, false, extractStreamInfo(metadata));
-    const args = [
-        '-hide_banner',
-        '-i', inputFile,
-        '-c:v', 'copy',
-        '-c:a', encoding.audioCodec,
-        '-b:a', encoding.audioBitrate,
-        '-af', loudnormFilter,
-        '-map_metadata', '0',
-        '-threads', '0',
-        '-y', outputFile
-    ];
-
-    const startTime = Date.now();
-    event.reply('progress', { status: 'Normalizing audio...', percent: 50 });
-
-    await runFFmpeg(args, {
-        onProgress: (currentTime) => {
-            if (isCancelled || !inputDuration) return;
-            const pv = Math.min(100, (currentTime / inputDuration) * 100);
-            const finalPercent = Math.min(100, 50 + (pv / 2));
-            const elapsed = (Date.now() - startTime) / 1000;
-            event.reply('progress', { status: `Normalizing: ${pv.toFixed(1)}%${formatEta(pv, elapsed)}`, percent: finalPercent });
+    if (isProcessingCancelled()) {
+        event.reply('log', `⚠️ Processing cancelled by user`);
+        event.reply('completed', { success: false, cancelled: true, outputFile: null, summary });
+    } else if (summary.done === 0 && summary.failed > 0) {
+        event.reply('completed', { success: false, cancelled: false, error: lastError, outputFile: null, summary });
+    } else {
+        if (summary.total > 1) {
+            event.reply('log', `📋 Batch finished: ${summary.done} done, ${summary.failed} failed`);
         }
-    });
-
-    event.reply('log', `✅ Audio normalized successfully`);
+        event.reply('completed', { success: true, outputFile: lastOutputFile, summary });
+    }
 }
 
 // ============================================================================
-// SILENCE DETECTION (optimized with -vn: audio-only analysis)
+// IPC HANDLERS
 // ============================================================================
 
-function parseSilenceLine(line) {
-    const silenceStart = line.match(/silence_start: (-?[\d.]+)/);
-    const silenceEnd = line.match(/silence_end: (-?[\d.]+)/);
-    return {
-        start: silenceStart ? parseFloat(silenceStart[1]) : null,
-        end: silenceEnd ? parseFloat(silenceEnd[1]) : null
-    };
-}
-
-function processSilenceRange(startTime, endTime, paddingDuration) {
-    const adjustedStart = startTime + paddingDuration;
-    const adjustedEnd = endTime - paddingDuration;
-    return {
-        adjustedStart,
-        adjustedEnd,
-        duration: adjustedEnd - adjustedStart
-    };
-}
+ipcMain.on('select-input', async () => {
+    const result = await dialog.showOpenDialog(mainWindow, {
+        properties: ['openFile', 'multiSelections'],
+        filters: [
+            { name: 'Video & Audio Files', extensions: [...VIDEO_EXTENSIONS, ...AUDIO_EXTENSIONS] },
+            { name: 'Video Files', extensions: VIDEO_EXTENSIONS },
+            { name: 'Audio Files', extensions: AUDIO_EXTENSIONS }
+        ]
+    });
 
-async function detectSilence(inputFile, params, event) {
-    if (isCancelled) throw new Error('Processing cancelled');
+    if (!result.canceled && result.filePaths.length > 0) {
+        await addToQueue(result.filePaths);
+    }
+});
 
-    const silenceRanges = [];
-    let startTime = null;
+ipcMain.on('queue-add', async (event, paths) => {
+    await addToQueue(paths || []);
+});
 
-    event.reply('log', `🔍 Starting silence analysis (audio-only mode)...`);
+// Cut a file with another queued file's cuts; `masterId` null gives it its own again.
+ipcMain.on('queue-set-sync', (event, id, masterId, offset) => {
+    const job = findJob(id);
+    if (!job || job.status === 'processing') return;
+    const master = masterId === null ? null : findJob(masterId);
+    // One level only: a master is never itself a companion
+    if (master && (master === job || syncMaster(master))) return;
+    job.syncMasterId = master ? master.id : null;
+    job.syncOffset = parseFloat(offset) || 0;
+    if (master) {
+        job.reviewedRanges = null;
+        for (const other of jobQueue) {
+            if (syncMaster(other) === job) other.syncMasterId = null;
+        }
+    }
+    if (job.status === 'done') job.status = 'pending';
+    notifyQueue();
+});
 
-    const args = [
-        '-hide_banner', '-vn', '-i', inputFile,
-        '-af', `silencedetect=noise=${params.silenceDb}dB:d=${params.minSilenceDuration}`,
-        '-f', 'null', '-'
-    ];
-    event.reply('log', `⚙️ FFmpeg: ${FFMPEG_PATH} ${args.join(' ')}`);
+ipcMain.on('queue-remove', (event, id) => {
+    const job = findJob(id);
+    if (!job || job.status === 'processing') return;
+    jobQueue = jobQueue.filter(j => j !== job);
+    notifyQueue();
+});
 
-    await runFFmpeg(args, {
-        onLine: (line) => {
-            const { start, end } = parseSilenceLine(line);
+ipcMain.on('queue-move', (event, id, delta) => {
+    const from = jobQueue.findIndex(j => j.id === id);
+    const to = from + delta;
+    if (from === -1 || to < 0 || to >= jobQueue.length) return;
+    const [job] = jobQueue.splice(from, 1);
+    jobQueue.splice(to, 0, job);
+    notifyQueue();
+});
 
-            if (start !== null) {
-                startTime = start;
-                event.reply('log', `🔇 Start: ${startTime}s`);
-            }
+ipcMain.on('queue-set-overrides', (event, id, overrides) => {
+    const job = findJob(id);
+    if (!job || job.status === 'processing') return;
+    job.overrides = overrides && Object.keys(overrides).length ? overrides : null;
+    job.resumeParams = null;
+    // Reviewed cuts were detected with the old settings — they no longer apply
+    job.reviewedRanges = null;
+    notifyQueue();
+});
 
-            if (end !== null && startTime !== null) {
-                const paddingDur = parseFloat(params.paddingDuration);
-                const { adjustedStart, adjustedEnd, duration } = processSilenceRange(startTime, end, paddingDur);
+// Attached subtitles replace the automatic same-named .srt lookup
+ipcMain.on('queue-attach-subtitles', async (event, id) => {
+    const job = findJob(id);
+    if (!job || job.status === 'processing') return;
+    const result = await dialog.showOpenDialog(mainWindow, {
+        properties: ['openFile', 'multiSelections'],
+        defaultPath: path.dirname(job.inputPath),
+        filters: [{ name: 'Subtitles', extensions: SUBTITLE_EXTENSIONS }]
+    });
+    if (result.canceled || result.filePaths.length === 0) return;
+    job.subtitleFiles = result.filePaths;
+    if (job.status === 'done') job.status = 'pending';
+    notifyQueue();
+});
 
-                event.reply('log', `🔊 End: ${end}s | Padding: ${paddingDur}s | Duration: ${duration.toFixed(3)}s`);
+ipcMain.on('queue-clear-subtitles', (event, id) => {
+    const job = findJob(id);
+    if (!job || job.status === 'processing') return;
+    job.subtitleFiles = null;
+    notifyQueue();
+});
 
-                if (duration > MIN_SEGMENT_DURATION) {
-                    silenceRanges.push({ start: adjustedStart, end: adjustedEnd });
-                    event.reply('log', `✓ Range: ${adjustedStart.toFixed(3)}s - ${adjustedEnd.toFixed(3)}s`);
-                } else {
-                    event.reply('log', `⚠️ Skipped: ${duration.toFixed(3)}s`);
-                }
-                startTime = null;
-            }
-        }
+// External recorder audio, synced to the file's own audio before detection
+ipcMain.on('queue-attach-external-audio', async (event, id) => {
+    const job = findJob(id);
+    if (!job || job.status === 'processing') return;
+    const result = await dialog.showOpenDialog(mainWindow, {
+        properties: ['openFile'],
+        defaultPath: path.dirname(job.inputPath),
+        filters: [{ name: 'Audio Files', extensions: AUDIO_EXTENSIONS }]
     });
+    if (result.canceled || result.filePaths.length === 0) return;
+    job.externalAudio = result.filePaths[0];
+    // Cuts reviewed on the camera audio no longer match
+    job.reviewedRanges = null;
+    job.resumeParams = null;
+    if (job.status === 'done') job.status = 'pending';
+    notifyQueue();
+});
 
-    event.reply('log', `✅ Found ${silenceRanges.length} silence ranges`);
-    return silenceRanges;
-}
+ipcMain.on('queue-set-external-mode', (event, id, mode) => {
+    const job = findJob(id);
+    if (!job || job.status === 'processing' || !EXTERNAL_AUDIO_MODES.includes(mode)) return;
+    job.externalAudioMode = mode;
+    job.reviewedRanges = null;
+    job.resumeParams = null;
+    if (job.status === 'done') job.status = 'pending';
+    notifyQueue();
+});
 
-// ============================================================================
-// VIDEO PROCESSING — ORCHESTRATOR
-// ============================================================================
+ipcMain.on('queue-clear-external-audio', (event, id) => {
+    const job = findJob(id);
+    if (!job || job.status === 'processing') return;
+    job.externalAudio = null;
+    job.reviewedRanges = null;
+    job.resumeParams = null;
+    notifyQueue();
+});
 
-async function processVideo(inputFile, outputFile, silenceRanges, normalizeAudio, qualityPreset, event, useHardwareEncoder, metadata) {
-    const inputDuration = parseFloat(metadata.format.duration);
-    const streamInfo = extractStreamInfo(metadata);
+ipcMain.on('queue-set-reviewed-ranges', (event, id, ranges) => {
+    const job = findJob(id);
+    if (!job || job.status === 'processing') return;
+    job.reviewedRanges = Array.isArray(ranges) ? ranges : null;
+    if (job.status === 'done') job.status = 'pending';
+    notifyQueue();
+});
 
-    const talkingRanges = calculateTalkingRanges(silenceRanges, inputDuration);
-    const stats = calculateDurationStats(silenceRanges, inputDuration);
-    const gopSize = Math.max(1, Math.round(getFrameRate(metadata) * 2));
+ipcMain.handle('analyze-job', async (event, id, sharedParams) => {
+    const job = findJob(id);
+    if (!job) return { error: 'File is no longer in the queue' };
+    if (isQueueRunning || isAnalyzing) return { error: 'Another job is running' };
 
-    event.reply('log', `📊 Input: ${stats.inputDuration.toFixed(1)}s | Removing: ${stats.totalSilenceDuration.toFixed(1)}s | Expected: ${stats.expectedOutputDuration.toFixed(1)}s`);
-    event.reply('log', `📦 Found ${talkingRanges.length} talking ranges`);
-    event.reply('log', `🎨 Quality: ${qualityPreset}`);
-    if (talkingRanges.length > 400) {
-        event.reply('log', `⚠️ High segment count (${talkingRanges.length}) — encoding a single large filtergraph may be slow`);
-    }
+    isAnalyzing = true;
+    resetCancellation();
+    const reporter = { reply: (channel, data) => event.sender.send(channel, data) };
+    const params = buildJobParams(job, sharedParams);
 
-    let loudnormFilter = null;
-    if (normalizeAudio) {
-        event.reply('log', `🔊 Audio normalization enabled (-16 LUFS, two-pass)`);
-        event.reply('log', `🔊 Measuring loudness (pass 1/2)...`);
-        try {
-            const measured = await measureLoudness(inputFile);
-            loudnormFilter = buildLoudnormFilter(measured);
-            event.reply('log', measured
-                ? `✅ Loudness measured (I=${measured.input_i} LUFS)`
-                : `⚠️ Measurement unavailable — using single-pass loudnorm`);
-        } catch (e) {
-            event.reply('log', `⚠️ Measurement error — using single-pass loudnorm`);
-        }
-        if (isCancelled) throw new Error('Processing cancelled');
+    try {
+        const result = await analyzeJob(params, reporter);
+        return result ? { success: true, ...result } : { cancelled: true };
+    } catch (error) {
+        if (isProcessingCancelled()) return { cancelled: true };
+        reporter.reply('log', `❌ Error: ${error.message}`);
+        return { error: error.message || 'Unknown error' };
+    } finally {
+        isAnalyzing = false;
     }
+});
 
-    const tempDir = path.join(path.dirname(outputFile), TEMP_DIR_NAME);
-
+// Audio tracks of a queued file, for the analysis source picker
+ipcMain.handle('get-audio-streams', async (event, id) => {
+    const job = findJob(id);
+    if (!job) return [];
     try {
-        const filterGraph = buildFilterScript(talkingRanges, normalizeAudio, loudnormFilter);
-        const filterScriptPath = await writeFilterScript(filterGraph, tempDir);
-
-        event.reply('log', `🚀 Processing ${normalizeAudio ? '(pass 2/2) ' : ''}with filter_complex_script (${talkingRanges.length} segments)`);
-
-        await processVideoWithFilter(inputFile, outputFile, filterScriptPath, qualityPreset, stats.expectedOutputDuration, gopSize, event, useHardwareEncoder, streamInfo);
-
-        event.reply('log', `✅ Video processing completed successfully`);
-    } finally {
-        try {
-            await fs.remove(tempDir);
-            event.reply('log', `🧹 Cleaned up temporary files`);
-        } catch (e) {
-            event.reply('log', `⚠️ Could not clean temp files: ${e.message}`);
-        }
+        return listAudioStreams(await getVideoMetadata(job.inputPath));
+    } catch (error) {
+        return [];
     }
-}
+});
 
-// ============================================================================
-// IPC HANDLERS
-// ============================================================================
+ipcMain.handle('export-cut-list', async (event, id, format, ranges, outputPath) => {
+    const job = findJob(id);
+    if (!job) return { error: 'File is no longer in the queue' };
+    try {
+        const outputFile = await writeCutList(job.inputPath, ranges, format, outputPath);
+        event.sender.send('log', `📤 Cut list exported: ${outputFile}`);
+        return { success: true, outputFile };
+    } catch (error) {
+        return { error: error.message || 'Unknown error' };
+    }
+});
 
-ipcMain.on('select-input', async (event) => {
-    const result = await dialog.showOpenDialog(mainWindow, {
-        properties: ['openFile'],
-        filters: [{ name: 'Video Files', extensions: VIDEO_EXTENSIONS }]
-    });
+ipcMain.on('render-job', (event, id, sharedParams, ranges) => {
+    const job = findJob(id);
+    if (!job || job.status === 'processing') return;
+    job.reviewedRanges = ranges;
+    job.status = 'pending';
+    runQueue(event, sharedParams, { onlyJobId: id });
+});
 
-    if (!result.canceled && result.filePaths.length > 0) {
-        event.reply('input-selected', result.filePaths[0]);
-    }
+ipcMain.on('queue-clear', () => {
+    jobQueue = jobQueue.filter(j => j.status === 'processing');
+    notifyQueue();
 });
 
 ipcMain.on('select-output', async (event) => {
@@ -792,6 +676,7 @@ ipcMain.on('get-encoder-info', async (event) => {
         try { await hwDetectionPromise; } catch (e) { /* ignore */ }
     }
 
+    const detectedHWEncoder = getHardwareEncoder();
     if (detectedHWEncoder) {
         const descriptions = {
             videotoolbox: 'Apple VideoToolbox — hardware encode via macOS GPU',
@@ -810,78 +695,8 @@ ipcMain.on('get-encoder-info', async (event) => {
     }
 });
 
-ipcMain.on('start-processing', async (event, params) => {
-    isCancelled = false;
-    clearActiveProcess();
-
-    try {
-        const outputFile = path.join(
-            params.outputPath,
-            `processed_${path.basename(params.inputPath)}`
-        );
-
-        event.reply('progress', { status: 'Phase 1: Analyzing audio for silence...', percent: 0 });
-
-        const metadata = await getVideoMetadata(params.inputPath);
-
-        // No audio stream → silence removal / normalization is meaningless
-        if (!hasAudioStream(metadata)) {
-            event.reply('log', `⚠️ No audio stream found — copying video as-is`);
-            await fs.copyFile(params.inputPath, outputFile);
-            event.reply('progress', { status: 'Complete! (no audio to process)', percent: 100 });
-            event.reply('completed', { success: true, outputFile });
-            return;
-        }
-
-        const silenceRanges = await detectSilence(params.inputPath, params, event);
-
-        if (isCancelled) {
-            event.reply('completed', { success: false, cancelled: true, outputFile: null });
-            return;
-        }
-
-        if (silenceRanges.length === 0) {
-            event.reply('log', `ℹ️ No silence found, processing file...`);
-            event.reply('progress', { status: 'No silences detected — processing file...', percent: 50 });
-
-            if (params.normalizeAudio) {
-                event.reply('log', `🔊 Normalizing audio to -16 LUFS (YouTube standard)...`);
-                await normalizeAudioOnly(params.inputPath, outputFile, params.qualityPreset || 'medium', event, metadata);
-            } else {
-                await fs.copyFile(params.inputPath, outputFile);
-            }
-
-            if (isCancelled) {
-                try { await fs.remove(outputFile); } catch (e) { /* ignore */ }
-                event.reply('completed', { success: false, cancelled: true, outputFile: null });
-                return;
-            }
-
-            event.reply('progress', { status: 'Complete! No processing needed.', percent: 100 });
-            event.reply('completed', { success: true, outputFile });
-            return;
-        }
-
-        event.reply('progress', { status: 'Phase 2: Processing video (removing silences)...', percent: 0 });
-
-        await processVideo(params.inputPath, outputFile, silenceRanges, params.normalizeAudio, params.qualityPreset || 'medium', event, params.useHardwareEncoder !== false, metadata);
-
-        if (isCancelled) {
-            try { await fs.remove(outputFile); } catch (e) { /* ignore */ }
-            event.reply('completed', { success: false, cancelled: true, outputFile: null });
-        } else {
-            event.reply('completed', { success: true, outputFile });
-        }
-    } catch (error) {
-        if (isCancelled || (error.message && error.message.includes('cancelled'))) {
-            event.reply('log', `⚠️ Processing cancelled by user`);
-            event.reply('completed', { success: false, cancelled: true, outputFile: null });
-        } else {
-            const errorMessage = error.message || 'Unknown error';
-            event.reply('log', `❌ Error: ${errorMessage}`);
-            event.reply('completed', { success: false, cancelled: false, error: errorMessage, outputFile: null });
-        }
-    }
+ipcMain.on('start-processing', (event, params) => {
+    runQueue(event, params);
 });
 
 ipcMain.on('show-in-folder', (event, filePath) => {
@@ -894,6 +709,20 @@ ipcMain.on('save-settings', (event, settings) => {
     saveConfig(config);
 });
 
+ipcMain.handle('get-analysis-cache', () => getAnalysisCacheInfo());
+
+ipcMain.handle('get-denoise-model', () => ({ available: hasDenoiseModel() }));
+
+ipcMain.handle('clear-analysis-cache', () => clearAnalysisCache());
+
+ipcMain.on('show-analysis-cache', async () => {
+    const { dir } = await getAnalysisCacheInfo();
+    if (dir) {
+        await fs.ensureDir(dir);
+        shell.openPath(dir);
+    }
+});
+
 ipcMain.handle('load-settings', () => {
     const config = loadConfig();
     return config.settings || null;
@@ -907,10 +736,14 @@ app.whenReady().then(async () => {
     try {
         setupFFmpegBinaries();
         createWindow();
+        setCollisionHandler(askOutputCollision);
+        mainWindow.webContents.once('did-finish-load', () => {
+            offerUnfinishedJobs().catch(e => console.error('Could not check unfinished jobs:', e));
+        });
 
         // Detect GPU encoder in the background so the window opens instantly
         hwDetectionPromise = detectHardwareEncoderAsync().then((enc) => {
-            detectedHWEncoder = enc;
+            setHardwareEncoder(enc);
             return enc;
         });
     } catch (error) {
@@ -0,0 +1,3497 @@
+// Processing pipeline shared by the Electron app (main.js) and the CLI (cli.js).
+// Keep Electron imports out of this file so it runs under plain Node.
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs-extra');
+const crypto = require('crypto');
+const { spawn, execFile } = require('child_process');
+const { EXPORT_FORMATS, buildCutList } = require('./exporters');
+const { SUBTITLE_EXTENSIONS, getSubtitleFormat, retimeSubtitleText } = require('./subtitles');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const MIN_SEGMENT_DURATION = 0.05;
+const TEMP_DIR_NAME = '.klyppr_temp';
+
+// Delivery loudness standards: integrated (LUFS), true peak (dBTP), loudness range (LU)
+const LOUDNESS_TARGETS = {
+    default: { label: 'Default (-16 LUFS)', I: -16, TP: -1.5, LRA: 11 },
+    spotify: { label: 'Spotify (-14 LUFS)', I: -14, TP: -1, LRA: 11 },
+    apple: { label: 'Apple Podcasts (-16 LUFS)', I: -16, TP: -1, LRA: 11 },
+    ebu: { label: 'EBU R128 (-23 LUFS)', I: -23, TP: -1, LRA: 15 },
+    atsc: { label: 'ATSC A/85 (-24 LKFS)', I: -24, TP: -2, LRA: 15 }
+};
+const DEFAULT_LOUDNESS_TARGET = 'default';
+
+// Fallback loudnorm target when a job does not pick one
+const LOUDNORM_TARGET = loudnormTarget(LOUDNESS_TARGETS[DEFAULT_LOUDNESS_TARGET]);
+
+const PLATFORM = {
+    isMac: process.platform === 'darwin'
+};
+
+const VIDEO_EXTENSIONS = [
+    'mp4', 'avi', 'mov', 'mkv', 'webm', 'flv', 'ts',
+    'm4v', 'wmv', '3gp', 'mpg', 'mpeg', 'mts', 'vob'
+];
+
+// Podcasts, voice memos: cut and encoded through the audio-only filtergraph
+const AUDIO_EXTENSIONS = [
+    'mp3', 'wav', 'm4a', 'flac', 'aac', 'ogg', 'opus', 'wma', 'aiff', 'aif'
+];
+
+// GPU encoder quality settings (higher = better quality)
+const HW_QUALITY_SETTINGS = {
+    // VideoToolbox (macOS) — uses quality percentage (1-100)
+    videotoolbox: { fast: 35, medium: 55, high: 75, lossless: 90 },
+    // NVENC (NVIDIA) — uses CQ value (lower = better, like CRF)
+    nvenc: { fast: 32, medium: 24, high: 18, lossless: 16 },
+    // QSV (Intel) — uses global_quality
+    qsv: { fast: 32, medium: 24, high: 18, lossless: 16 },
+    // AMF (AMD) — uses quality level
+    amf: { fast: 32, medium: 24, high: 18, lossless: 16 }
+};
+
+// Map the INPUT video codec to a matching encoder per backend, so the output keeps
+// the same codec it came in with (h264 in → h264 out, hevc in → hevc out, …).
+const VIDEO_ENCODERS = {
+    h264: { sw: 'libx264', nvenc: 'h264_nvenc', videotoolbox: 'h264_videotoolbox', qsv: 'h264_qsv', amf: 'h264_amf' },
+    hevc: { sw: 'libx265', nvenc: 'hevc_nvenc', videotoolbox: 'hevc_videotoolbox', qsv: 'hevc_qsv', amf: 'hevc_amf' },
+    vp9:  { sw: 'libvpx-vp9' },
+    av1:  { sw: 'libsvtav1' },
+    mpeg4: { sw: 'mpeg4' },
+    prores: { sw: 'prores_ks' }
+};
+
+// Map the INPUT audio codec to a matching encoder, so audio stays the same codec.
+const AUDIO_ENCODERS = {
+    aac: 'aac', mp3: 'libmp3lame', opus: 'libopus', vorbis: 'libvorbis',
+    ac3: 'ac3', eac3: 'eac3', flac: 'flac', alac: 'alac',
+    pcm_s16le: 'pcm_s16le', pcm_s24le: 'pcm_s24le',
+    pcm_s16be: 'pcm_s16be', pcm_s24be: 'pcm_s24be', wmav2: 'wmav2'
+};
+
+// Encoders that take no bitrate
+const LOSSLESS_AUDIO_ENCODERS = ['flac', 'alac', 'pcm_s16le', 'pcm_s24le', 'pcm_s16be', 'pcm_s24be'];
+
+// Resolved at startup (bundled binaries in the app, system ffmpeg in the CLI)
+let FFMPEG_PATH = null;
+let FFPROBE_PATH = null;
+
+// Detected asynchronously after startup — null means software encoding
+let detectedHWEncoder = null;
+
+// RNNoise model for arnndn (bundled with the app; optional)
+let RNN_MODEL_PATH = null;
+
+// Where raw analysis results are cached (user data in the app); null = no caching
+let ANALYSIS_CACHE_DIR = null;
+
+// ============================================================================
+// ACTIVE PROCESS TRACKING (for cancel support)
+// ============================================================================
+
+// Several ffmpeg processes run at once during parallel chunked encoding
+const activeProcesses = new Set();
+let isCancelled = false;
+
+function setActiveProcess(proc) {
+    activeProcesses.add(proc);
+}
+
+// Without `proc`, forget every tracked process.
+function clearActiveProcess(proc) {
+    if (proc) activeProcesses.delete(proc);
+    else activeProcesses.clear();
+}
+
+function resetCancellation() {
+    isCancelled = false;
+    clearActiveProcess();
+}
+
+function isProcessingCancelled() {
+    return isCancelled;
+}
+
+function killProcess(proc) {
+    try {
+        proc.kill('SIGTERM');
+    } catch (e) { /* Process may have already exited */ }
+}
+
+function cancelActiveProcess() {
+    isCancelled = true;
+    for (const proc of activeProcesses) killProcess(proc);
+    clearActiveProcess();
+}
+
+// ============================================================================
+// FFMPEG SETUP
+// ============================================================================
+
+function setFFmpegPaths({ ffmpeg, ffprobe }) {
+    FFMPEG_PATH = ffmpeg;
+    FFPROBE_PATH = ffprobe;
+}
+
+function getFFmpegPath() {
+    return FFMPEG_PATH;
+}
+
+function setHardwareEncoder(encoder) {
+    detectedHWEncoder = encoder || null;
+}
+
+function setDenoiseModel(modelPath) {
+    RNN_MODEL_PATH = modelPath || null;
+}
+
+// The model is not shipped with every build; without it arnndn falls back to afftdn
+function hasDenoiseModel() {
+    return !!(RNN_MODEL_PATH && fs.existsSync(RNN_MODEL_PATH));
+}
+
+function getHardwareEncoder() {
+    return detectedHWEncoder;
+}
+
+/**
+ * Detect available hardware video encoders asynchronously (non-blocking).
+ * Runs `ffmpeg -encoders` and checks for GPU-accelerated H.264 encoders.
+ * Resolves to an encoder info object or null if none is available.
+ */
+function detectHardwareEncoderAsync() {
+    return new Promise((resolve) => {
+        execFile(FFMPEG_PATH, ['-hide_banner', '-encoders'],
+            { timeout: 8000, maxBuffer: 5 * 1024 * 1024 },
+            (err, stdout) => {
+                if (err) {
+                    console.log('💻 Hardware detection failed — using software encoding');
+                    return resolve(null);
+                }
+
+                const output = stdout || '';
+                const { isMac } = PLATFORM;
+
+                if (isMac) {
+                    if (output.includes('h264_videotoolbox')) {
+                        console.log('🎮 Hardware encoder detected: h264_videotoolbox (Apple GPU)');
+                        return resolve({ codec: 'h264_videotoolbox', type: 'videotoolbox' });
+                    }
+                } else {
+                    if (output.includes('h264_nvenc')) {
+                        console.log('🎮 Hardware encoder detected: h264_nvenc (NVIDIA GPU)');
+                        return resolve({ codec: 'h264_nvenc', type: 'nvenc' });
+                    }
+                    if (output.includes('h264_qsv')) {
+                        console.log('🎮 Hardware encoder detected: h264_qsv (Intel GPU)');
+                        return resolve({ codec: 'h264_qsv', type: 'qsv' });
+                    }
+                    if (output.includes('h264_amf')) {
+                        console.log('🎮 Hardware encoder detected: h264_amf (AMD GPU)');
+                        return resolve({ codec: 'h264_amf', type: 'amf' });
+                    }
+                }
+
+                console.log('💻 No hardware encoder found — using software encoding');
+                resolve(null);
+            });
+    });
+}
+
+// ============================================================================
+// FFMPEG RUNNER (spawn-based, replaces fluent-ffmpeg)
+// ============================================================================
+
+/**
+ * Run ffmpeg with the given args. Streams stderr line-by-line (onLine) and
+ * parses `time=` for progress (onProgress); onSpawn receives the child process.
+ * Resolves with the full stderr text (used by loudness measurement); rejects on
+ * non-zero exit or cancellation.
+ */
+function runFFmpeg(args, { onLine, onProgress, onSpawn } = {}) {
+    return new Promise((resolve, reject) => {
+        if (isCancelled) return reject(new Error('Processing cancelled'));
+
+        const proc = spawn(FFMPEG_PATH, args);
+        setActiveProcess(proc);
+        if (onSpawn) onSpawn(proc);
+
+        let fullStderr = '';
+        let lineBuffer = '';
+
+        proc.stderr.on('data', (chunk) => {
+            const text = chunk.toString();
+            fullStderr += text;
+
+            if (onProgress) {
+                const m = text.match(/time=\s*(\d+):(\d+):(\d+(?:\.\d+)?)/);
+                if (m) {
+                    const seconds = (+m[1]) * 3600 + (+m[2]) * 60 + parseFloat(m[3]);
+                    onProgress(seconds);
+                }
+            }
+
+            if (onLine) {
+                lineBuffer += text;
+                let nl;
+                while ((nl = lineBuffer.search(/\r?\n/)) !== -1) {
+                    const line = lineBuffer.slice(0, nl);
+                    const skip = (lineBuffer[nl] === '\r' && lineBuffer[nl + 1] === '\n') ? 2 : 1;
+                    lineBuffer = lineBuffer.slice(nl + skip);
+                    if (line) onLine(line);
+                }
+            }
+        });
+
+        proc.on('error', (err) => {
+            clearActiveProcess(proc);
+            reject(err);
+        });
+
+        proc.on('close', (code) => {
+            clearActiveProcess(proc);
+            if (onLine && lineBuffer) onLine(lineBuffer);
+            if (isCancelled) return reject(new Error('Processing cancelled'));
+            if (code === 0) resolve(fullStderr);
+            else {
+                const tail = fullStderr.trim().split('\n').slice(-3).join(' | ');
+                reject(new Error(`FFmpeg exited with code ${code}${tail ? `: ${tail}` : ''}`));
+            }
+        });
+    });
+}
+
+// ============================================================================
+// VIDEO METADATA HELPERS
+// ============================================================================
+
+function getVideoMetadata(inputFile) {
+    return new Promise((resolve, reject) => {
+        execFile(FFPROBE_PATH,
+            ['-v', 'quiet', '-print_format', 'json', '-show_format', '-show_streams', '-show_chapters', inputFile],
+            { maxBuffer: 20 * 1024 * 1024 },
+            (err, stdout) => {
+                if (err) return reject(err);
+                try {
+                    const meta = JSON.parse(stdout);
+                    if (meta.format && meta.format.duration != null) {
+                        meta.format.duration = parseFloat(meta.format.duration);
+                    }
+                    resolve(meta);
+                } catch (e) {
+                    reject(new Error('Could not parse ffprobe output'));
+                }
+            });
+    });
+}
+
+function hasAudioStream(metadata) {
+    return !!(metadata && metadata.streams && metadata.streams.some(s => s.codec_type === 'audio'));
+}
+
+// The first real video stream; cover art in MP3/M4A files is not one.
+function findVideoStream(metadata) {
+    return ((metadata && metadata.streams) || []).find(s =>
+        s.codec_type === 'video' && !(s.disposition && s.disposition.attached_pic)
+    ) || null;
+}
+
+function hasVideoStream(metadata) {
+    return !!findVideoStream(metadata);
+}
+
+// Pull the input's real codec/pixel-format/audio params so we can reproduce them on
+// output instead of imposing our own. "As it went in, so it comes out."
+// Audio-only inputs have no video fields (vcodec/pixFmt are null).
+function extractStreamInfo(metadata) {
+    const streams = (metadata && metadata.streams) || [];
+    const video = findVideoStream(metadata);
+    const v = video || {};
+    const a = streams.find(s => s.codec_type === 'audio') || {};
+    const abr = parseInt(a.bit_rate, 10);
+    return {
+        vcodec: video ? (v.codec_name || 'h264').toLowerCase() : null,
+        pixFmt: video ? (v.pix_fmt || 'yuv420p') : null,
+        // profile/level let smart render encode pieces that splice with the source
+        profile: v.profile || null,
+        level: v.level != null && v.level > 0 ? v.level : null,
+        acodec: (a.codec_name || 'aac').toLowerCase(),
+        // keep the source audio bitrate when known (rounded to kbps), else a safe default
+        abitrate: (abr && isFinite(abr)) ? `${Math.round(abr / 1000)}k` : null
+    };
+}
+
+function getFrameRate(metadata) {
+    const v = findVideoStream(metadata);
+    if (!v) return 30;
+    const rate = v.r_frame_rate || v.avg_frame_rate;
+    if (!rate) return 30;
+    const [num, den] = rate.split('/').map(Number);
+    const fps = den ? num / den : num;
+    return (fps && isFinite(fps) && fps > 0) ? fps : 30;
+}
+
+// Keyframe interval for re-encodes: one every two seconds
+function getGopSize(frameRate) {
+    return Math.max(1, Math.round(frameRate * 2));
+}
+
+// `silenceSpeed` > 1 is speed-up mode: silences stay in at 1/speed of their length.
+// `transitionOverlap` is the total time crossfades/dissolves fold neighbours into each other.
+function calculateDurationStats(silenceRanges, inputDuration, silenceSpeed = null, transitionOverlap = 0) {
+    const totalSilenceDuration = silenceRanges.reduce(
+        (sum, range) => sum + (range.end - range.start), 0
+    );
+    const keptSilenceDuration = silenceSpeed > 1 ? totalSilenceDuration / silenceSpeed : 0;
+    return {
+        inputDuration,
+        totalSilenceDuration,
+        keptSilenceDuration,
+        transitionOverlap,
+        expectedOutputDuration: inputDuration - totalSilenceDuration + keptSilenceDuration - transitionOverlap
+    };
+}
+
+// ============================================================================
+// SEGMENT CALCULATION
+// ============================================================================
+
+// Configured minimum length (seconds), never below MIN_SEGMENT_DURATION
+function resolveMinDuration(value) {
+    return Math.max(MIN_SEGMENT_DURATION, parseFloat(value) || 0);
+}
+
+function calculateTalkingRanges(silenceRanges, videoDuration, minSegment = MIN_SEGMENT_DURATION) {
+    const talkingRanges = [];
+    let prevEnd = 0;
+    let keptPause = false;
+
+    for (const range of silenceRanges) {
+        if (prevEnd < range.start) {
+            const duration = range.start - prevEnd;
+            // The kept middle of a shortened pause is no speech segment; it stays however short
+            if (duration > (keptPause ? MIN_SEGMENT_DURATION : minSegment)) {
+                talkingRanges.push({ start: prevEnd, end: range.start });
+            }
+        }
+        prevEnd = range.end;
+        keptPause = !!range.keptPauseAfter;
+    }
+
+    if (prevEnd < videoDuration) {
+        const duration = videoDuration - prevEnd;
+        if (duration > minSegment) {
+            talkingRanges.push({ start: prevEnd, end: videoDuration });
+        }
+    }
+
+    return talkingRanges;
+}
+
+/**
+ * Speed-up mode: nothing is removed. The file becomes alternating segments,
+ * talking at normal speed and silences at `speed` (audio muted when
+ * `muteAudio`, else pitch-preserving atempo). Every segment carries `speed`,
+ * so all consumers of talking ranges keep working.
+ */
+function calculateSpeedSegments(silenceRanges, videoDuration, speed, muteAudio, minSegment = MIN_SEGMENT_DURATION) {
+    const segments = [];
+    const push = (start, end, segment) => {
+        if (end - start > minSegment) segments.push({ start, end, ...segment });
+    };
+
+    let prevEnd = 0;
+    for (const range of silenceRanges) {
+        push(prevEnd, range.start, { speed: 1 });
+        push(Math.max(prevEnd, range.start), range.end, { speed, mute: muteAudio });
+        prevEnd = range.end;
+    }
+    push(prevEnd, videoDuration, { speed: 1 });
+
+    return segments;
+}
+
+// What happens to a speech island shorter than the minimum segment: 'merge' cuts
+// it together with the pauses around it, 'absorb' keeps it by leaving the
+// shorter neighbouring pause in.
+const SHORT_ISLAND_MODES = ['merge', 'absorb'];
+
+/**
+ * Apply the minimum removed-gap and kept-segment lengths to detected silences:
+ * pauses shorter than `minGapDuration` (at least MIN_SEGMENT_DURATION) stay in,
+ * and speech islands shorter than `minSegmentDuration` (a cough, a keyboard
+ * click) are merged or absorbed per `islandMode`. Islands at the very start or
+ * end have one neighbour and are cut.
+ */
+function refineSilenceRanges(silenceRanges, duration, params, event) {
+    const minGap = resolveMinDuration(params.minGapDuration);
+    const minSegment = parseFloat(params.minSegmentDuration) || 0;
+    const absorb = params.islandMode === 'absorb';
+
+    const gaps = [];
+    let keptPauses = 0;
+    for (let i = 0; i < silenceRanges.length; i++) {
+        // The two cuts around the kept middle of a shortened pause are one pause
+        const pause = silenceRanges[i].keptPauseAfter && i + 1 < silenceRanges.length
+            ? [silenceRanges[i], silenceRanges[++i]]
+            : [silenceRanges[i]];
+        if (pause.reduce((sum, r) => sum + (r.end - r.start), 0) >= minGap) gaps.push(...pause);
+        else keptPauses++;
+    }
+
+    let islands = 0;
+    const refined = [];
+    // End of the previous pause, kept or left in: islands are measured from there
+    let prevEnd = 0;
+    // Set when the previous pause was left in, which already joined the island after it to speech
+    let joined = false;
+    // Set when what follows the previous cut is the kept middle of its pause, not speech
+    let keptPause = false;
+    for (const gap of gaps) {
+        const range = { ...gap };
+        const prev = refined[refined.length - 1];
+        const island = range.start - prevEnd;
+        const afterKeptPause = keptPause;
+        prevEnd = range.end;
+        keptPause = !!gap.keptPauseAfter;
+        if (afterKeptPause || island <= 0 || island >= minSegment) {
+            refined.push(range);
+            joined = false;
+            continue;
+        }
+        islands++;
+        if (!prev) {
+            range.start = 0;
+            refined.push(range);
+        } else if (!absorb) {
+            prev.end = range.end;
+        } else if (joined) {
+            refined.push(range);
+            joined = false;
+        } else if (prev.end - prev.start < range.end - range.start) {
+            // Leave the shorter pause in so the island joins the speech on that side
+            refined[refined.length - 1] = range;
+        } else {
+            joined = true;
+        }
+    }
+    const last = refined[refined.length - 1];
+    const tail = duration - prevEnd;
+    if (last && tail > 0 && tail < minSegment) {
+        if (!joined) last.end = duration;
+        islands++;
+    }
+
+    if (keptPauses) {
+        event.reply('log', `⏸️ Kept ${keptPauses} pause${keptPauses === 1 ? '' : 's'} shorter than ${minGap}s`);
+    }
+    if (islands) {
+        event.reply('log', `🏝️ ${islands} speech island${islands === 1 ? '' : 's'} under ${minSegment}s ${absorb ? 'absorbed into neighbouring speech' : 'merged into the surrounding cuts'}`);
+    }
+    return refined;
+}
+
+// Output length of a talking range or speed segment.
+function segmentOutputDuration(range) {
+    return (range.end - range.start) / (range.speed || 1);
+}
+
+// ============================================================================
+// CUT TRANSITIONS (micro-fades, crossfades, video dissolve)
+// ============================================================================
+
+/**
+ * Resolve the transition settings against the segments: `fade` is the audio fade
+ * in seconds, `overlap` how far neighbours overlap (crossfade mode or a video
+ * dissolve; 0 for plain micro-fades). Both are capped at half the shortest segment.
+ */
+function resolveTransitions(talkingRanges, options, event) {
+    const requested = Math.max(0, parseFloat(options.fadeDuration) || 0) / 1000;
+    const none = { fade: 0, overlap: 0, dissolve: false };
+    if (!requested || talkingRanges.length < 2) {
+        if (options.videoTransition === 'dissolve' && !requested) {
+            event.reply('log', `⚠️ Video dissolve needs a fade length — using hard cuts`);
+        }
+        return none;
+    }
+
+    const shortest = Math.min(...talkingRanges.map(segmentOutputDuration));
+    const fade = Math.min(requested, shortest / 2);
+    if (fade < requested) {
+        event.reply('log', `ℹ️ Fade shortened to ${Math.round(fade * 1000)}ms to fit the shortest segment`);
+    }
+    const dissolve = options.videoTransition === 'dissolve';
+    const overlap = dissolve || options.fadeMode === 'crossfade' ? fade : 0;
+    return { fade, overlap, dissolve };
+}
+
+// Micro-fades at every real cut: a segment fades in/out where it does not run on
+// from its neighbour (speed-up segments are contiguous) or where muting changes.
+function addCutFades(ranges, fade) {
+    if (!(fade > 0)) return ranges;
+    const isEdge = (a, b) => Math.abs(a.end - b.start) > 0.001 || !!a.mute !== !!b.mute;
+    return ranges.map((r, i) => {
+        const f = Math.min(fade, segmentOutputDuration(r) / 2);
+        return {
+            ...r,
+            fadeIn: i > 0 && isEdge(ranges[i - 1], r) ? f : 0,
+            fadeOut: i < ranges.length - 1 && isEdge(r, ranges[i + 1]) ? f : 0
+        };
+    });
+}
+
+// The output timeline under overlapping transitions: every segment but the last
+// gives up `overlap` seconds to the next one. Used for hard-cut video and
+// chapters so they stay in sync with the crossfaded audio (subtitles take the
+// overlap directly, see retimeCues).
+function shortenForOverlap(ranges, overlap) {
+    if (!(overlap > 0)) return ranges;
+    return ranges.map((r, i) => (i < ranges.length - 1
+        ? { ...r, end: r.end - overlap * (r.speed || 1) }
+        : r));
+}
+
+// ============================================================================
+// STREAM LAYOUT (every audio track, subtitles, timecode, data)
+// ============================================================================
+
+const TEXT_SUBTITLE_CODECS = ['subrip', 'srt', 'ass', 'ssa', 'mov_text', 'webvtt', 'text'];
+
+// Subtitle codec each output container can hold; others get no subtitles.
+const SUBTITLE_ENCODERS = {
+    '.mp4': 'mov_text', '.m4v': 'mov_text', '.mov': 'mov_text',
+    '.mkv': 'srt', '.webm': 'webvtt'
+};
+
+// Containers that store timecode as a tmcd track (-timecode) rather than a tag.
+const TMCD_CONTAINERS = ['.mp4', '.m4v', '.mov'];
+
+function streamCodecLabel(stream) {
+    const tag = stream.codec_tag_string && !stream.codec_tag_string.startsWith('[') ? stream.codec_tag_string : null;
+    return stream.codec_type === 'data'
+        ? (tag || stream.codec_name || 'unknown')
+        : (stream.codec_name || tag || 'unknown');
+}
+
+function describeStream(stream) {
+    const tags = stream.tags || {};
+    const label = [tags.language, tags.title].filter(Boolean).join(', ');
+    return `#${stream.index} ${stream.codec_type} (${streamCodecLabel(stream)}${label ? `, ${label}` : ''})`;
+}
+
+/**
+ * Decide what happens to every input stream: the first video stream is rendered,
+ * all audio tracks are cut with the same ranges, text subtitles are retimed, the
+ * start timecode is re-applied, and everything else is reported as dropped.
+ */
+function getStreamLayout(metadata, outputFile, { audioOnly = false } = {}) {
+    const ext = path.extname(outputFile).toLowerCase();
+    const layout = {
+        video: !audioOnly,
+        audio: [],
+        subtitles: [],
+        subtitleCodec: audioOnly ? null : (SUBTITLE_ENCODERS[ext] || null),
+        timecode: audioOnly ? null : getStartTimecode(metadata),
+        timecodeAsTrack: TMCD_CONTAINERS.includes(ext),
+        chaptersFile: null,
+        dropped: []
+    };
+    const drop = (stream, reason) => layout.dropped.push({ stream, reason });
+
+    let videoSeen = false;
+    let subtitlePosition = 0;
+    for (const stream of (metadata && metadata.streams) || []) {
+        switch (stream.codec_type) {
+            case 'video':
+                if (audioOnly) drop(stream, 'audio-only output');
+                else if (stream.disposition && stream.disposition.attached_pic) drop(stream, 'cover art is not carried');
+                else if (videoSeen) drop(stream, 'only the first video stream is rendered');
+                else videoSeen = true;
+                break;
+            case 'audio':
+                // Audio-only containers hold a single track
+                if (audioOnly && layout.audio.length) drop(stream, 'audio-only output keeps the first track');
+                else layout.audio.push(stream);
+                break;
+            case 'subtitle': {
+                const position = subtitlePosition++;
+                if (!TEXT_SUBTITLE_CODECS.includes(stream.codec_name)) drop(stream, 'bitmap subtitles cannot be retimed');
+                else if (!layout.subtitleCodec) drop(stream, `${audioOnly ? 'audio-only' : (ext || 'this')} output cannot hold subtitles`);
+                else layout.subtitles.push({ stream, position, file: null });
+                break;
+            }
+            case 'data':
+                // tmcd is re-created from layout.timecode
+                if (audioOnly || streamCodecLabel(stream) !== 'tmcd') drop(stream, 'data streams cannot be cut');
+                break;
+            default:
+                drop(stream, `${stream.codec_type || 'unknown'} streams are not carried`);
+        }
+    }
+    return layout;
+}
+
+function logStreamLayout(layout, normalizeAudio, event) {
+    if (layout.audio.length > 1) {
+        event.reply('log', `🎧 Keeping ${layout.audio.length} audio tracks: ${layout.audio.map(describeStream).join(' | ')}`);
+        if (normalizeAudio) event.reply('log', `🔊 Loudness normalization applies to the first audio track only`);
+    }
+    if (layout.subtitles.length) {
+        event.reply('log', `💬 Retiming ${layout.subtitles.length} subtitle stream(s) to the cut timeline`);
+    }
+    if (layout.timecode) {
+        event.reply('log', `🕒 Carrying start timecode ${layout.timecode}`);
+    }
+    for (const { stream, reason } of layout.dropped) {
+        event.reply('log', `⚠️ Dropping stream ${describeStream(stream)}: ${reason}`);
+    }
+}
+
+/**
+ * Extract each text subtitle stream, retime it to `talkingRanges` (joined with
+ * `overlap`-second crossfades) and write it to `tempDir`. ASS styling is kept
+ * when the output is MKV; everything else goes through SRT. Streams that fail
+ * to extract are dropped with a log line.
+ */
+async function prepareSubtitles(inputFile, layout, talkingRanges, overlap, tempDir, event) {
+    await fs.ensureDir(tempDir);
+    for (const sub of layout.subtitles) {
+        if (isCancelled) throw new Error('Processing cancelled');
+        const keepAss = layout.subtitleCodec === 'srt' && ['ass', 'ssa'].includes(sub.stream.codec_name);
+        const format = keepAss ? 'ass' : 'srt';
+        const rawPath = path.join(tempDir, `subtitle_${sub.position}_source.${format}`);
+        try {
+            await runFFmpeg(['-hide_banner', '-i', inputFile, '-map', `0:s:${sub.position}`, '-c:s', format, '-y', rawPath]);
+            const retimed = retimeSubtitleText(await fs.readFile(rawPath, 'utf8'), format, talkingRanges, overlap);
+            sub.file = path.join(tempDir, `subtitle_${sub.position}.${format}`);
+            sub.codec = keepAss ? 'ass' : null;
+            await fs.writeFile(sub.file, retimed.text, 'utf8');
+        } catch (error) {
+            if (isCancelled) throw error;
+            event.reply('log', `⚠️ Dropping stream ${describeStream(sub.stream)}: could not extract subtitles`);
+        }
+    }
+    layout.subtitles = layout.subtitles.filter(sub => sub.file);
+}
+
+/**
+ * Inputs and output options for the extra streams. Audio comes from the
+ * `[outa<k>]` filter outputs; tags are copied from input `sourceInput`;
+ * retimed subtitle files and the chapters file are added as inputs numbered
+ * from `firstExtraInput`. Source chapters are never copied as-is.
+ */
+function buildStreamArgs(layout, encoding, sourceInput, firstExtraInput) {
+    const inputArgs = [];
+    const outputArgs = [];
+
+    layout.audio.forEach((stream, k) => {
+        const bitrate = parseInt(stream.bit_rate, 10);
+        const keepFormat = k > 0 && !encoding.forceAudio;
+        const codec = keepFormat ? (AUDIO_ENCODERS[(stream.codec_name || '').toLowerCase()] || encoding.audioCodec) : encoding.audioCodec;
+        const kbps = keepFormat && bitrate > 0 ? `${Math.round(bitrate / 1000)}k` : encoding.audioBitrate;
+        outputArgs.push(
+            '-map', `[outa${k}]`,
+            `-c:a:${k}`, codec,
+            ...(kbps && !LOSSLESS_AUDIO_ENCODERS.includes(codec) ? [`-b:a:${k}`, kbps] : []),
+            ...(encoding.audioRate ? [`-ar:a:${k}`, String(encoding.audioRate)] : []),
+            `-map_metadata:s:a:${k}`, `${sourceInput}:s:a:${k}`
+        );
+    });
+
+    layout.subtitles.forEach((sub, j) => {
+        inputArgs.push('-i', sub.file);
+        outputArgs.push(
+            '-map', `${firstExtraInput + j}:0`,
+            `-c:s:${j}`, sub.codec || layout.subtitleCodec,
+            ...(sub.stream
+                ? [`-map_metadata:s:s:${j}`, `${sourceInput}:s:s:${sub.position}`]
+                : [`-metadata:s:s:${j}`, `title=${sub.title}`])
+        );
+    });
+
+    if (layout.chaptersFile) {
+        inputArgs.push('-f', 'ffmetadata', '-i', layout.chaptersFile);
+        outputArgs.push('-map_chapters', String(firstExtraInput + layout.subtitles.length));
+    } else {
+        outputArgs.push('-map_chapters', '-1');
+    }
+
+    if (layout.timecode) {
+        outputArgs.push(...(layout.timecodeAsTrack
+            ? ['-timecode', layout.timecode]
+            : ['-metadata', `timecode=${layout.timecode}`]));
+    }
+
+    return { inputArgs, outputArgs };
+}
+
+// ============================================================================
+// SUBTITLE SIDECARS (SRT / VTT / ASS files next to the input)
+// ============================================================================
+
+/**
+ * Subtitle files to retime for `params.inputPath`: the ones attached to the job,
+ * or else a same-named `.srt` next to the input (talk.mp4 → talk.srt).
+ */
+async function findSubtitleSidecars(params) {
+    if (Array.isArray(params.subtitleFiles) && params.subtitleFiles.length) {
+        return params.subtitleFiles.filter(file => getSubtitleFormat(file));
+    }
+    const parsed = path.parse(params.inputPath);
+    const candidate = path.join(parsed.dir, `${parsed.name}.srt`);
+    return await fs.pathExists(candidate) ? [candidate] : [];
+}
+
+// talk.en.srt next to talk.mp4 → processed_talk.en.srt next to processed_talk.mp4
+function sidecarOutputPath(inputFile, sidecarFile, outputFile) {
+    const inputName = path.parse(inputFile).name;
+    const sidecarName = path.basename(sidecarFile);
+    const suffix = sidecarName.startsWith(`${inputName}.`)
+        ? sidecarName.slice(inputName.length)
+        : `.${sidecarName}`;
+    return path.join(path.dirname(outputFile), path.parse(outputFile).name + suffix);
+}
+
+/**
+ * Retime each sidecar into `tempDir` (kept in its own format), like
+ * prepareSubtitles. Files that cannot be read are skipped with a log line so
+ * they never fail the render.
+ */
+async function retimeSidecars(sidecarFiles, talkingRanges, overlap, tempDir, event) {
+    const sidecars = [];
+    for (const [i, source] of sidecarFiles.entries()) {
+        const format = getSubtitleFormat(source);
+        try {
+            const retimed = retimeSubtitleText(await fs.readFile(source, 'utf8'), format, talkingRanges, overlap);
+            await fs.ensureDir(tempDir);
+            const file = path.join(tempDir, `sidecar_${i}.${format}`);
+            await fs.writeFile(file, retimed.text, 'utf8');
+            sidecars.push({ source, format, file });
+            event.reply('log', `💬 ${path.basename(source)}: ${retimed.kept} cues kept, ${retimed.dropped} dropped (fell in removed silence)`);
+        } catch (error) {
+            event.reply('log', `⚠️ Could not retime ${path.basename(source)}: ${error.message}`);
+        }
+    }
+    return sidecars;
+}
+
+// Mux retimed sidecars as soft subtitle tracks after the embedded ones.
+function addSidecarsToLayout(layout, sidecars, event) {
+    if (!sidecars.length) return;
+    if (!layout.subtitleCodec) {
+        event.reply('log', `⚠️ This output container cannot hold subtitles — sidecar files only`);
+        return;
+    }
+    for (const sidecar of sidecars) {
+        const keepAss = layout.subtitleCodec === 'srt' && ['ass', 'ssa'].includes(sidecar.format);
+        layout.subtitles.push({
+            stream: null,
+            position: null,
+            file: sidecar.file,
+            codec: keepAss ? 'ass' : null,
+            title: path.parse(sidecar.source).name
+        });
+    }
+}
+
+// Copy the retimed sidecars next to the finished output.
+async function publishSidecars(sidecars, inputFile, outputFile, event) {
+    for (const sidecar of sidecars) {
+        const target = sidecarOutputPath(inputFile, sidecar.source, outputFile);
+        await fs.copy(sidecar.file, target, { overwrite: true });
+        event.reply('log', `💬 Subtitles written: ${target}`);
+    }
+}
+
+// Nothing was cut: the sidecars still follow the output's name.
+async function copySidecarsUncut(sidecarFiles, inputFile, outputFile, event) {
+    for (const source of sidecarFiles) {
+        const target = sidecarOutputPath(inputFile, source, outputFile);
+        await fs.copy(source, target, { overwrite: true });
+        event.reply('log', `💬 Subtitles copied unchanged: ${target}`);
+    }
+}
+
+// ============================================================================
+// CHAPTERS (remap source chapters, create chapters at long pauses)
+// ============================================================================
+
+// Auto chapters closer than this to an existing chapter are skipped (seconds)
+const CHAPTER_MIN_SPACING = 1;
+
+/**
+ * Source time → output time. Times inside a removed range land on the next
+ * kept frame; times after the last kept range land on the end of the output.
+ */
+function mapSourceTime(t, talkingRanges) {
+    let offset = 0;
+    for (const r of talkingRanges) {
+        if (t < r.start) return offset;
+        if (t <= r.end) return offset + (t - r.start) / (r.speed || 1);
+        offset += segmentOutputDuration(r);
+    }
+    return offset;
+}
+
+/**
+ * Build the output chapter list: source chapters shifted through the cut
+ * timeline, plus (when `minPause` > 0) a chapter after every removed silence of
+ * at least `minPause` seconds. Chapters that collapse onto the same output time
+ * keep the later title.
+ */
+function buildChapters(sourceChapters, silenceRanges, talkingRanges, minPause) {
+    const outputDuration = talkingRanges.reduce((sum, r) => sum + segmentOutputDuration(r), 0);
+    let moved = 0;
+
+    const starts = [];
+    for (const chapter of sourceChapters || []) {
+        const sourceStart = parseFloat(chapter.start_time);
+        if (!isFinite(sourceStart)) continue;
+        const start = mapSourceTime(sourceStart, talkingRanges);
+        if (!talkingRanges.some(r => sourceStart >= r.start && sourceStart <= r.end)) moved++;
+        const title = (chapter.tags && chapter.tags.title) || `Chapter ${starts.length + 1}`;
+        const last = starts[starts.length - 1];
+        if (last && start - last.start < 0.001) last.title = title;
+        else starts.push({ start, title, auto: false });
+    }
+
+    let created = 0;
+    if (minPause > 0) {
+        for (const range of silenceRanges) {
+            if (range.end - range.start < minPause) continue;
+            const start = mapSourceTime(range.end, talkingRanges);
+            if (start <= 0 || start >= outputDuration) continue;
+            if (starts.some(c => Math.abs(c.start - start) < CHAPTER_MIN_SPACING)) continue;
+            starts.push({ start, title: null, auto: true });
+            created++;
+        }
+        starts.sort((a, b) => a.start - b.start);
+        // A lecture split at pauses needs a chapter at 0 as well
+        if (created && (!starts.length || starts[0].start > 0)) starts.unshift({ start: 0, title: null, auto: true });
+        starts.forEach((c, i) => { if (!c.title) c.title = `Chapter ${i + 1}`; });
+    }
+
+    const chapters = starts
+        .filter(c => c.start < outputDuration)
+        .map((c, i, list) => ({
+            start: c.start,
+            end: i + 1 < list.length ? list[i + 1].start : outputDuration,
+            title: c.title
+        }));
+    return { chapters, moved, created };
+}
+
+function escapeFFMetadata(value) {
+    return String(value).replace(/[=;#\\\n]/g, ch => `\\${ch}`);
+}
+
+function formatFFMetadataChapters(chapters) {
+    return ';FFMETADATA1\n' + chapters.map(c =>
+        `[CHAPTER]\nTIMEBASE=1/1000\nSTART=${Math.round(c.start * 1000)}\nEND=${Math.round(c.end * 1000)}\ntitle=${escapeFFMetadata(c.title)}\n`
+    ).join('');
+}
+
+/**
+ * Write the output chapters as an FFMETADATA file in `tempDir` and resolve with
+ * its path, or null when the output gets no chapters.
+ */
+async function prepareChapters(metadata, silenceRanges, talkingRanges, minPause, tempDir, event) {
+    const { chapters, moved, created } = buildChapters(metadata.chapters, silenceRanges, talkingRanges, minPause);
+    if (!chapters.length) return null;
+
+    const sourceCount = (metadata.chapters || []).length;
+    event.reply('log', `📑 Chapters: ${sourceCount} from source` +
+        (moved ? ` (${moved} moved out of removed silence)` : '') +
+        (minPause > 0 ? `, ${created} created at pauses ≥ ${minPause}s` : ''));
+
+    await fs.ensureDir(tempDir);
+    const chaptersFile = path.join(tempDir, 'chapters.txt');
+    await fs.writeFile(chaptersFile, formatFFMetadataChapters(chapters), 'utf8');
+    return chaptersFile;
+}
+
+// ============================================================================
+// ENCODING SETTINGS
+// ============================================================================
+
+function getEncodingOptions(qualityPreset = 'medium', useHardwareEncoder = true, streamInfo = null) {
+    const preset = qualityPreset || 'medium';
+    const isHigh = preset === 'high' || preset === 'lossless';
+    const info = streamInfo || {};
+
+    // Reproduce the INPUT's own formats instead of imposing ours:
+    //   - video encoder matches the input codec (h264→libx264/…, hevc→libx265/…)
+    //   - pixel format is carried through unchanged (keeps 4:2:0 as 4:2:0, etc.)
+    //   - audio keeps its codec and (when known) its bitrate
+    const inVcodec = (info.vcodec || 'h264').toLowerCase();
+    const pixFmt = info.pixFmt || 'yuv420p';
+    const audioCodec = AUDIO_ENCODERS[(info.acodec || 'aac').toLowerCase()] || 'aac';
+    const audioBitrate = LOSSLESS_AUDIO_ENCODERS.includes(audioCodec) ? null : (info.abitrate || '320k');
+    // An output profile forces one audio format on every track (and a rate Opus accepts)
+    const audio = { audioCodec, audioBitrate, audioRate: info.audioRate || null, forceAudio: !!info.forceAudio };
+    const family = VIDEO_ENCODERS[inVcodec] || VIDEO_ENCODERS.h264;
+
+    // Quality knob per preset. NEVER crf 0 — libx264 tags true-lossless as
+    // "High 4:4:4 Predictive", which hardware/software players render as a black screen.
+    // We do NOT pass -profile:v; the encoder derives the right profile from pixFmt.
+    const crf = preset === 'fast' ? 28 : preset === 'high' ? 18 : preset === 'lossless' ? 16 : 23;
+
+    // GPU path — only when this GPU actually has an encoder for the input's codec.
+    if (detectedHWEncoder && useHardwareEncoder && family[detectedHWEncoder.type]) {
+        const hwQuality = HW_QUALITY_SETTINGS[detectedHWEncoder.type] || {};
+        const qVal = hwQuality[preset] || hwQuality.high || hwQuality.medium;
+        let videoQuality;
+        switch (detectedHWEncoder.type) {
+            case 'videotoolbox':
+                videoQuality = ['-q:v', String(qVal)];
+                break;
+            case 'nvenc':
+                videoQuality = ['-preset', preset === 'fast' ? 'p1' : isHigh ? 'p7' : 'p4', '-cq', String(qVal), '-rc', 'vbr'];
+                break;
+            case 'qsv':
+                videoQuality = ['-global_quality', String(qVal), '-look_ahead', '1'];
+                break;
+            case 'amf':
+                videoQuality = ['-quality', preset === 'fast' ? 'speed' : isHigh ? 'quality' : 'balanced', '-qp_i', String(qVal), '-qp_p', String(qVal)];
+                break;
+            default:
+                videoQuality = ['-q:v', String(qVal)];
+        }
+        return { videoCodec: family[detectedHWEncoder.type], videoQuality, pixFmt, ...audio, isHardware: true };
+    }
+
+    // Software path — encoder matches the input codec family.
+    const sw = family.sw || 'libx264';
+    let videoQuality;
+    if (sw === 'libvpx-vp9') {
+        videoQuality = ['-crf', String(crf), '-b:v', '0'];
+    } else if (sw === 'libx265') {
+        videoQuality = ['-preset', preset === 'fast' ? 'veryfast' : isHigh ? 'medium' : 'fast', '-crf', String(crf)];
+    } else if (sw === 'libsvtav1') {
+        videoQuality = ['-crf', String(crf), '-preset', preset === 'fast' ? '10' : '6'];
+    } else if (sw === 'mpeg4') {
+        videoQuality = ['-q:v', preset === 'fast' ? '6' : isHigh ? '2' : '4'];
+    } else if (sw === 'prores_ks') {
+        // ProRes is intra-only: the preset picks LT / 422 / HQ instead of a CRF
+        videoQuality = ['-profile:v', preset === 'fast' ? '1' : isHigh ? '3' : '2', '-vendor', 'apl0'];
+    } else {
+        // libx264
+        videoQuality = ['-preset', preset === 'fast' ? 'veryfast' : isHigh ? 'medium' : 'veryfast', '-crf', String(crf)];
+    }
+    return { videoCodec: sw, videoQuality, pixFmt, ...audio, isHardware: false };
+}
+
+// ============================================================================
+// OUTPUT PROFILES (container + codecs instead of mirroring the input)
+// ============================================================================
+
+// `video`/`audio` are target codecs (unset = keep the source's). Delivery profiles
+// force `pixFmt`, or `pixFmt10` when the source is 10-bit and the codec carries it.
+const OUTPUT_PROFILES = {
+    source:       { label: 'Same as input' },
+    'mp4-h264':   { label: 'MP4 · H.264 / AAC', ext: 'mp4', video: 'h264', audio: 'aac', pixFmt: 'yuv420p' },
+    'mp4-hevc':   { label: 'MP4 · HEVC / AAC', ext: 'mp4', video: 'hevc', audio: 'aac', pixFmt: 'yuv420p', pixFmt10: 'yuv420p10le' },
+    mkv:          { label: 'MKV · source codecs', ext: 'mkv' },
+    'webm-vp9':   { label: 'WebM · VP9 / Opus', ext: 'webm', video: 'vp9', audio: 'opus', audioBitrate: '160k', audioRate: 48000, pixFmt: 'yuv420p', pixFmt10: 'yuv420p10le' },
+    'mov-prores': { label: 'MOV · ProRes 422 / PCM', ext: 'mov', video: 'prores', audio: 'pcm_s16le', pixFmt: 'yuv422p10le' },
+    mp3:          { label: 'MP3 (audio only)', ext: 'mp3', audioOnly: true, audio: 'mp3', audioBitrate: '192k' },
+    m4a:          { label: 'M4A · AAC (audio only)', ext: 'm4a', audioOnly: true, audio: 'aac', audioBitrate: '192k' },
+    wav:          { label: 'WAV (audio only)', ext: 'wav', audioOnly: true, audio: 'pcm_s16le' },
+    flac:         { label: 'FLAC (audio only)', ext: 'flac', audioOnly: true, audio: 'flac' }
+};
+
+// MP4-family containers; only these take -movflags +faststart
+const FASTSTART_CONTAINERS = ['.mp4', '.m4v', '.mov', '.m4a'];
+
+function getOutputProfile(id) {
+    return OUTPUT_PROFILES[id || 'source'] || null;
+}
+
+function containerArgs(outputFile) {
+    return FASTSTART_CONTAINERS.includes(path.extname(outputFile).toLowerCase()) ? ['-movflags', '+faststart'] : [];
+}
+
+// Target stream info for getEncodingOptions: the source's, with the profile's codecs on top.
+function applyOutputProfile(streamInfo, profile) {
+    if (!profile || (!profile.video && !profile.audio)) return streamInfo;
+    const tenBit = /p010|p1[02](le|be)?$/.test(streamInfo.pixFmt || '');
+    return {
+        ...streamInfo,
+        vcodec: profile.video || streamInfo.vcodec,
+        pixFmt: profile.video ? ((tenBit && profile.pixFmt10) || profile.pixFmt) : streamInfo.pixFmt,
+        acodec: profile.audio || streamInfo.acodec,
+        abitrate: profile.audio ? (profile.audioBitrate || null) : streamInfo.abitrate,
+        audioRate: profile.audioRate || null,
+        forceAudio: !!profile.audio
+    };
+}
+
+// Encoder names this ffmpeg build offers (cached per binary).
+const encoderLists = new Map();
+function listEncoders() {
+    if (!encoderLists.has(FFMPEG_PATH)) {
+        encoderLists.set(FFMPEG_PATH, new Promise((resolve) => {
+            execFile(FFMPEG_PATH, ['-hide_banner', '-encoders'], { timeout: 8000, maxBuffer: 5 * 1024 * 1024 }, (err, stdout) => {
+                if (err) return resolve(null);
+                const names = new Set();
+                for (const line of String(stdout).split('\n')) {
+                    const m = /^\s*[VAS][F.][S.][X.][B.][D.]\s+(\S+)/.exec(line);
+                    if (m) names.add(m[1]);
+                }
+                resolve(names);
+            });
+        }));
+    }
+    return encoderLists.get(FFMPEG_PATH);
+}
+
+/**
+ * Check the job's output profile against the input and this ffmpeg build before
+ * any work starts. Rejects with a message naming the problem.
+ */
+async function validateOutputProfile(params, metadata) {
+    const id = params.outputProfile || 'source';
+    const profile = getOutputProfile(id);
+    if (!profile) throw new Error(`Unknown output profile: ${id}`);
+    if (id === 'source') return profile;
+
+    const hasVideo = hasVideoStream(metadata);
+    if (profile.audioOnly && !hasAudioStream(metadata)) {
+        throw new Error(`${profile.label} needs an audio track, and this file has none`);
+    }
+    if (!profile.audioOnly && !hasVideo) {
+        throw new Error(`${profile.label} needs a video track, and this file has none — pick an audio-only profile`);
+    }
+
+    const encoders = await listEncoders();
+    if (encoders) {
+        const target = getEncodingOptions(params.qualityPreset, false, applyOutputProfile(extractStreamInfo(metadata), profile));
+        const needed = [...(profile.audioOnly ? [] : [target.videoCodec]), target.audioCodec];
+        const missing = needed.filter(name => !encoders.has(name));
+        if (missing.length) {
+            throw new Error(`${profile.label} needs the ${missing.join(' and ')} encoder${missing.length > 1 ? 's' : ''}, which this FFmpeg build lacks`);
+        }
+    }
+    return profile;
+}
+
+// ============================================================================
+// AUDIO LOUDNESS (two-pass loudnorm helpers)
+// ============================================================================
+
+// Bounds loudnorm accepts for a custom target
+const CUSTOM_LOUDNESS_LIMITS = {
+    I: { name: 'integrated loudness', range: [-70, -5], unit: 'LUFS' },
+    TP: { name: 'true peak', range: [-9, 0], unit: 'dBTP' },
+    LRA: { name: 'loudness range', range: [1, 20], unit: 'LU' }
+};
+
+function loudnormTarget(target) {
+    return `I=${target.I}:TP=${target.TP}:LRA=${target.LRA}`;
+}
+
+/**
+ * The job's loudness target: one of LOUDNESS_TARGETS by `params.loudnessTarget`,
+ * or 'custom' with `loudnessI` / `loudnessTP` / `loudnessLRA`. Throws on an
+ * unknown preset or custom values loudnorm would reject.
+ */
+function resolveLoudnessTarget(params) {
+    const id = params.loudnessTarget || DEFAULT_LOUDNESS_TARGET;
+    if (id !== 'custom') {
+        if (!LOUDNESS_TARGETS[id]) throw new Error(`Unknown loudness target: ${id}`);
+        return { id, ...LOUDNESS_TARGETS[id] };
+    }
+
+    const target = { I: parseFloat(params.loudnessI), TP: parseFloat(params.loudnessTP), LRA: parseFloat(params.loudnessLRA) };
+    for (const [key, limit] of Object.entries(CUSTOM_LOUDNESS_LIMITS)) {
+        const [min, max] = limit.range;
+        if (!(target[key] >= min && target[key] <= max)) {
+            throw new Error(`Custom ${limit.name} must be between ${min} and ${max} ${limit.unit}`);
+        }
+    }
+    return { id, label: `Custom (${target.I} LUFS)`, ...target };
+}
+
+/**
+ * Pass 1: measure loudness stats with loudnorm print_format=json.
+ * Silence gating in loudnorm means measuring the original (uncut) audio is
+ * effectively identical to measuring the cut result, so we skip the extra cut.
+ * Returns the parsed stats object, or null if measurement/parsing failed.
+ */
+async function measureLoudness(inputFile, target = LOUDNESS_TARGETS[DEFAULT_LOUDNESS_TARGET], prefilter = null) {
+    // Measure what loudnorm will actually see (after voice cleanup, if any)
+    const args = [
+        '-hide_banner', '-vn', '-i', inputFile,
+        '-af', `${prefilter ? `${prefilter},` : ''}loudnorm=${loudnormTarget(target)}:print_format=json`,
+        '-f', 'null', '-'
+    ];
+    const stderr = await runFFmpeg(args, {});
+    const open = stderr.lastIndexOf('{');
+    const close = stderr.lastIndexOf('}');
+    if (open === -1 || close <= open) return null;
+    try {
+        const stats = JSON.parse(stderr.slice(open, close + 1));
+        return (stats && stats.input_i != null) ? stats : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Build the pass-2 loudnorm filter string using measured stats (linear mode).
+ * Falls back to single-pass loudnorm when measurement is unavailable.
+ */
+function buildLoudnormFilter(measured, target = LOUDNESS_TARGETS[DEFAULT_LOUDNESS_TARGET]) {
+    if (!measured) return `loudnorm=${loudnormTarget(target)}`;
+    return `loudnorm=${loudnormTarget(target)}` +
+        `:measured_I=${measured.input_i}` +
+        `:measured_TP=${measured.input_tp}` +
+        `:measured_LRA=${measured.input_lra}` +
+        `:measured_thresh=${measured.input_thresh}` +
+        `:offset=${measured.target_offset}` +
+        `:linear=true`;
+}
+
+/**
+ * Measure the finished output and log loudness before → after against the
+ * target. `before` is the pass-1 measurement (or null). Resolves with
+ * { before, after } stats, or null when the output could not be measured.
+ */
+async function reportLoudness(outputFile, before, target, event) {
+    let after = null;
+    try {
+        after = await measureLoudness(outputFile, target);
+    } catch (e) { /* reported below */ }
+    if (!after) {
+        event.reply('log', `⚠️ Could not measure the output loudness`);
+        return null;
+    }
+
+    const change = (key, unit) => `${before ? `${before[key]} → ` : ''}${after[key]} ${unit}`;
+    event.reply('log', `📏 Loudness for ${target.label}: ${change('input_i', 'LUFS')} | ` +
+        `True peak: ${change('input_tp', 'dBTP')} | LRA: ${change('input_lra', 'LU')}`);
+    return { before, after };
+}
+
+// ============================================================================
+// VOICE CLEANUP (high-pass, denoise, de-ess, compressor, limiter)
+// ============================================================================
+
+const VOICE_DENOISERS = ['off', 'afftdn', 'arnndn'];
+const VOICE_DEESS = { light: 'deesser=i=0.3', strong: 'deesser=i=0.6' };
+// Gentle speech compression (-21 dB threshold, 3:1) and a -1 dBFS ceiling
+const VOICE_DYNAMICS = {
+    compressor: ['acompressor=threshold=0.089:ratio=3:attack=5:release=100:makeup=2'],
+    limiter: ['alimiter=limit=0.891:level=false'],
+    both: ['acompressor=threshold=0.089:ratio=3:attack=5:release=100:makeup=2', 'alimiter=limit=0.891:level=false']
+};
+
+// A file path as a filter option value: forward slashes, escaped colons, quoted.
+function filterPathArg(file) {
+    return `'${file.replace(/\\/g, '/').replace(/:/g, '\\:')}'`;
+}
+
+/**
+ * Build the voice cleanup chain from `params.voiceHighpass` (Hz),
+ * `voiceDenoise` (afftdn / arnndn), `voiceDeess` (light / strong) and
+ * `voiceDynamics` (compressor / limiter / both). Resolves to a comma-joined
+ * audio filter, or null when every stage is off. arnndn falls back to afftdn
+ * when no RNNoise model is installed. With `event`, the chain is logged.
+ */
+function buildVoiceChain(params, event = null) {
+    const stages = [];
+    const labels = [];
+
+    const highpass = parseFloat(params.voiceHighpass);
+    if (highpass > 0) {
+        stages.push(`highpass=f=${highpass}`);
+        labels.push(`high-pass ${highpass} Hz`);
+    }
+
+    let denoise = params.voiceDenoise || 'off';
+    if (denoise === 'arnndn' && !hasDenoiseModel()) {
+        if (event) event.reply('log', `⚠️ RNNoise model not found — using FFT noise reduction instead`);
+        denoise = 'afftdn';
+    }
+    if (denoise === 'afftdn') {
+        stages.push('afftdn=nr=12:nf=-40:tn=1');
+        labels.push('FFT denoise');
+    } else if (denoise === 'arnndn') {
+        stages.push(`arnndn=m=${filterPathArg(RNN_MODEL_PATH)}`);
+        labels.push('RNNoise denoise');
+    }
+
+    if (VOICE_DEESS[params.voiceDeess]) {
+        stages.push(VOICE_DEESS[params.voiceDeess]);
+        labels.push(`de-ess (${params.voiceDeess})`);
+    }
+    if (VOICE_DYNAMICS[params.voiceDynamics]) {
+        stages.push(...VOICE_DYNAMICS[params.voiceDynamics]);
+        labels.push(params.voiceDynamics === 'both' ? 'compressor, limiter' : params.voiceDynamics);
+    }
+
+    if (!stages.length) return null;
+    if (event) event.reply('log', `🎙️ Voice cleanup on the first audio track: ${labels.join(' → ')}`);
+    return stages.join(',');
+}
+
+// ============================================================================
+// FILTER SCRIPT GENERATION (trim/atrim + concat)
+// ============================================================================
+
+// Every audio track is cut with the same ranges; outputs are [outv] and
+// [outa0]..[outa<n-1>]. Loudnorm applies to the first track only.
+function buildFilterScript(talkingRanges, normalizeAudio, loudnormFilter, audioCount = 1) {
+    const filterParts = talkingRanges.map((r, i) => [
+        `[0:v]trim=start=${r.start.toFixed(4)}:end=${r.end.toFixed(4)},setpts=${videoPts(r)}[v${i}]`,
+        ...audioTrimParts(r, i, audioCount, 0)
+    ].join(';'));
+
+    const concatInputs = talkingRanges.map((_, i) => `[v${i}]` + audioLabels(i, audioCount)).join('');
+
+    return filterParts.join(';') + ';' + concatInputs +
+        `concat=n=${talkingRanges.length}:v=1:a=${audioCount}[outv]` +
+        audioOutputs(audioCount, normalizeAudio, loudnormFilter);
+}
+
+// Audio half of buildFilterScript, for passes where video is handled separately.
+function buildAudioFilterScript(talkingRanges, normalizeAudio, loudnormFilter, audioCount = 1, inputIndex = 0) {
+    const filterParts = talkingRanges.map((r, i) => audioTrimParts(r, i, audioCount, inputIndex).join(';'));
+    const concatInputs = talkingRanges.map((_, i) => audioLabels(i, audioCount)).join('');
+
+    return filterParts.join(';') + ';' + concatInputs +
+        `concat=n=${talkingRanges.length}:v=0:a=${audioCount}` +
+        audioOutputs(audioCount, normalizeAudio, loudnormFilter);
+}
+
+function audioTrimParts(range, i, audioCount, inputIndex) {
+    const parts = [];
+    for (let k = 0; k < audioCount; k++) {
+        parts.push(`[${inputIndex}:a:${k}]atrim=start=${range.start.toFixed(4)}:end=${range.end.toFixed(4)},asetpts=PTS-STARTPTS${audioSpeedFilters(range)}${audioFadeFilters(range)}[a${i}_${k}]`);
+    }
+    return parts;
+}
+
+// Fades from addCutFades, in output time (after any speed-up).
+function audioFadeFilters(range) {
+    let filters = '';
+    if (range.fadeIn > 0) filters += `,afade=t=in:d=${range.fadeIn.toFixed(4)}`;
+    if (range.fadeOut > 0) {
+        const start = segmentOutputDuration(range) - range.fadeOut;
+        filters += `,afade=t=out:st=${start.toFixed(4)}:d=${range.fadeOut.toFixed(4)}`;
+    }
+    return filters;
+}
+
+function videoPts(range) {
+    return range.speed > 1 ? `(PTS-STARTPTS)/${range.speed}` : 'PTS-STARTPTS';
+}
+
+// atempo is chained in steps of at most 2x so older ffmpeg builds accept it.
+function audioSpeedFilters(range) {
+    if (!(range.speed > 1)) return '';
+    const filters = [];
+    let remaining = range.speed;
+    while (remaining > 2) {
+        filters.push('atempo=2');
+        remaining /= 2;
+    }
+    filters.push(`atempo=${+remaining.toFixed(4)}`);
+    if (range.mute) filters.push('volume=0');
+    return ',' + filters.join(',');
+}
+
+/**
+ * Filtergraph for overlapping transitions: every audio track is chained through
+ * acrossfade; video either dissolves (xfade) or hard-cuts on the shortened
+ * timeline. Same outputs as buildFilterScript ([outv] only when `withVideo`).
+ */
+function buildCrossfadeScript(talkingRanges, overlap, dissolve, normalizeAudio, loudnormFilter, audioCount = 1, withVideo = true) {
+    const d = overlap.toFixed(4);
+    const videoRanges = shortenForOverlap(talkingRanges, overlap);
+    const parts = [];
+
+    talkingRanges.forEach((r, i) => {
+        if (withVideo) {
+            const v = dissolve ? r : videoRanges[i];
+            parts.push(`[0:v]trim=start=${v.start.toFixed(4)}:end=${v.end.toFixed(4)},setpts=${videoPts(v)}[v${i}]`);
+        }
+        parts.push(...audioTrimParts(r, i, audioCount, 0));
+    });
+
+    if (withVideo && dissolve) {
+        // xfade offsets are in the output of the chain so far
+        let offset = 0;
+        let prev = '[v0]';
+        for (let i = 1; i < talkingRanges.length; i++) {
+            offset += segmentOutputDuration(talkingRanges[i - 1]) - overlap;
+            const label = i === talkingRanges.length - 1 ? '[outv]' : `[vx${i}]`;
+            parts.push(`${prev}[v${i}]xfade=transition=fade:duration=${d}:offset=${offset.toFixed(4)}${label}`);
+            prev = label;
+        }
+    } else if (withVideo) {
+        parts.push(talkingRanges.map((_, i) => `[v${i}]`).join('') + `concat=n=${talkingRanges.length}:v=1:a=0[outv]`);
+    }
+
+    for (let k = 0; k < audioCount; k++) {
+        const out = k === 0 && normalizeAudio ? '[tmpa]' : `[outa${k}]`;
+        let prev = `[a0_${k}]`;
+        for (let i = 1; i < talkingRanges.length; i++) {
+            const label = i === talkingRanges.length - 1 ? out : `[ax${i}_${k}]`;
+            parts.push(`${prev}[a${i}_${k}]acrossfade=d=${d}:c1=tri:c2=tri${label}`);
+            prev = label;
+        }
+    }
+    if (normalizeAudio) parts.push(`[tmpa]${loudnormFilter || `loudnorm=${LOUDNORM_TARGET}`}[outa0]`);
+
+    return parts.join(';');
+}
+
+function audioLabels(i, audioCount) {
+    let labels = '';
+    for (let k = 0; k < audioCount; k++) labels += `[a${i}_${k}]`;
+    return labels;
+}
+
+function audioOutputs(audioCount, normalizeAudio, loudnormFilter) {
+    if (!audioCount) return '';
+    let outputs = normalizeAudio ? '[tmpa]' : '[outa0]';
+    for (let k = 1; k < audioCount; k++) outputs += `[outa${k}]`;
+    if (normalizeAudio) {
+        const ln = loudnormFilter || `loudnorm=${LOUDNORM_TARGET}`;
+        outputs += `;[tmpa]${ln}[outa0]`;
+    }
+    return outputs;
+}
+
+async function writeFilterScript(filterGraph, tempDir, name = 'filter_script.txt') {
+    await fs.ensureDir(tempDir);
+    const scriptPath = path.join(tempDir, name);
+    await fs.writeFile(scriptPath, filterGraph, 'utf8');
+    return scriptPath;
+}
+
+// List file for the concat demuxer (paths quoted for its own syntax).
+async function writeConcatList(files, listPath) {
+    const lines = files.map(file => `file '${file.replace(/'/g, `'\\''`)}'`);
+    await fs.writeFile(listPath, lines.join('\n') + '\n', 'utf8');
+    return listPath;
+}
+
+function formatEta(percent, elapsed) {
+    if (!(percent > 5 && elapsed > 2)) return '';
+    const remaining = Math.max(0, (elapsed / (percent / 100)) - elapsed);
+    return remaining < 60
+        ? ` — ~${Math.round(remaining)}s remaining`
+        : ` — ~${Math.round(remaining / 60)}m ${Math.round(remaining % 60)}s remaining`;
+}
+
+// ============================================================================
+// VIDEO PROCESSING (trim+atrim+concat via filter_complex_script)
+// ============================================================================
+
+async function processVideoWithFilter(inputFile, outputFile, filterScriptPath, qualityPreset, expectedDuration, gopSize, event, useHardwareEncoder, streamInfo, layout) {
+    if (isCancelled) throw new Error('Processing cancelled');
+
+    const encoding = getEncodingOptions(qualityPreset, useHardwareEncoder, streamInfo);
+    const streamArgs = buildStreamArgs(layout, encoding, 0, 1);
+    const videoArgs = layout.video ? [
+        '-map', '[outv]',
+        '-c:v', encoding.videoCodec,
+        ...encoding.videoQuality,
+        '-pix_fmt', encoding.pixFmt,
+        ...(gopSize ? ['-g', String(gopSize)] : [])
+    ] : [];
+    const args = [
+        '-hide_banner',
+        '-i', inputFile,
+        ...streamArgs.inputArgs,
+        '-/filter_complex', filterScriptPath,
+        ...videoArgs,
+        '-map_metadata', '0',
+        ...streamArgs.outputArgs,
+        '-avoid_negative_ts', 'make_zero',
+        ...containerArgs(outputFile),
+        '-threads', '0',
+        '-y', outputFile
+    ];
+
+    if (!layout.video) event.reply('log', `🎵 Audio-only output: ${encoding.audioCodec}`);
+    else event.reply('log', encoding.isHardware
+        ? `🎮 Using hardware encoder: ${encoding.videoCodec}`
+        : `💻 Using software encoder: ${encoding.videoCodec}`);
+    event.reply('log', `⚙️ FFmpeg: ${FFMPEG_PATH} ${args.join(' ')}`);
+
+    const startTime = Date.now();
+
+    await runFFmpeg(args, {
+        onProgress: (currentTime) => {
+            if (isCancelled) return;
+            let percent = Math.round((currentTime / expectedDuration) * 100);
+            if (!isFinite(percent) || percent < 0) percent = 0;
+            percent = Math.min(99, percent);
+            const elapsed = (Date.now() - startTime) / 1000;
+            event.reply('progress', { status: `Processing: ${percent}%${formatEta(percent, elapsed)}`, percent });
+        }
+    });
+
+    event.reply('progress', { status: 'Processing: 100% — Complete!', percent: 100 });
+}
+
+// ============================================================================
+// PARALLEL CHUNKED ENCODING (long recordings across CPU cores)
+// ============================================================================
+
+// Hardware encoders allow only a few concurrent sessions on consumer GPUs
+const MAX_HW_WORKERS = 2;
+
+// Slack (seconds) on top of one frame per range before a chunk or the joined file counts as drifted
+const JOIN_DURATION_TOLERANCE = 0.5;
+
+// A chunk that comes out the wrong length is encoded once more before giving up
+const CHUNK_ATTEMPTS = 2;
+
+// Each range may lose up to a frame to trimming; anything beyond that means the
+// encode did not line up with the plan
+function durationDrifted(actual, expected, rangeCount, frameRate) {
+    return !(Math.abs(actual - expected) <= JOIN_DURATION_TOLERANCE + rangeCount / frameRate);
+}
+
+// Duration of a rendered file in seconds, NaN when it cannot be probed
+async function probeDuration(file) {
+    try {
+        return parseFloat((await getVideoMetadata(file)).format.duration);
+    } catch (error) {
+        return NaN;
+    }
+}
+
+// Fixed-length closed GOPs with headers on every keyframe, so each chunk starts
+// clean and the stream-copied join decodes like one continuous encode.
+function chunkGopArgs(videoCodec, gopSize) {
+    const args = ['-g', String(gopSize), '-keyint_min', String(gopSize), '-flags', '+cgop'];
+    if (videoCodec === 'libx264') args.push('-x264-params', 'repeat-headers=1:open-gop=0:scenecut=0');
+    if (videoCodec === 'libx265') args.push('-x265-params', 'repeat-headers=1:open-gop=0:scenecut=0');
+    return args;
+}
+
+// Chunk count from the user setting: 'auto' = one per core, <2 = off.
+function resolveChunkCount(setting) {
+    if (setting === 'auto') return os.cpus().length;
+    const n = parseInt(setting, 10);
+    return n >= 2 ? n : 1;
+}
+
+/**
+ * Split talking ranges into at most `count` contiguous chunks of roughly equal
+ * output duration. Ranges are never split themselves.
+ */
+function splitIntoChunks(talkingRanges, count) {
+    const total = talkingRanges.reduce((sum, r) => sum + segmentOutputDuration(r), 0);
+    const target = total / count;
+    const chunks = [];
+    let current = [];
+    let acc = 0;
+    for (const range of talkingRanges) {
+        current.push(range);
+        acc += segmentOutputDuration(range);
+        if (acc >= target * (chunks.length + 1) && chunks.length < count - 1) {
+            chunks.push(current);
+            current = [];
+        }
+    }
+    if (current.length) chunks.push(current);
+    return chunks;
+}
+
+// Final-pass audio: every track passes through; loudnorm runs on the first
+// one over the whole joined file so gain is consistent across chunks.
+function buildJoinAudioScript(audioCount, normalizeAudio, loudnormFilter) {
+    const parts = [];
+    for (let k = 0; k < audioCount; k++) {
+        const filter = k === 0 && normalizeAudio ? (loudnormFilter || `loudnorm=${LOUDNORM_TARGET}`) : 'anull';
+        parts.push(`[0:a:${k}]${filter}[outa${k}]`);
+    }
+    return parts.join(';');
+}
+
+/**
+ * Encode the talking ranges as `chunkCount` chunks in parallel ffmpeg workers
+ * (bounded by the core count), then join them: video is stream-copied, audio
+ * (kept lossless as FLAC in the chunks) is encoded once. A failing worker stops
+ * its siblings; cancelActiveProcess kills all of them. Every chunk's duration
+ * is checked as it finishes and a drifted chunk is encoded again, so only that
+ * chunk is redone. Resolves false when a chunk stays off or the joined file's
+ * duration is off — the caller then encodes in a single pass.
+ */
+async function processVideoParallel(inputFile, outputFile, talkingRanges, normalizeAudio, loudnormFilter, qualityPreset, expectedDuration, event, useHardwareEncoder, streamInfo, layout, tempDir, chunking) {
+    const encoding = getEncodingOptions(qualityPreset, useHardwareEncoder, streamInfo);
+    const chunks = splitIntoChunks(talkingRanges, chunking.count);
+    const cores = os.cpus().length;
+    const workers = Math.max(1, Math.min(chunks.length, cores, chunking.maxWorkers || cores, encoding.isHardware ? MAX_HW_WORKERS : cores));
+    const threadsPerWorker = Math.max(1, Math.floor(cores / workers));
+    const audioCount = layout.audio.length;
+
+    const workerLabel = `${workers} worker${workers === 1 ? '' : 's'}`;
+    event.reply('log', `🧩 Encoding ${chunks.length} chunks on ${workerLabel} (${threadsPerWorker} threads each, ${encoding.videoCodec})`);
+    await fs.ensureDir(tempDir);
+
+    const gopSize = getGopSize(chunking.frameRate);
+    const chunkDurations = chunks.map(ranges => ranges.reduce((sum, r) => sum + segmentOutputDuration(r), 0));
+    const chunkFiles = [];
+    const chunkArgs = [];
+    for (const [i, ranges] of chunks.entries()) {
+        const scriptPath = await writeFilterScript(buildFilterScript(ranges, false, null, audioCount), tempDir, `chunk_${i}_filter.txt`);
+        const chunkFile = path.join(tempDir, `chunk_${String(i).padStart(3, '0')}.mkv`);
+        chunkFiles.push(chunkFile);
+        const audioMaps = [];
+        for (let k = 0; k < audioCount; k++) audioMaps.push('-map', `[outa${k}]`);
+        chunkArgs.push([
+            '-hide_banner',
+            '-i', inputFile,
+            '-/filter_complex', scriptPath,
+            '-map', '[outv]',
+            ...audioMaps,
+            '-c:v', encoding.videoCodec,
+            ...encoding.videoQuality,
+            '-pix_fmt', encoding.pixFmt,
+            ...chunkGopArgs(encoding.videoCodec, gopSize),
+            '-c:a', 'flac',
+            '-threads', String(threadsPerWorker),
+            '-y', chunkFile
+        ]);
+    }
+
+    // Chunks finished by an earlier run are reused when the plan is unchanged
+    const { jobState } = chunking;
+    const done = jobState
+        ? await findFinishedChunks(jobState, hashKey({ chunks, args: chunkArgs.map(a => a.slice(0, -1)) }), chunkFiles, tempDir)
+        : new Set();
+    if (done.size) event.reply('log', `⏩ Reusing ${done.size} of ${chunks.length} chunks from the previous run`);
+
+    const startTime = Date.now();
+    const chunkProgress = chunks.map((_, i) => (done.has(i) ? chunkDurations[i] : 0));
+    const reportProgress = () => {
+        if (isCancelled) return;
+        const done = chunkProgress.reduce((sum, t) => sum + t, 0);
+        const percent = Math.min(90, Math.round((done / expectedDuration) * 90));
+        const elapsed = (Date.now() - startTime) / 1000;
+        event.reply('progress', { status: `Processing (${workerLabel}): ${percent}%${formatEta(percent, elapsed)}`, percent });
+    };
+
+    // Worker pool: each worker takes the next chunk until none are left
+    const running = new Set();
+    const pending = chunks.map((_, i) => i).filter(i => !done.has(i));
+    let failure = null;
+    // Set when a chunk is still the wrong length after its last attempt; the
+    // chunks already running finish (and are kept for a resume), no new ones start
+    let drifted = false;
+    const worker = async () => {
+        while (!failure && !drifted && !isCancelled && pending.length) {
+            const i = pending.shift();
+            let proc = null;
+            try {
+                let verified = false;
+                for (let attempt = 1; attempt <= CHUNK_ATTEMPTS && !verified; attempt++) {
+                    chunkProgress[i] = 0;
+                    await runFFmpeg(chunkArgs[i], {
+                        onSpawn: (p) => { proc = p; running.add(p); },
+                        onProgress: (t) => { chunkProgress[i] = t; reportProgress(); }
+                    });
+                    running.delete(proc);
+                    if (isCancelled) return;
+                    const duration = await probeDuration(chunkFiles[i]);
+                    verified = !durationDrifted(duration, chunkDurations[i], chunks[i].length, chunking.frameRate);
+                    if (!verified) {
+                        const retry = attempt < CHUNK_ATTEMPTS ? 'encoding it again' : 'giving up on chunked encoding';
+                        event.reply('log', `⚠️ Chunk ${i + 1}/${chunks.length} lasts ${isFinite(duration) ? duration.toFixed(3) : '?'}s instead of ${chunkDurations[i].toFixed(3)}s — ${retry}`);
+                    }
+                }
+                if (!verified) {
+                    drifted = true;
+                    continue;
+                }
+                event.reply('log', `🧩 Chunk ${i + 1}/${chunks.length} done`);
+                if (jobState) {
+                    jobState.chunks.done.push(i);
+                    await saveJobState(tempDir, jobState);
+                }
+            } catch (error) {
+                if (!failure) {
+                    failure = error;
+                    for (const other of running) if (other !== proc) killProcess(other);
+                }
+            } finally {
+                running.delete(proc);
+            }
+        }
+    };
+    await Promise.all(Array.from({ length: workers }, worker));
+    if (isCancelled) throw new Error('Processing cancelled');
+    if (failure) throw failure;
+    if (drifted) {
+        event.reply('log', `⚠️ Encoding in a single pass instead${jobState ? ' (verified chunks are kept for a resume)' : ''}`);
+        return false;
+    }
+
+    const listPath = await writeConcatList(chunkFiles, path.join(tempDir, 'chunks_concat.txt'));
+    const audioScriptPath = await writeFilterScript(buildJoinAudioScript(audioCount, normalizeAudio, loudnormFilter), tempDir, 'join_audio_filter.txt');
+    const streamArgs = buildStreamArgs(layout, encoding, 1, 2);
+
+    const args = [
+        '-hide_banner',
+        '-f', 'concat', '-safe', '0', '-i', listPath,
+        '-i', inputFile,
+        ...streamArgs.inputArgs,
+        '-/filter_complex', audioScriptPath,
+        '-map', '0:v',
+        '-map_metadata', '1',
+        '-c:v', 'copy',
+        ...streamArgs.outputArgs,
+        '-avoid_negative_ts', 'make_zero',
+        ...containerArgs(outputFile),
+        '-y', outputFile
+    ];
+    event.reply('log', `🔗 Joining ${chunks.length} chunks${normalizeAudio ? ' (first-track audio filters on the joined audio)' : ''}`);
+    event.reply('log', `⚙️ FFmpeg: ${FFMPEG_PATH} ${args.join(' ')}`);
+
+    await runFFmpeg(args, {
+        onProgress: (t) => {
+            if (isCancelled) return;
+            const percent = Math.min(99, 90 + Math.round((t / expectedDuration) * 10));
+            event.reply('progress', { status: `Joining chunks: ${percent}%`, percent });
+        }
+    });
+    if (isCancelled) throw new Error('Processing cancelled');
+
+    // Every chunk was checked already; a drift here means the join itself went wrong
+    const joinedDuration = await probeDuration(outputFile);
+    if (durationDrifted(joinedDuration, expectedDuration, talkingRanges.length, chunking.frameRate)) {
+        event.reply('log', `⚠️ Joined chunks last ${isFinite(joinedDuration) ? joinedDuration.toFixed(3) : '?'}s instead of ${expectedDuration.toFixed(3)}s — encoding in a single pass instead`);
+        try { await fs.remove(outputFile); } catch (e) { /* ignore */ }
+        return false;
+    }
+
+    event.reply('progress', { status: 'Processing: 100% — Complete!', percent: 100 });
+    return true;
+}
+
+// ============================================================================
+// AUDIO NORMALIZATION ONLY (when no silence found)
+// ============================================================================
+
+async function normalizeAudioOnly(inputFile, outputFile, qualityPreset, event, metadata, target = LOUDNESS_TARGETS[DEFAULT_LOUDNESS_TARGET]) {
+    if (isCancelled) throw new Error('Processing cancelled');
+
+    const inputDuration = metadata ? parseFloat(metadata.format.duration) : 0;
+
+    event.reply('log', `🔊 Measuring loudness (pass 1/2)...`);
+    let measured = null;
+    try {
+        measured = await measureSourceLoudness(inputFile, target, null, null, event);
+    } catch (e) { /* fall back to single-pass */ }
+    if (isCancelled) throw new Error('Processing cancelled');
+
+    const loudnormFilter = buildLoudnormFilter(measured, target);
+    event.reply('log', measured
+        ? `✅ Loudness measured (I=${measured.input_i} LUFS) — applying (pass 2/2)`
+        : `⚠️ Measurement unavailable — using single-pass loudnorm`);
+
+    // Nothing is cut, so every other stream is copied untouched; only the
+    // first audio track is re-encoded through loudnorm.
+    const encoding = getEncodingOptions(qualityPreset, false, extractStreamInfo(metadata));
+    const args = [
+        '-hide_banner',
+        '-i', inputFile,
+        '-map', '0:v?',
+        '-map', '0:a',
+        '-map', '0:s?',
+        '-c', 'copy',
+        '-c:a:0', encoding.audioCodec,
+        ...(encoding.audioBitrate ? ['-b:a:0', encoding.audioBitrate] : []),
+        '-filter:a:0', loudnormFilter,
+        '-map_metadata', '0',
+        '-threads', '0',
+        '-y', outputFile
+    ];
+
+    const startTime = Date.now();
+    event.reply('progress', { status: 'Normalizing audio...', percent: 50 });
+
+    await runFFmpeg(args, {
+        onProgress: (currentTime) => {
+            if (isCancelled || !inputDuration) return;
+            const pv = Math.min(100, (currentTime / inputDuration) * 100);
+            const finalPercent = Math.min(100, 50 + (pv / 2));
+            const elapsed = (Date.now() - startTime) / 1000;
+            event.reply('progress', { status: `Normalizing: ${pv.toFixed(1)}%${formatEta(pv, elapsed)}`, percent: finalPercent });
+        }
+    });
+
+    if (isCancelled) throw new Error('Processing cancelled');
+    event.reply('log', `✅ Audio normalized successfully`);
+    await reportLoudness(outputFile, measured, target, event);
+}
+
+// ============================================================================
+// PROFILE CONVERSION ONLY (no audio → nothing to cut)
+// ============================================================================
+
+// Re-encode the video into the chosen profile without cutting (the input has no audio).
+async function convertWithoutAudio(inputFile, outputFile, qualityPreset, useHardwareEncoder, metadata, profile, event) {
+    if (isCancelled) throw new Error('Processing cancelled');
+
+    const inputDuration = parseFloat(metadata.format.duration) || 0;
+    const encoding = getEncodingOptions(qualityPreset, useHardwareEncoder, applyOutputProfile(extractStreamInfo(metadata), profile));
+    const args = [
+        '-hide_banner',
+        '-i', inputFile,
+        '-map', '0:v:0',
+        '-map_metadata', '0',
+        '-c:v', encoding.videoCodec,
+        ...encoding.videoQuality,
+        '-pix_fmt', encoding.pixFmt,
+        ...containerArgs(outputFile),
+        '-threads', '0',
+        '-y', outputFile
+    ];
+    event.reply('log', `🎞️ Converting to ${profile.label} (${encoding.videoCodec})`);
+
+    await runFFmpeg(args, {
+        onProgress: (currentTime) => {
+            if (isCancelled || !inputDuration) return;
+            const percent = Math.min(99, Math.round((currentTime / inputDuration) * 100));
+            event.reply('progress', { status: `Converting: ${percent}%`, percent });
+        }
+    });
+}
+
+// ============================================================================
+// EXTERNAL AUDIO SYNC (cross-correlation against the camera's scratch audio)
+// ============================================================================
+
+const EXTERNAL_AUDIO_MODES = ['replace', 'add'];
+
+// Both recordings are decoded to mono at this rate for the correlation (0.5 ms steps)
+const SYNC_SAMPLE_RATE = 2000;
+// The recordings may start up to this far apart (seconds), matched over at least SYNC_WINDOW
+const SYNC_MAX_OFFSET = 120;
+const SYNC_WINDOW = 60;
+// Confidence below this means the peak barely stands out; the offset is used but flagged
+const SYNC_MIN_CONFIDENCE = 0.3;
+
+// Lossless codec for the external track in the synced copy, per container; others
+// get the camera's own audio codec at a high bitrate.
+const SYNC_LOSSLESS_CODECS = { '.mp4': 'alac', '.m4v': 'alac', '.mov': 'alac', '.mkv': 'flac' };
+
+// First `seconds` of the first audio track as mono float samples.
+async function decodePcm(inputFile, seconds) {
+    const chunks = [];
+    await runFFmpeg([
+        '-hide_banner', '-nostats',
+        '-i', inputFile,
+        '-map', '0:a:0',
+        '-t', String(seconds),
+        '-ac', '1', '-ar', String(SYNC_SAMPLE_RATE),
+        '-f', 'f32le', '-'
+    ], { onSpawn: (proc) => proc.stdout.on('data', (chunk) => chunks.push(chunk)) });
+    const bytes = Buffer.concat(chunks);
+    // Copy into an aligned buffer; Buffer slices may start at any byte offset
+    const samples = new Float32Array(Math.floor(bytes.length / 4));
+    new Uint8Array(samples.buffer).set(bytes.subarray(0, samples.length * 4));
+    return samples;
+}
+
+// In-place iterative radix-2 FFT; `re`/`im` lengths must be a power of two.
+function fft(re, im, inverse = false) {
+    const n = re.length;
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+    for (let size = 2; size <= n; size <<= 1) {
+        const half = size >> 1;
+        const angle = (inverse ? 2 : -2) * Math.PI / size;
+        const stepRe = Math.cos(angle);
+        const stepIm = Math.sin(angle);
+        for (let start = 0; start < n; start += size) {
+            let wRe = 1;
+            let wIm = 0;
+            for (let k = 0; k < half; k++) {
+                const a = start + k;
+                const b = a + half;
+                const tRe = re[b] * wRe - im[b] * wIm;
+                const tIm = re[b] * wIm + im[b] * wRe;
+                re[b] = re[a] - tRe;
+                im[b] = im[a] - tIm;
+                re[a] += tRe;
+                im[a] += tIm;
+                const nextRe = wRe * stepRe - wIm * stepIm;
+                wIm = wRe * stepIm + wIm * stepRe;
+                wRe = nextRe;
+            }
+        }
+    }
+}
+
+/**
+ * Offset of `external` against `camera` (sample arrays at SYNC_SAMPLE_RATE):
+ * external time = camera time + offset, the same convention as synced companions.
+ * Confidence is 1 − (best peak elsewhere / best peak): near 0 when another lag
+ * matches almost as well, near 1 when one lag clearly wins.
+ */
+function correlateOffset(camera, external, maxOffset = SYNC_MAX_OFFSET) {
+    let n = 1;
+    while (n < camera.length + external.length) n <<= 1;
+    const load = (samples) => {
+        const re = new Float64Array(n);
+        let mean = 0;
+        for (let i = 0; i < samples.length; i++) mean += samples[i];
+        mean /= samples.length || 1;
+        for (let i = 0; i < samples.length; i++) re[i] = samples[i] - mean;
+        return re;
+    };
+    const camRe = load(camera);
+    const camIm = new Float64Array(n);
+    const extRe = load(external);
+    const extIm = new Float64Array(n);
+    fft(camRe, camIm);
+    fft(extRe, extIm);
+
+    // conj(CAM) · EXT → c[lag] = Σ cam(t) · ext(t + lag)
+    for (let i = 0; i < n; i++) {
+        const re = camRe[i] * extRe[i] + camIm[i] * extIm[i];
+        const im = camRe[i] * extIm[i] - camIm[i] * extRe[i];
+        camRe[i] = re;
+        camIm[i] = im;
+    }
+    fft(camRe, camIm, true);
+    const at = (lag) => camRe[(lag + n) % n];
+
+    // Polarity may be flipped between the two microphones, so peaks count either way
+    const maxLag = Math.min(Math.round(maxOffset * SYNC_SAMPLE_RATE), external.length - 1, camera.length - 1);
+    let bestLag = 0;
+    let best = 0;
+    for (let lag = -maxLag; lag <= maxLag; lag++) {
+        const v = Math.abs(at(lag));
+        if (v > best) {
+            best = v;
+            bestLag = lag;
+        }
+    }
+    if (!(best > 0)) return { offset: 0, confidence: 0 };
+
+    // Runner-up outside ±50 ms of the winner
+    const guard = Math.round(0.05 * SYNC_SAMPLE_RATE);
+    let second = 0;
+    for (let lag = -maxLag; lag <= maxLag; lag++) {
+        if (Math.abs(lag - bestLag) > guard) second = Math.max(second, Math.abs(at(lag)));
+    }
+
+    // Parabolic interpolation between neighbouring lags for sub-sample precision
+    const y0 = Math.abs(at(bestLag - 1));
+    const y2 = Math.abs(at(bestLag + 1));
+    const curve = y0 - 2 * best + y2;
+    const delta = curve < 0 ? 0.5 * (y0 - y2) / curve : 0;
+    return {
+        offset: (bestLag + delta) / SYNC_SAMPLE_RATE,
+        confidence: Math.max(0, 1 - second / best)
+    };
+}
+
+// Offset of the external recording against the camera's first audio track.
+async function findExternalOffset(cameraFile, externalFile) {
+    const seconds = SYNC_WINDOW + SYNC_MAX_OFFSET;
+    const camera = await decodePcm(cameraFile, seconds);
+    const external = await decodePcm(externalFile, seconds);
+    if (!camera.length || !external.length) throw new Error('Could not decode audio to sync the external recording');
+    return correlateOffset(camera, external);
+}
+
+/**
+ * The file the pipeline reads for `params`: the input itself, or with
+ * `params.externalAudio` a copy in `tempDir` whose first audio track is the
+ * external recording, aligned by cross-correlation ('replace' drops the camera
+ * audio, 'add' keeps it as the following tracks). Resolves with
+ * { sourceFile, metadata }; the metadata asks for the camera's audio codec on output.
+ */
+async function prepareSource(params, tempDir, event) {
+    const metadata = await getVideoMetadata(params.inputPath);
+    if (!params.externalAudio) return { sourceFile: params.inputPath, metadata };
+
+    const external = params.externalAudio;
+    const mode = EXTERNAL_AUDIO_MODES.includes(params.externalAudioMode) ? params.externalAudioMode : 'replace';
+    if (!hasAudioStream(metadata)) throw new Error('The camera file has no audio to sync the external recording to');
+
+    event.reply('progress', { status: 'Syncing external audio...', percent: 0 });
+    event.reply('log', `🎙️ Syncing ${path.basename(external)} to the camera audio (cross-correlation)...`);
+    const { offset, confidence } = await findExternalOffset(params.inputPath, external);
+    if (isCancelled) throw new Error('Processing cancelled');
+    event.reply('log', `🔗 External audio offset: ${offset >= 0 ? '+' : ''}${offset.toFixed(3)}s | Confidence: ${confidence.toFixed(2)}`);
+    if (confidence < SYNC_MIN_CONFIDENCE) {
+        event.reply('log', `⚠️ Low sync confidence — check the result (do both recordings share the same speech?)`);
+    }
+
+    // Trim (or delay) the recording onto the camera timeline, padded to the camera's length
+    const duration = parseFloat(metadata.format.duration);
+    const align = offset >= 0
+        ? `atrim=start=${offset.toFixed(4)},asetpts=PTS-STARTPTS`
+        : `adelay=delays=${Math.round(-offset * 1000)}:all=1`;
+    const ext = path.extname(params.inputPath).toLowerCase();
+    const cameraCodec = extractStreamInfo(metadata).acodec;
+    const codec = SYNC_LOSSLESS_CODECS[ext] || AUDIO_ENCODERS[cameraCodec] || 'aac';
+    const timecode = getStartTimecode(metadata);
+    const sourceFile = path.join(tempDir, `synced${ext}`);
+    await fs.ensureDir(tempDir);
+
+    try {
+        await runFFmpeg([
+            '-hide_banner',
+            '-i', params.inputPath,
+            '-i', external,
+            '-filter_complex', `[1:a:0]${align},apad=whole_dur=${duration.toFixed(4)},atrim=end=${duration.toFixed(4)}[ext]`,
+            '-map', '0:v?',
+            '-map', '[ext]',
+            ...(mode === 'add' ? ['-map', '0:a'] : []),
+            '-map', '0:s?',
+            '-c', 'copy',
+            '-c:a:0', codec,
+            ...(LOSSLESS_AUDIO_ENCODERS.includes(codec) ? [] : ['-b:a:0', '320k']),
+            '-metadata:s:a:0', `title=${path.basename(external)}`,
+            '-map_metadata', '0',
+            ...(timecode ? (TMCD_CONTAINERS.includes(ext) ? ['-timecode', timecode] : ['-metadata', `timecode=${timecode}`]) : []),
+            '-y', sourceFile
+        ], {
+            onProgress: (currentTime) => {
+                if (isCancelled || !duration) return;
+                const percent = Math.min(99, Math.round((currentTime / duration) * 100));
+                event.reply('progress', { status: `Syncing external audio: ${percent}%`, percent });
+            }
+        });
+        event.reply('log', mode === 'add'
+            ? `✅ External audio added as track 1 (camera audio follows)`
+            : `✅ Camera audio replaced with the external recording`);
+
+        // The copy carries the external track losslessly; encode it like the camera's audio
+        const synced = await getVideoMetadata(sourceFile);
+        const track = synced.streams.find(s => s.codec_type === 'audio');
+        const cameraTrack = metadata.streams.find(s => s.codec_type === 'audio');
+        if (track && cameraTrack) {
+            track.codec_name = cameraTrack.codec_name;
+            track.bit_rate = cameraTrack.bit_rate;
+        }
+        return { sourceFile, metadata: synced };
+    } catch (e) {
+        // A half-written copy can be as large as the input
+        try { await fs.remove(sourceFile); } catch (err) { /* ignore */ }
+        throw e;
+    }
+}
+
+// ============================================================================
+// ANALYSIS SOURCE (which audio track / channel drives detection)
+// ============================================================================
+
+const ANALYSIS_CHANNELS = ['both', 'left', 'right'];
+
+// Audio tracks as the renderer lists them: `track` is the 0-based a:N specifier.
+function listAudioStreams(metadata) {
+    return ((metadata && metadata.streams) || [])
+        .filter(s => s.codec_type === 'audio')
+        .map((s, track) => ({
+            track,
+            index: s.index,
+            codec: s.codec_name || 'unknown',
+            channels: s.channels || 0,
+            language: (s.tags && s.tags.language) || null,
+            title: (s.tags && s.tags.title) || null
+        }));
+}
+
+// Track numbers from an array or a "0,2" string; duplicates and junk dropped.
+function parseAnalysisTracks(value) {
+    const list = Array.isArray(value) ? value : String(value == null ? '' : value).split(',');
+    const tracks = list.map(v => parseInt(v, 10)).filter(k => k >= 0);
+    return [...new Set(tracks)].sort((a, b) => a - b);
+}
+
+/**
+ * Resolve `params.analysisTracks` / `params.analysisChannel` against the file.
+ * Resolves null for the default (ffmpeg's own audio pick), else { tracks, channel }.
+ * Tracks the file lacks are skipped, and a channel pick on mono audio is ignored.
+ */
+async function resolveAnalysisSource(inputFile, params, event = null) {
+    const requested = parseAnalysisTracks(params.analysisTracks);
+    const channel = ANALYSIS_CHANNELS.includes(params.analysisChannel) ? params.analysisChannel : 'both';
+    if (!requested.length && channel === 'both') return null;
+
+    const log = message => { if (event) event.reply('log', message); };
+    const streams = listAudioStreams(await getVideoMetadata(inputFile));
+    let tracks = requested.filter(k => k < streams.length);
+    if (tracks.length < requested.length) {
+        const missing = requested.filter(k => k >= streams.length).map(k => k + 1);
+        log(`⚠️ No audio track ${missing.join(', ')} in this file (it has ${streams.length}) — skipped for analysis`);
+    }
+    if (!tracks.length) tracks = [0];
+
+    let pick = channel;
+    if (pick !== 'both' && tracks.some(k => streams[k].channels < 2)) {
+        log(`⚠️ Mono audio has no ${pick} channel — analyzing the whole track`);
+        pick = 'both';
+    }
+    if (!requested.length && pick === 'both') return null;
+
+    const names = tracks.map(k => `${k + 1}${streams[k].title ? ` (${streams[k].title})` : ''}`);
+    log(`🎧 Analyzing ${tracks.length > 1 ? `a mix of tracks ${names.join(' + ')}` : `track ${names[0]}`}` +
+        `${pick === 'both' ? '' : `, ${pick} channel`} — the output keeps every track`);
+    return { tracks, channel: pick };
+}
+
+/**
+ * ffmpeg args for an analysis pass running `filter` on the chosen source:
+ * the default audio through -af (after `defaultMap`), or a filter_complex that
+ * mixes the picked tracks and keeps one channel.
+ */
+function analysisArgs(inputFile, source, filter, defaultMap = []) {
+    if (!source) return ['-hide_banner', '-vn', '-i', inputFile, ...defaultMap, '-af', filter, '-f', 'null', '-'];
+
+    const stages = [];
+    if (source.tracks.length > 1) stages.push(`amix=inputs=${source.tracks.length}:duration=longest:normalize=0`);
+    if (source.channel !== 'both') stages.push(`pan=mono|c0=${source.channel === 'left' ? 'c0' : 'c1'}`);
+    stages.push(filter);
+    const inputs = source.tracks.map(k => `[0:a:${k}]`).join('');
+    return [
+        '-hide_banner', '-vn', '-i', inputFile,
+        '-filter_complex', `${inputs}${stages.join(',')}[analysis]`,
+        '-map', '[analysis]',
+        '-f', 'null', '-'
+    ];
+}
+
+// ============================================================================
+// SILENCE DETECTION (optimized with -vn: audio-only analysis)
+// ============================================================================
+
+function parseSilenceLine(line) {
+    const silenceStart = line.match(/silence_start: (-?[\d.]+)/);
+    const silenceEnd = line.match(/silence_end: (-?[\d.]+)/);
+    return {
+        start: silenceStart ? parseFloat(silenceStart[1]) : null,
+        end: silenceEnd ? parseFloat(silenceEnd[1]) : null
+    };
+}
+
+// Padding kept around speech: `before` a word starts (lead-in) and `after` it ends
+// (tail — breaths, decays). Each falls back to the shared `paddingDuration`.
+function resolvePadding(params) {
+    const shared = parseFloat(params.paddingDuration) || 0;
+    const value = v => (v == null || v === '' ? shared : Math.max(0, parseFloat(v) || 0));
+    return { before: value(params.paddingBefore), after: value(params.paddingAfter) };
+}
+
+// Which part of a long pause survives in max-pause mode: 'middle' keeps its
+// centre (cut on both sides, padding not applied), 'leading' keeps the start of
+// the pause and only the padding before the next word.
+const PAUSE_KEEP_MODES = ['middle', 'leading'];
+
+/**
+ * Turn a detected silence into the ranges to cut. Normally that is the silence
+ * minus the tail padding at its start and the lead-in padding at its end
+ * (`padding` is { before, after } or one value for both); with `maxPause` the
+ * pause is shortened to exactly `maxPause` seconds instead. 'middle' keeps the
+ * central `maxPause` seconds, so it returns a cut on each side of them, the
+ * first marked `keptPauseAfter`. Returns [] when nothing is left to cut
+ * (shorter pauses in max-pause mode).
+ */
+function processSilenceRange(startTime, endTime, padding, maxPause = null, keep = 'middle') {
+    const { before, after } = typeof padding === 'number' ? { before: padding, after: padding } : padding;
+    const cut = (start, end) => (end - start > 0 ? [{ start, end }] : []);
+    if (maxPause == null) return cut(startTime + after, endTime - before);
+
+    const excess = (endTime - startTime) - maxPause;
+    if (keep === 'leading') {
+        const end = endTime - Math.min(before, maxPause);
+        return cut(end - excess, end);
+    }
+    if (!(excess > 0)) return [];
+    const keptStart = startTime + excess / 2;
+    return [
+        { start: startTime, end: keptStart, keptPauseAfter: true },
+        { start: keptStart + maxPause, end: endTime }
+    ];
+}
+
+async function detectSilence(inputFile, params, event) {
+    if (isCancelled) throw new Error('Processing cancelled');
+
+    const silenceRanges = [];
+    let startTime = null;
+    const maxPause = params.silenceMode === 'shorten' ? Math.max(0, parseFloat(params.maxPause) || 0) : null;
+    const padding = resolvePadding(params);
+    const cleanup = params.voiceCleanAnalysis ? buildVoiceChain(params) : null;
+
+    event.reply('log', `🔍 Starting silence analysis (audio-only mode)...`);
+    const source = await resolveAnalysisSource(inputFile, params, event);
+    if (cleanup) event.reply('log', `🎙️ Detecting on the cleaned-up voice signal`);
+    if (maxPause != null) {
+        event.reply('log', params.pauseKeep === 'leading'
+            ? `⏸️ Shortening pauses longer than ${maxPause}s to ${maxPause}s (keeping the start, ${padding.before}s padding before speech)`
+            : `⏸️ Shortening pauses longer than ${maxPause}s to ${maxPause}s (keeping the middle — padding is not applied)`);
+    }
+
+    // Padding and pause handling are applied to the raw pairs, so only these settings key the cache
+    const files = params.inputPath ? analysisSourceFiles(params) : [inputFile];
+    const key = await analysisCacheKey('silence', files, {
+        silenceDb: params.silenceDb,
+        minSilenceDuration: params.minSilenceDuration,
+        source,
+        cleanup,
+        externalAudioMode: params.externalAudio ? params.externalAudioMode : null
+    });
+
+    const rawPairs = [];
+    const addPair = (start, end) => {
+        rawPairs.push([start, end]);
+        const cuts = processSilenceRange(start, end, padding, maxPause, params.pauseKeep);
+        if (!cuts.length) {
+            event.reply('log', `🔊 End: ${end}s | Pause: ${(end - start).toFixed(3)}s`);
+            event.reply('log', `⚠️ Skipped: nothing left to cut`);
+            return;
+        }
+
+        // What actually stays of the pause (max-pause mode keeps its own share, not the padding)
+        const first = cuts[0];
+        const last = cuts[cuts.length - 1];
+        const duration = cuts.reduce((sum, c) => sum + (c.end - c.start), 0);
+        const kept = first.keptPauseAfter
+            ? `Kept: ${+(end - start - duration).toFixed(3)}s in the middle`
+            : `${maxPause != null ? 'Kept' : 'Padding'}: ${+(first.start - start).toFixed(3)}s after / ${+(end - last.end).toFixed(3)}s before speech`;
+        event.reply('log', `🔊 End: ${end}s | ${kept} | Duration: ${duration.toFixed(3)}s`);
+
+        // Short pauses are left in later by refineSilenceRanges
+        for (const c of cuts) {
+            silenceRanges.push(c);
+            event.reply('log', `✓ Range: ${c.start.toFixed(3)}s - ${c.end.toFixed(3)}s`);
+        }
+    };
+
+    const cached = await readAnalysisCache(key);
+    if (cached) {
+        event.reply('log', `⚡ Using the cached silence analysis (${cached.length} silences) — skipping silencedetect`);
+        for (const [start, end] of cached) addPair(start, end);
+        event.reply('log', `✅ Found ${silenceRanges.length} silence ranges`);
+        return silenceRanges;
+    }
+
+    const args = analysisArgs(inputFile, source,
+        `${cleanup ? `${cleanup},` : ''}silencedetect=noise=${params.silenceDb}dB:d=${params.minSilenceDuration}`);
+    event.reply('log', `⚙️ FFmpeg: ${FFMPEG_PATH} ${args.join(' ')}`);
+
+    await runFFmpeg(args, {
+        onLine: (line) => {
+            const { start, end } = parseSilenceLine(line);
+
+            if (start !== null) {
+                startTime = start;
+                event.reply('log', `🔇 Start: ${startTime}s`);
+            }
+
+            if (end !== null && startTime !== null) {
+                addPair(startTime, end);
+                startTime = null;
+            }
+        }
+    });
+
+    await writeAnalysisCache(key, 'silence', files, rawPairs);
+    event.reply('log', `✅ Found ${silenceRanges.length} silence ranges`);
+    return silenceRanges;
+}
+
+// ============================================================================
+// AUTO THRESHOLD (noise-floor analysis → silenceDb / min silence / padding)
+// ============================================================================
+
+// Level windows: 50 ms at 16 kHz
+const LEVEL_SAMPLE_RATE = 16000;
+const LEVEL_WINDOW = 0.05;
+
+// Windows below this are digital silence (-inf) and say nothing about the room
+const LEVEL_FLOOR_DB = -100;
+
+function percentile(sorted, p) {
+    if (!sorted.length) return null;
+    const index = Math.min(sorted.length - 1, Math.max(0, Math.round((sorted.length - 1) * p)));
+    return sorted[index];
+}
+
+// RMS level (dB) of every 50 ms window of the analysis source (default: first audio track).
+async function measureLevelWindows(inputFile, source = null) {
+    const levels = [];
+    const windowSamples = Math.round(LEVEL_SAMPLE_RATE * LEVEL_WINDOW);
+    await runFFmpeg(analysisArgs(inputFile, source,
+        `aresample=${LEVEL_SAMPLE_RATE},asetnsamples=n=${windowSamples}:p=0,` +
+            'astats=metadata=1:reset=1,ametadata=mode=print:key=lavfi.astats.Overall.RMS_level',
+        ['-map', '0:a:0']), {
+        onLine: (line) => {
+            const m = line.match(/lavfi\.astats\.Overall\.RMS_level=(\S+)/);
+            if (!m) return;
+            const db = parseFloat(m[1]);
+            levels.push(isFinite(db) ? Math.max(LEVEL_FLOOR_DB, db) : LEVEL_FLOOR_DB);
+        }
+    });
+    return levels;
+}
+
+/**
+ * Turn window levels into detection settings. The noise floor is the 10th
+ * percentile and the speech level the 90th; the threshold sits 30% of the way
+ * up from the floor (at least 6 dB above it). Pauses are runs of windows under
+ * the threshold; min silence is half the median pause. Padding grows as the
+ * gap shrinks, because noise masks soft word onsets.
+ * Returns { silenceDb, minSilenceDuration, paddingDuration, reasons }, or
+ * null when there is too little audio to judge.
+ */
+function suggestSilenceSettings(levels) {
+    const audible = levels.filter(db => db > LEVEL_FLOOR_DB).sort((a, b) => a - b);
+    if (audible.length < 20) return null;
+
+    const noiseFloor = percentile(audible, 0.1);
+    const speechLevel = percentile(audible, 0.9);
+    const gap = speechLevel - noiseFloor;
+    const reasons = [];
+
+    reasons.push(`Noise floor ≈ ${noiseFloor.toFixed(1)} dB (10th pct), speech ≈ ${speechLevel.toFixed(1)} dB (90th pct), gap ${gap.toFixed(1)} dB`);
+    if (gap < 10) reasons.push(`Low speech-to-noise gap — the suggestion may be unreliable, check the result`);
+
+    const margin = Math.max(6, gap * 0.3);
+    const silenceDb = Math.round(Math.min(-20, Math.max(-70, noiseFloor + margin)));
+    reasons.push(`Threshold ${silenceDb} dB: noise floor + ${margin.toFixed(1)} dB (30% of the gap, min 6 dB)`);
+
+    const pauses = [];
+    let run = 0;
+    for (const db of levels) {
+        if (db < silenceDb) {
+            run++;
+        } else {
+            if (run * LEVEL_WINDOW >= 0.1) pauses.push(run * LEVEL_WINDOW);
+            run = 0;
+        }
+    }
+    if (run * LEVEL_WINDOW >= 0.1) pauses.push(run * LEVEL_WINDOW);
+    pauses.sort((a, b) => a - b);
+
+    const medianPause = percentile(pauses, 0.5);
+    const minSilenceDuration = medianPause
+        ? Math.min(1, Math.max(0.2, Math.round(medianPause * 50) / 100))
+        : 0.2;
+    reasons.push(medianPause
+        ? `Min silence ${minSilenceDuration}s: half the median pause (${medianPause.toFixed(2)}s over ${pauses.length} pauses), clamped to 0.2–1s`
+        : `Min silence ${minSilenceDuration}s: no clear pauses found, using the default`);
+
+    const paddingDuration = gap >= 25 ? 0.06 : gap >= 15 ? 0.1 : 0.15;
+    reasons.push(`Padding ${paddingDuration}s: ${gap >= 25 ? 'clean recording (gap ≥ 25 dB)' : gap >= 15 ? 'some room noise (gap 15–25 dB)' : 'noisy recording (gap < 15 dB) — keep more around words'}`);
+
+    return { silenceDb, minSilenceDuration, paddingDuration, reasons };
+}
+
+/**
+ * With `params.autoThreshold`, analyze the noise floor and return params with
+ * the suggested silenceDb / minSilenceDuration / paddingDuration; otherwise
+ * return params unchanged. Padding set explicitly before or after speech still
+ * wins over the suggested one. The reasoning goes to the log.
+ */
+async function applyAutoThreshold(params, event) {
+    if (!params.autoThreshold) return params;
+    if (isCancelled) throw new Error('Processing cancelled');
+
+    event.reply('progress', { status: 'Analyzing noise floor...', percent: 0 });
+    event.reply('log', `🎚️ Auto threshold: analyzing noise floor...`);
+
+    // `sourceFile` is the synced copy when external audio is attached
+    const inputFile = params.sourceFile || params.inputPath;
+    const source = await resolveAnalysisSource(inputFile, params);
+    const files = analysisSourceFiles(params);
+    const key = await analysisCacheKey('threshold', files, { source, externalAudioMode: params.externalAudio ? params.externalAudioMode : null });
+    let suggestion = await readAnalysisCache(key);
+    if (suggestion) {
+        event.reply('log', `⚡ Auto threshold: using the cached noise-floor analysis`);
+    } else {
+        suggestion = suggestSilenceSettings(await measureLevelWindows(inputFile, source));
+        if (suggestion) await writeAnalysisCache(key, 'threshold', files, suggestion);
+    }
+    if (!suggestion) {
+        event.reply('log', `⚠️ Auto threshold: not enough audio to analyze — using ${params.silenceDb} dB`);
+        return params;
+    }
+    for (const reason of suggestion.reasons) event.reply('log', `🎚️ ${reason}`);
+
+    const tuned = {
+        ...params,
+        silenceDb: suggestion.silenceDb,
+        minSilenceDuration: suggestion.minSilenceDuration,
+        paddingDuration: suggestion.paddingDuration
+    };
+    const padding = resolvePadding(tuned);
+    if (padding.before !== suggestion.paddingDuration || padding.after !== suggestion.paddingDuration) {
+        event.reply('log', `🎚️ Keeping your padding: ${padding.before}s before / ${padding.after}s after speech`);
+    }
+    return tuned;
+}
+
+// ============================================================================
+// SMART RENDER (stream-copy whole GOPs, re-encode only around the cuts)
+// ============================================================================
+
+// Codecs whose Annex B bitstream (in-band SPS/PPS) splices cleanly across
+// MPEG-TS pieces with the concat demuxer.
+const SMART_RENDER_CODECS = ['h264', 'hevc'];
+
+// Partial GOPs shorter than this are dropped instead of encoded (seconds)
+const SMART_PIECE_MIN = 0.02;
+
+const H264_PROFILES = {
+    'baseline': 'baseline', 'constrained baseline': 'baseline', 'main': 'main',
+    'high': 'high', 'high 10': 'high10', 'high 4:2:2': 'high422', 'high 4:4:4 predictive': 'high444'
+};
+const HEVC_PROFILES = { 'main': 'main', 'main 10': 'main10', 'main still picture': 'mainstillpicture' };
+
+function probeKeyframes(inputFile) {
+    return new Promise((resolve, reject) => {
+        execFile(FFPROBE_PATH,
+            ['-v', 'error', '-select_streams', 'v:0', '-show_entries', 'packet=pts_time,flags', '-of', 'csv=p=0', inputFile],
+            { maxBuffer: 64 * 1024 * 1024 },
+            (err, stdout) => {
+                if (err) return reject(err);
+                const keyframes = [];
+                for (const line of stdout.split('\n')) {
+                    const [pts, flags] = line.trim().split(',');
+                    const t = parseFloat(pts);
+                    if (flags && flags.includes('K') && isFinite(t)) keyframes.push(t);
+                }
+                resolve(keyframes.sort((a, b) => a - b));
+            });
+    });
+}
+
+// Reason the source cannot be smart-rendered, or null when it can.
+function getSmartRenderBlocker(metadata, streamInfo) {
+    const video = findVideoStream(metadata);
+    if (!video) return 'no video stream';
+    const source = extractStreamInfo(metadata);
+    if (streamInfo.vcodec !== source.vcodec || streamInfo.pixFmt !== source.pixFmt) return 'the output profile changes the video format';
+    if (!SMART_RENDER_CODECS.includes(streamInfo.vcodec)) return `${streamInfo.vcodec} cannot be spliced without re-encoding`;
+    if (video.field_order && !['progressive', 'unknown'].includes(video.field_order)) return 'interlaced video';
+    return null;
+}
+
+// Encoder flags that reproduce the source profile/level on the re-encoded pieces.
+function smartProfileArgs(streamInfo) {
+    const profile = (streamInfo.profile || '').toLowerCase();
+    if (streamInfo.vcodec === 'h264') {
+        return [
+            ...(H264_PROFILES[profile] ? ['-profile:v', H264_PROFILES[profile]] : []),
+            ...(streamInfo.level ? ['-level:v', (streamInfo.level / 10).toFixed(1)] : [])
+        ];
+    }
+    if (streamInfo.vcodec === 'hevc' && HEVC_PROFILES[profile]) {
+        return ['-profile:v', HEVC_PROFILES[profile]];
+    }
+    return [];
+}
+
+// Index of the first keyframe >= t (keyframes sorted ascending).
+function firstKeyframeAtOrAfter(keyframes, t) {
+    let lo = 0, hi = keyframes.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (keyframes[mid] < t) lo = mid + 1; else hi = mid;
+    }
+    return lo;
+}
+
+/**
+ * Split every talking range at its inner keyframes: the span between the first
+ * and last keyframe is stream-copied, the partial GOPs at either end are encoded.
+ * Ranges without a whole GOP inside are encoded entirely.
+ */
+function planSmartPieces(talkingRanges, keyframes) {
+    const EPS = 0.001;
+    const pieces = [];
+    for (const r of talkingRanges) {
+        const i1 = firstKeyframeAtOrAfter(keyframes, r.start - EPS);
+        const i2 = firstKeyframeAtOrAfter(keyframes, r.end + EPS) - 1;
+        const k1 = keyframes[i1];
+        const k2 = keyframes[i2];
+
+        if (k1 == null || k2 == null || i2 <= i1) {
+            pieces.push({ copy: false, start: r.start, end: r.end });
+            continue;
+        }
+        if (k1 - r.start > SMART_PIECE_MIN) pieces.push({ copy: false, start: r.start, end: k1 });
+        pieces.push({ copy: true, start: k1, end: k2 });
+        if (r.end - k2 > SMART_PIECE_MIN) pieces.push({ copy: false, start: k2, end: r.end });
+    }
+    return pieces;
+}
+
+// Audio follows what the video pieces actually cover (dropped slivers included).
+function piecesToRanges(pieces) {
+    const ranges = [];
+    for (const p of pieces) {
+        const last = ranges[ranges.length - 1];
+        if (last && Math.abs(last.end - p.start) < 0.001) last.end = p.end;
+        else ranges.push({ start: p.start, end: p.end });
+    }
+    return ranges;
+}
+
+/**
+ * Smart render: video pieces are written as MPEG-TS (copied or encoded), joined
+ * with the concat demuxer, and muxed with audio cut sample-accurately by an
+ * atrim/concat filtergraph (so loudnorm still applies). Resolves false when the
+ * source is unsuitable — the caller then does a full re-encode.
+ */
+async function processVideoSmart(inputFile, outputFile, talkingRanges, normalizeAudio, loudnormFilter, qualityPreset, metadata, event, tempDir, layout, streamInfo, audioFade = 0) {
+    const blocker = getSmartRenderBlocker(metadata, streamInfo);
+    if (blocker) {
+        event.reply('log', `ℹ️ Smart render unavailable (${blocker}) — using full re-encode`);
+        return false;
+    }
+
+    event.reply('log', `⚡ Smart render: probing keyframes...`);
+    const keyframes = await probeKeyframes(inputFile);
+    if (keyframes.length < 2) {
+        event.reply('log', `ℹ️ Smart render unavailable (no keyframe index) — using full re-encode`);
+        return false;
+    }
+
+    const pieces = planSmartPieces(talkingRanges, keyframes);
+    const copied = pieces.filter(p => p.copy);
+    const copiedSeconds = copied.reduce((sum, p) => sum + (p.end - p.start), 0);
+    const totalSeconds = pieces.reduce((sum, p) => sum + (p.end - p.start), 0);
+    event.reply('log', `⚡ ${pieces.length} pieces: ${copied.length} stream-copied (${copiedSeconds.toFixed(1)}s), ` +
+        `${pieces.length - copied.length} re-encoded (${(totalSeconds - copiedSeconds).toFixed(1)}s)`);
+
+    // Pieces are re-encoded in software so profile/level match the copied GOPs
+    const encoding = getEncodingOptions(qualityPreset, false, streamInfo);
+    const encodeArgs = [
+        '-c:v', encoding.videoCodec,
+        ...encoding.videoQuality,
+        '-pix_fmt', encoding.pixFmt,
+        ...smartProfileArgs(streamInfo)
+    ];
+    event.reply('log', `💻 Encoding cut points with ${encoding.videoCodec} ${smartProfileArgs(streamInfo).join(' ')}`.trim());
+
+    await fs.ensureDir(tempDir);
+    const startTime = Date.now();
+    let doneSeconds = 0;
+    const reportProgress = (extra) => {
+        const percent = Math.min(85, Math.round(((doneSeconds + extra) / totalSeconds) * 85));
+        const elapsed = (Date.now() - startTime) / 1000;
+        event.reply('progress', { status: `Smart render: ${percent}%${formatEta(percent, elapsed)}`, percent });
+    };
+
+    const pieceFiles = [];
+    for (let i = 0; i < pieces.length; i++) {
+        if (isCancelled) throw new Error('Processing cancelled');
+        const piece = pieces[i];
+        const piecePath = path.join(tempDir, `piece_${String(i).padStart(5, '0')}.ts`);
+        const args = [
+            '-hide_banner',
+            '-ss', piece.start.toFixed(6),
+            '-i', inputFile,
+            '-t', (piece.end - piece.start).toFixed(6),
+            '-map', '0:v:0', '-an', '-sn', '-dn',
+            ...(piece.copy ? ['-c:v', 'copy'] : encodeArgs),
+            '-f', 'mpegts',
+            '-y', piecePath
+        ];
+        await runFFmpeg(args, { onProgress: (t) => reportProgress(Math.min(t, piece.end - piece.start)) });
+        doneSeconds += piece.end - piece.start;
+        reportProgress(0);
+        pieceFiles.push(piecePath);
+    }
+
+    const listPath = await writeConcatList(pieceFiles, path.join(tempDir, 'smart_concat.txt'));
+
+    const audioScript = buildAudioFilterScript(addCutFades(piecesToRanges(pieces), audioFade), normalizeAudio, loudnormFilter, layout.audio.length, 1);
+    const audioScriptPath = await writeFilterScript(audioScript, tempDir, 'audio_filter_script.txt');
+    const streamArgs = buildStreamArgs(layout, encoding, 1, 2);
+
+    const args = [
+        '-hide_banner',
+        '-f', 'concat', '-safe', '0', '-i', listPath,
+        '-i', inputFile,
+        ...streamArgs.inputArgs,
+        '-/filter_complex', audioScriptPath,
+        '-map', '0:v',
+        '-map_metadata', '1',
+        '-c:v', 'copy',
+        ...streamArgs.outputArgs,
+        ...containerArgs(outputFile),
+        '-y', outputFile
+    ];
+    event.reply('log', `⚙️ FFmpeg: ${FFMPEG_PATH} ${args.join(' ')}`);
+
+    await runFFmpeg(args, {
+        onProgress: (t) => {
+            if (isCancelled) return;
+            const percent = Math.min(99, 85 + Math.round((t / totalSeconds) * 15));
+            event.reply('progress', { status: `Smart render: joining ${percent}%`, percent });
+        }
+    });
+
+    event.reply('progress', { status: 'Processing: 100% — Complete!', percent: 100 });
+    return true;
+}
+
+// ============================================================================
+// VIDEO PROCESSING — ORCHESTRATOR
+// ============================================================================
+
+async function processVideo(inputFile, outputFile, silenceRanges, normalizeAudio, qualityPreset, event, useHardwareEncoder, metadata, options = {}) {
+    const inputDuration = parseFloat(metadata.format.duration);
+    const profile = getOutputProfile(options.outputProfile) || OUTPUT_PROFILES.source;
+    const streamInfo = applyOutputProfile(extractStreamInfo(metadata), profile);
+
+    // Speed-up mode keeps silences as fast-forwarded segments instead of cutting them
+    const silenceSpeed = parseFloat(options.silenceSpeed) > 1 ? parseFloat(options.silenceSpeed) : null;
+    const minSegment = resolveMinDuration(options.minSegmentDuration);
+    const talkingRanges = silenceSpeed
+        ? calculateSpeedSegments(silenceRanges, inputDuration, silenceSpeed, options.silenceAudio !== 'atempo', minSegment)
+        : calculateTalkingRanges(silenceRanges, inputDuration, minSegment);
+
+    // Micro-fades ride along on the ranges; overlapping transitions need their own graph
+    const transition = resolveTransitions(talkingRanges, options, event);
+    const renderRanges = transition.overlap ? talkingRanges : addCutFades(talkingRanges, transition.fade);
+    const timelineRanges = shortenForOverlap(talkingRanges, transition.overlap);
+    const stats = calculateDurationStats(silenceRanges, inputDuration, silenceSpeed, transition.overlap * (talkingRanges.length - 1));
+    const frameRate = getFrameRate(metadata);
+    const gopSize = getGopSize(frameRate);
+
+    if (silenceSpeed) {
+        event.reply('log', `📊 Input: ${stats.inputDuration.toFixed(1)}s | Speeding up: ${stats.totalSilenceDuration.toFixed(1)}s at ${silenceSpeed}x → ${stats.keptSilenceDuration.toFixed(1)}s (${options.silenceAudio === 'atempo' ? 'atempo audio' : 'muted'}) | Expected: ${stats.expectedOutputDuration.toFixed(1)}s`);
+        event.reply('log', `📦 Built ${talkingRanges.length} segments (talking + sped-up silences)`);
+    } else {
+        event.reply('log', `📊 Input: ${stats.inputDuration.toFixed(1)}s | Removing: ${stats.totalSilenceDuration.toFixed(1)}s | Expected: ${stats.expectedOutputDuration.toFixed(1)}s`);
+        event.reply('log', `📦 Found ${talkingRanges.length} talking ranges`);
+    }
+    if (transition.fade) {
+        const ms = Math.round(transition.fade * 1000);
+        event.reply('log', transition.overlap
+            ? `🎚️ Crossfading ${ms}ms at each cut${transition.dissolve ? ' with a video dissolve' : ''} (−${stats.transitionOverlap.toFixed(1)}s overall)`
+            : `🎚️ ${ms}ms audio fades at each cut`);
+    }
+    event.reply('log', `🎨 Quality: ${qualityPreset}${profile.ext ? ` | Output: ${profile.label}` : ''}`);
+    if (talkingRanges.length > 400) {
+        event.reply('log', `⚠️ High segment count (${talkingRanges.length}) — encoding a single large filtergraph may be slow`);
+    }
+
+    const jobState = options.jobState || null;
+    const tempDir = options.tempDir || getJobTempDir(outputFile);
+
+    const loudnessTarget = options.loudnessTarget || resolveLoudnessTarget({});
+    const voiceChain = options.voiceChain || null;
+    let loudnormFilter = null;
+    let measured = null;
+    if (normalizeAudio) {
+        event.reply('log', `🔊 Audio normalization enabled: ${loudnessTarget.label}, two-pass`);
+        // The saved measurement's offset is relative to the target and chain it was taken for
+        const targetKey = loudnormTarget(loudnessTarget) + (voiceChain ? `|${voiceChain}` : '');
+        if (jobState && jobState.loudness && jobState.loudness.target === targetKey) {
+            measured = jobState.loudness;
+            event.reply('log', `⏩ Using the loudness measured in the previous run (I=${measured.input_i} LUFS)`);
+        } else {
+            event.reply('log', `🔊 Measuring loudness (pass 1/2)...`);
+            try {
+                measured = await measureSourceLoudness(inputFile, loudnessTarget, voiceChain, options.sourceFiles, event);
+                event.reply('log', measured
+                    ? `✅ Loudness measured (I=${measured.input_i} LUFS)`
+                    : `⚠️ Measurement unavailable — using single-pass loudnorm`);
+                if (jobState && measured && !isCancelled) {
+                    jobState.loudness = { ...measured, target: targetKey };
+                    await saveJobState(tempDir, jobState);
+                }
+            } catch (e) {
+                event.reply('log', `⚠️ Measurement error — using single-pass loudnorm`);
+            }
+        }
+        loudnormFilter = buildLoudnormFilter(measured, loudnessTarget);
+        if (isCancelled) throw new Error('Processing cancelled');
+    }
+    // Voice cleanup runs on the first track right before loudnorm
+    const trackFilter = [voiceChain, loudnormFilter].filter(Boolean).join(',') || null;
+    const filterTrack = !!trackFilter;
+
+    let completed = false;
+    // Audio-only inputs (podcasts, voice memos) take the same path as audio-only profiles
+    const audioOnly = !!profile.audioOnly || !hasVideoStream(metadata);
+    if (audioOnly && !profile.audioOnly) event.reply('log', `🎵 Audio-only input — cutting the audio track`);
+    const layout = getStreamLayout(metadata, outputFile, { audioOnly });
+    logStreamLayout(layout, normalizeAudio, event);
+
+    try {
+        // Cues keep the text spoken during a crossfade instead of clamping it like chapters
+        await prepareSubtitles(inputFile, layout, talkingRanges, transition.overlap, tempDir, event);
+        layout.chaptersFile = await prepareChapters(metadata, silenceRanges, timelineRanges, options.chapterMinPause || 0, tempDir, event);
+        const sidecars = await retimeSidecars(options.subtitleFiles || [], talkingRanges, transition.overlap, tempDir, event);
+        if (options.muxSubtitles) addSidecarsToLayout(layout, sidecars, event);
+
+        let rendered = false;
+        if (!layout.video && (options.smartRender || resolveChunkCount(options.parallelChunks) > 1)) {
+            event.reply('log', `ℹ️ Smart render and parallel encoding apply to video — rendering the audio in one pass`);
+        } else if (transition.overlap && (options.smartRender || resolveChunkCount(options.parallelChunks) > 1)) {
+            event.reply('log', `ℹ️ Crossfades need one continuous filtergraph — smart render and parallel encoding are off`);
+        } else if (options.smartRender && silenceSpeed) {
+            event.reply('log', `ℹ️ Smart render is not available in speed-up mode — using full re-encode`);
+        } else if (options.smartRender) {
+            try {
+                rendered = await processVideoSmart(inputFile, outputFile, talkingRanges, filterTrack, trackFilter, qualityPreset, metadata, event, tempDir, layout, streamInfo, transition.fade);
+            } catch (error) {
+                if (isCancelled) throw error;
+                event.reply('log', `⚠️ Smart render failed (${error.message}) — falling back to full re-encode`);
+            }
+        }
+
+        const splittable = layout.video && !transition.overlap;
+        // Resumable jobs keep finished chunks only when parallel encoding is on; a
+        // single-pass encode starts over, but detection and loudness are still reused
+        const chunking = { count: splittable ? Math.min(resolveChunkCount(options.parallelChunks), talkingRanges.length) : 1, maxWorkers: null, frameRate, jobState };
+        if (!rendered && chunking.count > 1) {
+            rendered = await processVideoParallel(inputFile, outputFile, renderRanges, filterTrack, trackFilter, qualityPreset, stats.expectedOutputDuration, event, useHardwareEncoder, streamInfo, layout, tempDir, chunking);
+        }
+
+        if (!rendered) {
+            let filterGraph;
+            if (transition.overlap) {
+                filterGraph = buildCrossfadeScript(talkingRanges, transition.overlap, transition.dissolve, filterTrack, trackFilter, layout.audio.length, layout.video);
+            } else {
+                filterGraph = layout.video
+                    ? buildFilterScript(renderRanges, filterTrack, trackFilter, layout.audio.length)
+                    : buildAudioFilterScript(renderRanges, filterTrack, trackFilter, layout.audio.length);
+            }
+            const filterScriptPath = await writeFilterScript(filterGraph, tempDir);
+
+            event.reply('log', `🚀 Processing ${normalizeAudio ? '(pass 2/2) ' : ''}with filter_complex_script (${talkingRanges.length} segments)`);
+
+            await processVideoWithFilter(inputFile, outputFile, filterScriptPath, qualityPreset, stats.expectedOutputDuration, gopSize, event, useHardwareEncoder, streamInfo, layout);
+        }
+
+        if (isCancelled) throw new Error('Processing cancelled');
+        await publishSidecars(sidecars, inputFile, outputFile, event);
+
+        event.reply('log', `✅ Video processing completed successfully`);
+        if (normalizeAudio) await reportLoudness(outputFile, measured, loudnessTarget, event);
+        completed = true;
+    } finally {
+        if (jobState && !completed) {
+            event.reply('log', `💾 Progress saved — start the job again to resume`);
+        } else {
+            try {
+                await removeTempDir(tempDir);
+                event.reply('log', `🧹 Cleaned up temporary files`);
+            } catch (e) {
+                event.reply('log', `⚠️ Could not clean temp files: ${e.message}`);
+            }
+        }
+    }
+}
+
+// ============================================================================
+// CUT LIST EXPORT (EDL / FCPXML / Premiere XML / Audacity / JSON / CSV)
+// ============================================================================
+
+// Source start timecode (camera/tmcd), so EDL source times match the media in the NLE.
+function getStartTimecode(metadata) {
+    const formatTags = (metadata.format && metadata.format.tags) || {};
+    if (formatTags.timecode) return formatTags.timecode;
+    const tagged = (metadata.streams || []).find(s => s.tags && s.tags.timecode);
+    return tagged ? tagged.tags.timecode : null;
+}
+
+/**
+ * Write the keep/cut decisions for `inputFile` as `format` into `outputDir`
+ * (e.g. talk.mp4 → talk.edl). Resolves with the written file path.
+ */
+async function writeCutList(inputFile, silenceRanges, format, outputDir, metadata = null) {
+    if (!EXPORT_FORMATS[format]) throw new Error(`Unknown export format: ${format}`);
+
+    const meta = metadata || await getVideoMetadata(inputFile);
+    const duration = parseFloat(meta.format.duration);
+    const streams = meta.streams || [];
+    const video = findVideoStream(meta) || {};
+    const audio = streams.find(s => s.codec_type === 'audio') || {};
+    const ranges = sanitizeSilenceRanges(silenceRanges, duration);
+
+    const content = buildCutList(format, {
+        sourcePath: path.resolve(inputFile),
+        duration,
+        fps: getFrameRate(meta),
+        width: video.width || 0,
+        height: video.height || 0,
+        audioChannels: audio.channels || 2,
+        startTimecode: getStartTimecode(meta),
+        silenceRanges: ranges,
+        talkingRanges: calculateTalkingRanges(ranges, duration)
+    });
+
+    const outputFile = path.join(outputDir, path.parse(inputFile).name + EXPORT_FORMATS[format].suffix);
+    await fs.ensureDir(outputDir);
+    await fs.writeFile(outputFile, content, 'utf8');
+    return outputFile;
+}
+
+// ============================================================================
+// OUTPUT NAMING
+// ============================================================================
+
+const DEFAULT_OUTPUT_TEMPLATE = 'processed_{name}.{ext}';
+const COLLISION_POLICIES = ['increment', 'ask', 'overwrite'];
+
+// Characters that are not allowed in file names on at least one platform
+const UNSAFE_FILENAME_CHARS = /[<>:"/\\|?*\x00-\x1f]/g;
+
+// Asked when an output exists and the policy is 'ask'; resolves with
+// 'overwrite' | 'increment' | 'skip'. Without a handler, 'ask' keeps both files.
+let collisionHandler = null;
+
+function setCollisionHandler(handler) {
+    collisionHandler = handler;
+}
+
+function getOutputDir(params) {
+    const subfolder = String(params.outputSubfolder || '').trim();
+    return subfolder ? path.resolve(path.dirname(params.inputPath), subfolder) : params.outputPath;
+}
+
+function formatDate(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Render the output file name from `params.outputTemplate`. Tokens: {name}
+ * (input name without extension), {ext} (the output profile's, else the
+ * input's), {date} (YYYY-MM-DD), {preset},
+ * {silenceDb} and {counter}. The extension is appended when the template
+ * leaves out {ext}.
+ */
+function renderOutputName(params, counter = 1) {
+    const template = String(params.outputTemplate || '').trim() || DEFAULT_OUTPUT_TEMPLATE;
+    const profile = getOutputProfile(params.outputProfile);
+    const ext = (profile && profile.ext) || path.extname(params.inputPath).slice(1);
+    const tokens = {
+        name: path.basename(params.inputPath, path.extname(params.inputPath)),
+        ext,
+        date: formatDate(new Date()),
+        preset: params.qualityPreset || 'medium',
+        silenceDb: params.silenceDb != null ? String(params.silenceDb) : '',
+        counter: String(counter)
+    };
+    let name = template.replace(/\{(\w+)\}/g, (match, key) => (key in tokens ? tokens[key] : match));
+    name = name.replace(UNSAFE_FILENAME_CHARS, '_').trim();
+    if (!template.includes('{ext}') && ext) name = `${name}.${ext}`;
+    if (!name || name === `.${ext}`) throw new Error(`Output name template gives an empty file name: ${template}`);
+    return name;
+}
+
+// The output path before collision handling; also keys the job's resume state.
+function getOutputFile(params) {
+    return path.join(getOutputDir(params), renderOutputName(params));
+}
+
+// Next free name: bumps {counter} when the template has one, else appends _2, _3, ...
+async function nextFreeOutputFile(params) {
+    const hasCounter = String(params.outputTemplate || '').includes('{counter}');
+    const dir = getOutputDir(params);
+    for (let n = 2; ; n++) {
+        let file;
+        if (hasCounter) {
+            file = path.join(dir, renderOutputName(params, n));
+        } else {
+            const base = renderOutputName(params);
+            const ext = path.extname(base);
+            file = path.join(dir, `${path.basename(base, ext)}_${n}${ext}`);
+        }
+        if (!await fs.pathExists(file)) return file;
+    }
+}
+
+/**
+ * Apply `params.onCollision` when the output already exists. Resolves with the
+ * file to write, or null when the job should be skipped.
+ */
+async function resolveOutputFile(params, event) {
+    const outputFile = getOutputFile(params);
+    if (!await fs.pathExists(outputFile)) return outputFile;
+
+    let policy = COLLISION_POLICIES.includes(params.onCollision) ? params.onCollision : 'increment';
+    if (policy === 'ask') {
+        policy = collisionHandler ? await collisionHandler(outputFile) : 'increment';
+    }
+    if (policy === 'skip') {
+        event.reply('log', `⏭️ ${path.basename(outputFile)} already exists — skipped`);
+        return null;
+    }
+    if (policy === 'overwrite') {
+        event.reply('log', `⚠️ Overwriting existing ${path.basename(outputFile)}`);
+        return outputFile;
+    }
+    const freeFile = await nextFreeOutputFile(params);
+    event.reply('log', `📝 ${path.basename(outputFile)} already exists — writing ${path.basename(freeFile)}`);
+    return freeFile;
+}
+
+// ============================================================================
+// RESUMABLE JOB STATE (survives cancel, crash and app restart)
+// ============================================================================
+
+const JOB_STATE_FILE = 'job.json';
+const JOB_STATE_VERSION = 1;
+
+// Params that change the detected ranges; saved ranges are reused only when these match
+const DETECTION_PARAM_KEYS = [
+    'silenceDb', 'minSilenceDuration', 'paddingDuration', 'paddingBefore', 'paddingAfter', 'autoThreshold',
+    'minSegmentDuration', 'minGapDuration', 'islandMode',
+    'silenceMode', 'maxPause', 'pauseKeep',
+    'voiceCleanAnalysis', 'voiceHighpass', 'voiceDenoise', 'voiceDeess', 'voiceDynamics',
+    'analysisTracks', 'analysisChannel',
+    'externalAudio', 'externalAudioMode'
+];
+
+// One temp folder per output file, so jobs sharing an output folder never collide.
+function getJobTempDir(outputFile) {
+    return path.join(path.dirname(outputFile), TEMP_DIR_NAME, path.basename(outputFile));
+}
+
+function detectionKey(params) {
+    return JSON.stringify(DETECTION_PARAM_KEYS.map(key => (params[key] == null ? null : String(params[key]))));
+}
+
+function hashKey(value) {
+    return crypto.createHash('sha1').update(JSON.stringify(value)).digest('hex');
+}
+
+async function readJobState(tempDir) {
+    try {
+        const state = await fs.readJson(path.join(tempDir, JOB_STATE_FILE));
+        return state && state.version === JOB_STATE_VERSION ? state : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// True when an earlier run of this output left state to resume from.
+async function hasJobState(outputFile) {
+    return !!await readJobState(getJobTempDir(outputFile));
+}
+
+// Writes go through one queue (parallel workers finish chunks at the same time)
+// and land atomically via rename, so a crash never leaves half a file.
+let stateWriteQueue = Promise.resolve();
+function saveJobState(tempDir, state) {
+    const file = path.join(tempDir, JOB_STATE_FILE);
+    stateWriteQueue = stateWriteQueue.then(async () => {
+        state.updatedAt = new Date().toISOString();
+        await fs.outputJson(`${file}.tmp`, state, { spaces: 2 });
+        await fs.move(`${file}.tmp`, file, { overwrite: true });
+    }).catch(() => { /* state is best effort; the job itself goes on */ });
+    return stateWriteQueue;
+}
+
+/**
+ * Load the saved state for this job, or start a fresh one. Saved state is
+ * thrown away when the input file changed; saved ranges are dropped when the
+ * detection settings changed.
+ */
+async function openJobState(params, tempDir, event) {
+    const stat = await fs.stat(params.inputPath);
+    const identity = { inputPath: params.inputPath, inputSize: stat.size, inputMtime: stat.mtimeMs };
+    const saved = await readJobState(tempDir);
+
+    if (saved && saved.inputPath === identity.inputPath && saved.inputSize === identity.inputSize && saved.inputMtime === identity.inputMtime) {
+        event.reply('log', `⏩ Resuming unfinished job from ${saved.updatedAt || 'an earlier run'}`);
+        if (saved.detectionKey !== detectionKey(params)) {
+            saved.detectionKey = detectionKey(params);
+            saved.silenceRanges = null;
+        }
+        return saved;
+    }
+    if (saved) event.reply('log', `ℹ️ Input changed since the last run — starting over`);
+
+    return {
+        version: JOB_STATE_VERSION,
+        ...identity,
+        detectionKey: detectionKey(params),
+        outputFile: null,
+        silenceRanges: null,
+        loudness: null,
+        chunks: null
+    };
+}
+
+// Remove a job's temp folder, and the shared .klyppr_temp once it is empty.
+async function removeTempDir(tempDir) {
+    await fs.remove(tempDir);
+    const root = path.dirname(tempDir);
+    try {
+        if ((await fs.readdir(root)).length === 0) await fs.remove(root);
+    } catch (e) { /* already gone */ }
+}
+
+function removeJobTempDir(outputFile) {
+    return removeTempDir(getJobTempDir(outputFile));
+}
+
+// Drop the synced copy of the input; the job folder goes too once nothing else
+// (saved state, finished chunks) is left in it.
+async function removeSyncedSource(sourceFile, tempDir) {
+    await fs.remove(sourceFile);
+    try {
+        if ((await fs.readdir(tempDir)).length === 0) await removeTempDir(tempDir);
+    } catch (e) { /* already gone */ }
+}
+
+/**
+ * Chunks an earlier run finished for the same plan (`signature`) whose files
+ * are still on disk, as a set of indices. A changed plan resets the saved list.
+ */
+async function findFinishedChunks(jobState, signature, chunkFiles, tempDir) {
+    if (!jobState.chunks || jobState.chunks.signature !== signature) {
+        jobState.chunks = { signature, done: [] };
+        await saveJobState(tempDir, jobState);
+    }
+    const done = new Set();
+    for (const i of jobState.chunks.done) {
+        if (chunkFiles[i] && await fs.pathExists(chunkFiles[i])) done.add(i);
+    }
+    return done;
+}
+
+// ============================================================================
+// ANALYSIS CACHE (raw silences, loudness and auto threshold per file identity)
+// ============================================================================
+
+// Bumped when the stored data changes shape; older entries are ignored
+const ANALYSIS_CACHE_VERSION = 1;
+// Bytes hashed from each end of a file — enough to tell re-exports apart without reading hours of video
+const IDENTITY_HASH_BYTES = 1024 * 1024;
+
+function setAnalysisCacheDir(dir) {
+    ANALYSIS_CACHE_DIR = dir || null;
+}
+
+// Size, mtime and a hash of the first and last megabyte; the path is left out, so a moved file still hits.
+async function fileIdentity(file) {
+    const stat = await fs.stat(file);
+    const hash = crypto.createHash('sha1');
+    const handle = await fs.open(file, 'r');
+    try {
+        const length = Math.min(IDENTITY_HASH_BYTES, stat.size);
+        for (const position of [0, Math.max(0, stat.size - length)]) {
+            const buffer = Buffer.alloc(length);
+            const { bytesRead } = await fs.read(handle, buffer, 0, length, position);
+            hash.update(buffer.subarray(0, bytesRead));
+        }
+    } finally {
+        await fs.close(handle);
+    }
+    return { size: stat.size, mtime: stat.mtimeMs, hash: hash.digest('hex') };
+}
+
+// The recordings an analysis of `params` listens to: the input, plus external audio synced into it.
+function analysisSourceFiles(params) {
+    return params.externalAudio ? [params.inputPath, params.externalAudio] : [params.inputPath];
+}
+
+// The renderer sends form values as strings and the CLI as numbers: '-40' and -40 key the same entry.
+function normalizeCacheSettings(settings) {
+    const normalized = {};
+    for (const [name, value] of Object.entries(settings)) {
+        normalized[name] = typeof value === 'string' && value.trim() !== '' && isFinite(value) ? Number(value) : value;
+    }
+    return normalized;
+}
+
+// Cache key for one kind of analysis, or null when caching is off.
+async function analysisCacheKey(kind, files, settings) {
+    if (!ANALYSIS_CACHE_DIR) return null;
+    try {
+        const identities = [];
+        for (const file of files) identities.push(await fileIdentity(file));
+        return hashKey({ version: ANALYSIS_CACHE_VERSION, kind, identities, settings: normalizeCacheSettings(settings) });
+    } catch (e) {
+        return null;
+    }
+}
+
+async function readAnalysisCache(key) {
+    if (!key) return null;
+    try {
+        const entry = await fs.readJson(path.join(ANALYSIS_CACHE_DIR, `${key}.json`));
+        return entry && entry.version === ANALYSIS_CACHE_VERSION ? entry.data : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// Best effort like the job state: a cache that cannot be written only costs time.
+async function writeAnalysisCache(key, kind, files, data) {
+    if (!key || isCancelled) return;
+    try {
+        await fs.outputJson(path.join(ANALYSIS_CACHE_DIR, `${key}.json`), {
+            version: ANALYSIS_CACHE_VERSION,
+            kind,
+            files: files.map(f => path.basename(f)),
+            createdAt: new Date().toISOString(),
+            data
+        });
+    } catch (e) { /* ignore */ }
+}
+
+/**
+ * What the cache holds, for the settings panel and `--cache-info`:
+ * { dir, entries, bytes, kinds: { silence, loudness, threshold }, files }.
+ */
+async function getAnalysisCacheInfo() {
+    const info = { dir: ANALYSIS_CACHE_DIR, entries: 0, bytes: 0, kinds: {}, files: [] };
+    if (!ANALYSIS_CACHE_DIR || !await fs.pathExists(ANALYSIS_CACHE_DIR)) return info;
+    for (const name of await fs.readdir(ANALYSIS_CACHE_DIR)) {
+        if (!name.endsWith('.json')) continue;
+        try {
+            const file = path.join(ANALYSIS_CACHE_DIR, name);
+            const { size } = await fs.stat(file);
+            const entry = await fs.readJson(file);
+            info.entries++;
+            info.bytes += size;
+            info.kinds[entry.kind] = (info.kinds[entry.kind] || 0) + 1;
+            for (const f of entry.files || []) if (!info.files.includes(f)) info.files.push(f);
+        } catch (e) { /* skip unreadable entries */ }
+    }
+    info.files.sort();
+    return info;
+}
+
+async function clearAnalysisCache() {
+    if (ANALYSIS_CACHE_DIR) await fs.remove(ANALYSIS_CACHE_DIR);
+    return getAnalysisCacheInfo();
+}
+
+// measureLoudness through the cache; `sourceFiles` identify what `inputFile` holds.
+async function measureSourceLoudness(inputFile, target, prefilter, sourceFiles, event) {
+    const files = sourceFiles || [inputFile];
+    const key = await analysisCacheKey('loudness', files, { target: loudnormTarget(target), prefilter });
+    const cached = await readAnalysisCache(key);
+    if (cached) {
+        event.reply('log', `⚡ Using the cached loudness measurement`);
+        return cached;
+    }
+    const measured = await measureLoudness(inputFile, target, prefilter);
+    if (measured) await writeAnalysisCache(key, 'loudness', files, measured);
+    return measured;
+}
+
+// ============================================================================
+// SINGLE JOB (metadata → silence detection → processing)
+// ============================================================================
+
+/**
+ * Phase 1 only: probe and detect silences without encoding anything. The renderer
+ * shows the result for review and sends the edited ranges back as
+ * `params.silenceRanges`, so the render step does not detect again.
+ */
+async function analyzeJob(params, event) {
+    const tempDir = getJobTempDir(getOutputFile(params));
+    const { sourceFile, metadata } = await prepareSource(params, tempDir, event);
+    try {
+        return await analyzeSource(params, sourceFile, metadata, event);
+    } finally {
+        // The synced copy is only needed for detection; the render step makes its own.
+        // The job folder may also hold a resumable job's state, which must survive
+        if (sourceFile !== params.inputPath) await removeSyncedSource(sourceFile, tempDir);
+    }
+}
+
+// Detection on the prepared source (the input, or its synced copy).
+async function analyzeSource(params, sourceFile, metadata, event) {
+    event.reply('progress', { status: 'Analyzing audio for silence...', percent: 0 });
+
+    const duration = parseFloat(metadata.format.duration);
+
+    if (!hasAudioStream(metadata)) {
+        event.reply('log', `⚠️ No audio stream found — nothing to review`);
+        return { duration, hasAudio: false, silenceRanges: [], talkingRanges: [] };
+    }
+
+    const detectParams = await applyAutoThreshold({ ...params, sourceFile }, event);
+    const detected = await detectSilence(sourceFile, detectParams, event);
+    if (isCancelled) return null;
+    const silenceRanges = refineSilenceRanges(detected, duration, params, event);
+
+    event.reply('progress', { status: 'Analysis complete — review the cuts', percent: 100 });
+    return {
+        duration,
+        hasAudio: true,
+        settings: {
+            silenceDb: detectParams.silenceDb,
+            minSilenceDuration: detectParams.minSilenceDuration,
+            paddingBefore: resolvePadding(detectParams).before,
+            paddingAfter: resolvePadding(detectParams).after
+        },
+        silenceRanges,
+        talkingRanges: calculateTalkingRanges(silenceRanges, duration, resolveMinDuration(params.minSegmentDuration))
+    };
+}
+
+// Reviewed ranges come from the renderer: clamp to the file, sort, merge overlaps.
+function sanitizeSilenceRanges(ranges, duration) {
+    const sorted = ranges
+        .map(r => ({
+            start: Math.max(0, Number(r.start)),
+            end: Math.min(duration, Number(r.end)),
+            ...(r.keptPauseAfter ? { keptPauseAfter: true } : {})
+        }))
+        .filter(r => isFinite(r.start) && isFinite(r.end) && (r.end - r.start) > MIN_SEGMENT_DURATION)
+        .sort((a, b) => a.start - b.start);
+
+    const merged = [];
+    for (const range of sorted) {
+        const last = merged[merged.length - 1];
+        // What follows a merged range is what followed the one ending last
+        if (last && range.start <= last.end) {
+            if (range.end > last.end) merged[merged.length - 1] = { ...range, start: last.start };
+        } else {
+            merged.push(range);
+        }
+    }
+    return merged;
+}
+
+/**
+ * Run the full pipeline for one input file. Resolves with the output path, or
+ * null when the run was cancelled; rejects on errors. When `params.silenceRanges`
+ * is given (reviewed cuts), detection is skipped and those ranges are rendered.
+ */
+async function processJob(params, event) {
+    // Resume state is keyed by the template name, so it survives a collision rename
+    const tempDir = getJobTempDir(getOutputFile(params));
+    const jobState = params.resumable ? await openJobState(params, tempDir, event) : null;
+
+    // A resumed job writes where it started (a half-written file there is its own)
+    const outputFile = (jobState && jobState.outputFile) || await resolveOutputFile(params, event);
+    if (!outputFile) return null;
+    if (jobState) jobState.outputFile = outputFile;
+    await fs.ensureDir(path.dirname(outputFile));
+
+    // With external audio, everything below reads the synced copy; names still follow the input
+    const { sourceFile, metadata } = await prepareSource(params, tempDir, event);
+    try {
+        return await renderSource(params, sourceFile, metadata, outputFile, { tempDir, jobState }, event);
+    } finally {
+        // The synced copy is as long as the input; a resumable job keeps only its state
+        if (sourceFile !== params.inputPath) {
+            try {
+                if (jobState) await removeSyncedSource(sourceFile, tempDir);
+                else await removeTempDir(tempDir);
+            } catch (e) { /* ignore */ }
+        }
+    }
+}
+
+// Detection (unless reviewed or resumed) and render of the prepared source.
+async function renderSource(params, sourceFile, metadata, outputFile, { tempDir, jobState }, event) {
+    event.reply('progress', { status: 'Phase 1: Analyzing audio for silence...', percent: 0 });
+
+    const profileId = params.outputProfile || 'source';
+    const profile = await validateOutputProfile(params, metadata);
+    const loudnessTarget = params.normalizeAudio ? resolveLoudnessTarget(params) : null;
+    const subtitleFiles = await findSubtitleSidecars(params);
+    if (subtitleFiles.length) {
+        event.reply('log', `💬 Subtitles to retime: ${subtitleFiles.map(f => path.basename(f)).join(', ')}`);
+    }
+
+    // No audio stream → nothing to detect or normalize. Given cuts (a silent synced
+    // angle takes its master's) are still rendered, video only.
+    const silent = !hasAudioStream(metadata);
+    const givenCuts = Array.isArray(params.silenceRanges) && params.silenceRanges.length > 0;
+    if (silent && !(givenCuts && hasVideoStream(metadata))) {
+        if (profileId === 'source') {
+            event.reply('log', `⚠️ No audio stream found — copying video as-is`);
+            await fs.copyFile(params.inputPath, outputFile);
+        } else {
+            event.reply('log', `⚠️ No audio stream found — converting without cuts`);
+            await convertWithoutAudio(params.inputPath, outputFile, params.qualityPreset || 'medium', params.useHardwareEncoder !== false, metadata, profile, event);
+            if (isCancelled) {
+                try { await fs.remove(outputFile); } catch (e) { /* ignore */ }
+                return null;
+            }
+        }
+        await copySidecarsUncut(subtitleFiles, params.inputPath, outputFile, event);
+        if (jobState) await removeTempDir(tempDir);
+        event.reply('progress', { status: 'Complete! (no audio to process)', percent: 100 });
+        return outputFile;
+    }
+
+    if (silent) event.reply('log', `🔇 No audio stream — cutting the video only`);
+    const normalizeAudio = !!params.normalizeAudio && !silent;
+    const voiceChain = silent ? null : buildVoiceChain(params, event);
+
+    let silenceRanges;
+    if (Array.isArray(params.silenceRanges)) {
+        silenceRanges = sanitizeSilenceRanges(params.silenceRanges, parseFloat(metadata.format.duration));
+        event.reply('log', `✂️ Using ${silenceRanges.length} reviewed cut ranges — skipping silence detection`);
+    } else if (jobState && jobState.silenceRanges) {
+        silenceRanges = jobState.silenceRanges;
+        event.reply('log', `⏩ Using ${silenceRanges.length} silence ranges from the previous run — skipping silence detection`);
+    } else {
+        const detected = await detectSilence(sourceFile, await applyAutoThreshold({ ...params, sourceFile }, event), event);
+        silenceRanges = refineSilenceRanges(detected, parseFloat(metadata.format.duration), params, event);
+        if (jobState && !isCancelled) {
+            jobState.silenceRanges = silenceRanges;
+            await saveJobState(tempDir, jobState);
+        }
+    }
+
+    if (isCancelled) return null;
+
+    // Another output profile, voice cleanup or external audio still needs a full render, even with nothing to cut
+    if (silenceRanges.length === 0 && profileId === 'source' && !voiceChain && sourceFile === params.inputPath) {
+        event.reply('log', `ℹ️ No silence found, processing file...`);
+        event.reply('progress', { status: 'No silences detected — processing file...', percent: 50 });
+
+        if (normalizeAudio) {
+            event.reply('log', `🔊 Normalizing audio to ${loudnessTarget.label}...`);
+            await normalizeAudioOnly(params.inputPath, outputFile, params.qualityPreset || 'medium', event, metadata, loudnessTarget);
+        } else {
+            await fs.copyFile(params.inputPath, outputFile);
+        }
+
+        if (isCancelled) {
+            try { await fs.remove(outputFile); } catch (e) { /* ignore */ }
+            return null;
+        }
+
+        await copySidecarsUncut(subtitleFiles, params.inputPath, outputFile, event);
+        if (jobState) await removeTempDir(tempDir);
+        event.reply('progress', { status: 'Complete! No processing needed.', percent: 100 });
+        return outputFile;
+    }
+
+    event.reply('progress', { status: 'Phase 2: Processing video (removing silences)...', percent: 0 });
+
+    await processVideo(sourceFile, outputFile, silenceRanges, normalizeAudio, params.qualityPreset || 'medium', event, params.useHardwareEncoder !== false, metadata, {
+        // Smart render and the chunk join both expect an audio track
+        smartRender: !!params.smartRender && !silent,
+        subtitleFiles,
+        muxSubtitles: !!params.muxSubtitles,
+        chapterMinPause: parseFloat(params.chapterMinPause) || 0,
+        minSegmentDuration: params.minSegmentDuration,
+        silenceSpeed: params.silenceMode === 'speed' ? params.silenceSpeed : null,
+        silenceAudio: params.silenceAudio,
+        fadeDuration: params.fadeDuration,
+        fadeMode: params.fadeMode,
+        videoTransition: params.videoTransition,
+        parallelChunks: silent ? 1 : params.parallelChunks,
+        outputProfile: profileId,
+        loudnessTarget,
+        voiceChain,
+        sourceFiles: analysisSourceFiles(params),
+        jobState,
+        tempDir
+    });
+
+    if (isCancelled) {
+        try { await fs.remove(outputFile); } catch (e) { /* ignore */ }
+        return null;
+    }
+    return outputFile;
+}
+
+// ============================================================================
+// SYNCED COMPANIONS (multicam angles / external recorder cut like the master)
+// ============================================================================
+
+/**
+ * Master cuts moved onto a companion's timeline. `offset` is where the master's
+ * 0:00 falls in the companion (negative when the companion started later).
+ * Footage the master does not cover is cut too, so every angle lines up.
+ */
+function companionSilenceRanges(masterRanges, offset, masterDuration, companionDuration) {
+    const shifted = masterRanges.map(r => ({ ...r, start: r.start + offset, end: r.end + offset }));
+    shifted.push({ start: 0, end: offset }, { start: masterDuration + offset, end: companionDuration });
+    return sanitizeSilenceRanges(shifted, companionDuration);
+}
+
+/**
+ * Detect silences on the master only and render it plus every companion
+ * ({ inputPath, offset, subtitleFiles? }) with the same cuts. Resolves with one result
+ * ({ inputPath, outputFile, error }) per file, master first; `outputFile` is null
+ * when a file was skipped. A failed companion does not stop the others; one
+ * without audio (a camera with no mic) is cut video only.
+ */
+async function processSyncedJobs(params, companions, event, onResult = null) {
+    const metadata = await getVideoMetadata(params.inputPath);
+    const duration = parseFloat(metadata.format.duration);
+    if (!hasAudioStream(metadata)) throw new Error('The master file has no audio to detect silences on');
+
+    let silenceRanges;
+    if (Array.isArray(params.silenceRanges)) {
+        silenceRanges = sanitizeSilenceRanges(params.silenceRanges, duration);
+    } else {
+        // Same detection as a review, so external audio on the master is honored
+        const analysis = await analyzeJob(params, event);
+        if (!analysis) return null;
+        silenceRanges = analysis.silenceRanges;
+    }
+    event.reply('log', `🎬 ${silenceRanges.length} cuts from ${path.basename(params.inputPath)} go to ${companions.length} synced file${companions.length === 1 ? '' : 's'}`);
+
+    // Smart render snaps cuts to each file's own keyframes, which would drift the angles apart
+    if (params.smartRender) event.reply('log', `ℹ️ Smart render is off for synced files — every angle is cut at the same frames`);
+    const renderParams = { ...params, smartRender: false };
+
+    const results = [];
+    const report = (result) => {
+        results.push(result);
+        if (onResult) onResult(result);
+    };
+
+    report({ inputPath: params.inputPath, outputFile: await processJob({ ...renderParams, silenceRanges }, event), error: null });
+
+    for (const companion of companions) {
+        if (isCancelled) break;
+        const offset = parseFloat(companion.offset) || 0;
+        const name = path.basename(companion.inputPath);
+        event.reply('log', `🎥 ${name} (offset ${offset >= 0 ? '+' : ''}${offset.toFixed(3)}s)`);
+        try {
+            const companionMetadata = await getVideoMetadata(companion.inputPath);
+            const companionDuration = parseFloat(companionMetadata.format.duration);
+            const missingStart = Math.max(0, -offset);
+            const missingEnd = Math.max(0, duration + offset - companionDuration);
+            if (missingStart > MIN_SEGMENT_DURATION || missingEnd > MIN_SEGMENT_DURATION) {
+                event.reply('log', `⚠️ ${name} does not cover the whole master (${missingStart.toFixed(1)}s missing at the start, ${missingEnd.toFixed(1)}s at the end) — this angle comes out shorter`);
+            }
+            const outputFile = await processJob({
+                ...renderParams,
+                inputPath: companion.inputPath,
+                subtitleFiles: companion.subtitleFiles || null,
+                externalAudio: null,
+                silenceRanges: companionSilenceRanges(silenceRanges, offset, duration, companionDuration)
+            }, event);
+            report({ inputPath: companion.inputPath, outputFile, error: null });
+        } catch (error) {
+            if (isCancelled) break;
+            event.reply('log', `❌ ${name}: ${error.message}`);
+            report({ inputPath: companion.inputPath, outputFile: null, error: error.message || 'Unknown error' });
+        }
+    }
+    return results;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+    MIN_SEGMENT_DURATION,
+    TEMP_DIR_NAME,
+    LOUDNORM_TARGET,
+    VIDEO_EXTENSIONS,
+    AUDIO_EXTENSIONS,
+    SUBTITLE_EXTENSIONS,
+    EXPORT_FORMATS,
+
+    setFFmpegPaths,
+    getFFmpegPath,
+    setHardwareEncoder,
+    getHardwareEncoder,
+    detectHardwareEncoderAsync,
+    setDenoiseModel,
+    hasDenoiseModel,
+    setAnalysisCacheDir,
+    analysisCacheKey,
+    getAnalysisCacheInfo,
+    clearAnalysisCache,
+
+    resetCancellation,
+    isProcessingCancelled,
+    cancelActiveProcess,
+    runFFmpeg,
+
+    getVideoMetadata,
+    hasAudioStream,
+    listAudioStreams,
+    ANALYSIS_CHANNELS,
+    parseAnalysisTracks,
+    analysisArgs,
+    extractStreamInfo,
+    getFrameRate,
+    calculateDurationStats,
+    calculateSpeedSegments,
+    addCutFades,
+    shortenForOverlap,
+    buildCrossfadeScript,
+    calculateTalkingRanges,
+    SHORT_ISLAND_MODES,
+    refineSilenceRanges,
+    getEncodingOptions,
+    LOUDNESS_TARGETS,
+    DEFAULT_LOUDNESS_TARGET,
+    resolveLoudnessTarget,
+    VOICE_DENOISERS,
+    VOICE_DEESS,
+    VOICE_DYNAMICS,
+    buildVoiceChain,
+    measureLoudness,
+    buildLoudnormFilter,
+    getStreamLayout,
+    buildStreamArgs,
+    buildChapters,
+    buildFilterScript,
+    buildAudioFilterScript,
+    processVideoWithFilter,
+    planSmartPieces,
+    splitIntoChunks,
+    normalizeAudioOnly,
+    parseSilenceLine,
+    processSilenceRange,
+    resolvePadding,
+    PAUSE_KEEP_MODES,
+    detectSilence,
+    suggestSilenceSettings,
+    applyAutoThreshold,
+    OUTPUT_PROFILES,
+    getOutputProfile,
+    applyOutputProfile,
+    validateOutputProfile,
+    processVideo,
+    analyzeJob,
+    sanitizeSilenceRanges,
+    DEFAULT_OUTPUT_TEMPLATE,
+    COLLISION_POLICIES,
+    setCollisionHandler,
+    renderOutputName,
+    getOutputDir,
+    getOutputFile,
+    hasJobState,
+    openJobState,
+    saveJobState,
+    findFinishedChunks,
+    removeJobTempDir,
+    writeCutList,
+    processJob,
+    EXTERNAL_AUDIO_MODES,
+    correlateOffset,
+    companionSilenceRanges,
+    processSyncedJobs
+};
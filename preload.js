@@ -1,10 +1,14 @@
-const { contextBridge, ipcRenderer } = require('electron');
+const { contextBridge, ipcRenderer, webUtils } = require('electron');
 
 const VIDEO_EXTENSIONS = Object.freeze([
     'mp4', 'avi', 'mov', 'mkv', 'webm', 'flv', 'ts',
     'm4v', 'wmv', '3gp', 'mpg', 'mpeg', 'mts', 'vob'
 ]);
 
+const AUDIO_EXTENSIONS = Object.freeze([
+    'mp3', 'wav', 'm4a', 'flac', 'aac', 'ogg', 'opus', 'wma', 'aiff', 'aif'
+]);
+
 contextBridge.exposeInMainWorld('klyppr', {
     // Renderer -> Main (fire-and-forget)
     selectInput:      ()       => ipcRenderer.send('select-input'),
@@ -16,17 +20,45 @@ contextBridge.exposeInMainWorld('klyppr', {
     showInFolder:     (path)   => ipcRenderer.send('show-in-folder', path),
     saveSettings:     (s)      => ipcRenderer.send('save-settings', s),
 
+    // Batch queue
+    addToQueue:       (paths)         => ipcRenderer.send('queue-add', paths),
+    removeFromQueue:  (id)            => ipcRenderer.send('queue-remove', id),
+    moveInQueue:      (id, delta)     => ipcRenderer.send('queue-move', id, delta),
+    setJobOverrides:  (id, overrides) => ipcRenderer.send('queue-set-overrides', id, overrides),
+    attachSubtitles:  (id)            => ipcRenderer.send('queue-attach-subtitles', id),
+    clearSubtitles:   (id)            => ipcRenderer.send('queue-clear-subtitles', id),
+    attachExternalAudio: (id)         => ipcRenderer.send('queue-attach-external-audio', id),
+    setExternalMode:  (id, mode)      => ipcRenderer.send('queue-set-external-mode', id, mode),
+    clearExternalAudio: (id)          => ipcRenderer.send('queue-clear-external-audio', id),
+    setJobSync:       (id, masterId, offset) => ipcRenderer.send('queue-set-sync', id, masterId, offset),
+    clearQueue:       ()              => ipcRenderer.send('queue-clear'),
+
+    // Review before render
+    setReviewedRanges: (id, ranges)         => ipcRenderer.send('queue-set-reviewed-ranges', id, ranges),
+    renderJob:         (id, params, ranges) => ipcRenderer.send('render-job', id, params, ranges),
+
     // Renderer -> Main (request/response)
-    loadSettings: () => ipcRenderer.invoke('load-settings'),
+    loadSettings:  ()                        => ipcRenderer.invoke('load-settings'),
+    analyzeJob:    (id, params)              => ipcRenderer.invoke('analyze-job', id, params),
+    exportCutList: (id, format, ranges, out) => ipcRenderer.invoke('export-cut-list', id, format, ranges, out),
+    getAudioStreams: (id)                    => ipcRenderer.invoke('get-audio-streams', id),
+    getAnalysisCache:   ()                   => ipcRenderer.invoke('get-analysis-cache'),
+    clearAnalysisCache: ()                   => ipcRenderer.invoke('clear-analysis-cache'),
+    showAnalysisCache:  ()                   => ipcRenderer.send('show-analysis-cache'),
+    getDenoiseModel:    ()                   => ipcRenderer.invoke('get-denoise-model'),
 
     // Main -> Renderer (event listeners)
-    onInputSelected:  (cb) => ipcRenderer.on('input-selected',  (_e, v) => cb(v)),
+    onQueueUpdated:   (cb) => ipcRenderer.on('queue-updated',   (_e, v) => cb(v)),
     onOutputSelected: (cb) => ipcRenderer.on('output-selected', (_e, v) => cb(v)),
     onProgress:       (cb) => ipcRenderer.on('progress',        (_e, v) => cb(v)),
     onLog:            (cb) => ipcRenderer.on('log',             (_e, v) => cb(v)),
     onCompleted:      (cb) => ipcRenderer.on('completed',       (_e, v) => cb(v)),
     onEncoderInfo:    (cb) => ipcRenderer.on('encoder-info',    (_e, v) => cb(v)),
 
+    // Dropped File → absolute path (File.path is gone in recent Electron)
+    getPathForFile: (file) => webUtils.getPathForFile(file),
+
     // Static data
-    videoExtensions: VIDEO_EXTENSIONS
+    videoExtensions: VIDEO_EXTENSIONS,
+    audioExtensions: AUDIO_EXTENSIONS
 });
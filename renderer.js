@@ -6,12 +6,18 @@ const presets = {
     recommended: {
         silenceDb: -40,
         minSilenceDuration: 0.2,
-        paddingDuration: 0.06
+        paddingBefore: 0.06,
+        paddingAfter: 0.06,
+        minSegmentDuration: 0,
+        minGapDuration: 0
     },
     fast: {
         silenceDb: -30,
         minSilenceDuration: 0.4,
-        paddingDuration: 0.035
+        paddingBefore: 0.035,
+        paddingAfter: 0.035,
+        minSegmentDuration: 0,
+        minGapDuration: 0
     }
 };
 
@@ -20,6 +26,24 @@ const presets = {
 // ============================================================================
 
 let currentOutputFile = null;
+let queue = [];
+const expandedOverrides = new Set();
+
+// Per-file settings that can override the shared Advanced Settings
+const OVERRIDE_FIELDS = [
+    { key: 'silenceDb', label: 'Threshold (dB)', step: '1' },
+    { key: 'minSilenceDuration', label: 'Min. silence (s)', step: '0.1' },
+    { key: 'paddingBefore', label: 'Padding before (s)', step: '0.01' },
+    { key: 'paddingAfter', label: 'Padding after (s)', step: '0.01' }
+];
+
+const STATUS_LABELS = {
+    pending: 'Waiting',
+    processing: 'Processing',
+    done: 'Done',
+    failed: 'Failed',
+    cancelled: 'Cancelled'
+};
 
 function $(id) { return document.getElementById(id); }
 
@@ -35,42 +59,347 @@ function selectOutput() {
     window.klyppr.selectOutput();
 }
 
+function hasRunnableJobs() {
+    return queue.some(j => j.status !== 'done' && j.status !== 'processing');
+}
+
 function updateStartButton() {
-    const inputPath = $('inputPath').value;
-    const outputPath = $('outputPath').value;
+    const hasInput = hasRunnableJobs();
+    // An input-relative subfolder stands in for the output folder
+    const outputPath = $('outputPath').value || $('outputSubfolder').value.trim();
     const startBtn = $('startBtn');
-    startBtn.disabled = !(inputPath && outputPath);
+    startBtn.disabled = !(hasInput && outputPath);
     startBtn.setAttribute('data-tooltip',
-        inputPath && outputPath ? 'Start processing video' : 'Select input and output first'
+        hasInput && outputPath ? 'Start processing the queue' : 'Select input and output first'
+    );
+}
+
+// ============================================================================
+// QUEUE
+// ============================================================================
+
+function fileName(filePath) {
+    return filePath.split(/[\\/]/).pop();
+}
+
+function createQueueButton(label, tooltip, onClick, disabled) {
+    const btn = document.createElement('button');
+    btn.className = 'queue-btn';
+    btn.textContent = label;
+    btn.setAttribute('data-tooltip', tooltip);
+    btn.disabled = !!disabled;
+    btn.addEventListener('click', onClick);
+    return btn;
+}
+
+function createOverrideEditor(job) {
+    const editor = document.createElement('div');
+    editor.className = 'queue-overrides';
+    const overrides = job.overrides || {};
+
+    for (const field of OVERRIDE_FIELDS) {
+        const label = document.createElement('label');
+        label.className = 'queue-override-field';
+        label.textContent = field.label;
+
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.step = field.step;
+        input.className = 'number-input queue-override-input';
+        input.dataset.key = field.key;
+        input.placeholder = $(field.key).value;
+        input.value = overrides[field.key] != null ? overrides[field.key] : '';
+        input.disabled = job.status === 'processing';
+        input.addEventListener('change', () => {
+            const next = {};
+            editor.querySelectorAll('.queue-override-input').forEach(el => {
+                if (el.value !== '') next[el.dataset.key] = el.value;
+            });
+            window.klyppr.setJobOverrides(job.id, next);
+        });
+
+        label.appendChild(input);
+        editor.appendChild(label);
+    }
+    editor.append(...createSyncFields(job), createSubtitleRow(job), createExternalAudioRow(job));
+    return editor;
+}
+
+function syncMasterOf(job) {
+    return job.syncMasterId === null ? null : queue.find(j => j.id === job.syncMasterId) || null;
+}
+
+// Another camera / recorder of the same session: cut with a master's cuts, shifted
+// by the offset (where the master's 0:00 falls in this file).
+function createSyncFields(job) {
+    const busy = job.status === 'processing';
+    const master = syncMasterOf(job);
+
+    const cutWith = document.createElement('label');
+    cutWith.className = 'queue-override-field';
+    cutWith.textContent = 'Cut with';
+    const select = document.createElement('select');
+    select.className = 'select-input queue-override-input';
+    select.add(new Option('Own cuts', ''));
+    // Masters cannot be companions themselves
+    for (const other of queue) {
+        if (other.id !== job.id && !syncMasterOf(other)) select.add(new Option(fileName(other.inputPath), String(other.id)));
+    }
+    select.value = master ? String(master.id) : '';
+    select.disabled = busy;
+
+    const offsetField = document.createElement('label');
+    offsetField.className = 'queue-override-field';
+    offsetField.textContent = 'Sync offset (s)';
+    const offset = document.createElement('input');
+    offset.type = 'number';
+    offset.step = '0.001';
+    offset.className = 'number-input queue-override-input';
+    offset.value = job.syncOffset || 0;
+    offset.disabled = busy || !master;
+
+    const update = () => window.klyppr.setJobSync(job.id, select.value === '' ? null : Number(select.value), offset.value);
+    select.addEventListener('change', update);
+    offset.addEventListener('change', update);
+
+    cutWith.appendChild(select);
+    offsetField.appendChild(offset);
+    return [cutWith, offsetField];
+}
+
+// Attached SRT/VTT/ASS files; without any, a same-named .srt is picked up.
+function createSubtitleRow(job) {
+    const row = document.createElement('div');
+    row.className = 'queue-subtitles';
+
+    const label = document.createElement('span');
+    label.className = 'queue-subtitles-label';
+    label.textContent = job.subtitleFiles
+        ? `Subtitles: ${job.subtitleFiles.map(fileName).join(', ')}`
+        : 'Subtitles: same-named .srt if present';
+
+    const busy = job.status === 'processing';
+    row.append(
+        label,
+        createQueueButton('Attach\u2026', 'Attach SRT / VTT / ASS files to retime', () => window.klyppr.attachSubtitles(job.id), busy),
+        createQueueButton('Clear', 'Detach subtitle files', () => window.klyppr.clearSubtitles(job.id), busy || !job.subtitleFiles)
+    );
+    return row;
+}
+
+// A separate recorder's audio, aligned to this file's audio before detection.
+function createExternalAudioRow(job) {
+    const row = document.createElement('div');
+    row.className = 'queue-subtitles';
+
+    const label = document.createElement('span');
+    label.className = 'queue-subtitles-label';
+    label.textContent = job.externalAudio
+        ? `External audio: ${fileName(job.externalAudio)}`
+        : 'External audio: none';
+
+    const busy = job.status === 'processing';
+    const mode = document.createElement('select');
+    mode.className = 'select-input queue-external-mode';
+    mode.add(new Option('Replace camera audio', 'replace'));
+    mode.add(new Option('Add as first track', 'add'));
+    mode.value = job.externalAudioMode || 'replace';
+    mode.disabled = busy || !job.externalAudio;
+    mode.addEventListener('change', () => window.klyppr.setExternalMode(job.id, mode.value));
+
+    row.append(
+        label,
+        mode,
+        createQueueButton('Attach\u2026', 'Sync a WAV from an external recorder to this file', () => window.klyppr.attachExternalAudio(job.id), busy),
+        createQueueButton('Clear', 'Use the file\'s own audio', () => window.klyppr.clearExternalAudio(job.id), busy || !job.externalAudio)
     );
+    return row;
+}
+
+function renderQueue() {
+    const list = $('queueList');
+    list.replaceChildren();
+
+    queue.forEach((job, index) => {
+        const item = document.createElement('li');
+        item.className = 'queue-item';
+        item.dataset.status = job.status;
+
+        const row = document.createElement('div');
+        row.className = 'queue-row';
+
+        const name = document.createElement('span');
+        name.className = 'queue-name';
+        name.textContent = fileName(job.inputPath);
+        name.title = job.error ? `${job.inputPath}\n${job.error}` : job.inputPath;
+
+        const state = document.createElement('span');
+        state.className = 'queue-state';
+        state.textContent = STATUS_LABELS[job.status] +
+            (job.overrides ? ' · custom' : '') +
+            (job.reviewedRanges ? ' · reviewed' : '') +
+            (job.subtitleFiles ? ' · subtitles' : '') +
+            (job.externalAudio ? ' · external audio' : '') +
+            (syncMasterOf(job) ? ` · synced to ${fileName(syncMasterOf(job).inputPath)}` : '') +
+            (job.resumeParams ? ' · resume' : '');
+
+        const busy = job.status === 'processing';
+        const anyBusy = queue.some(j => j.status === 'processing');
+        row.append(
+            name,
+            state,
+            createQueueButton('\u2191', 'Move up', () => window.klyppr.moveInQueue(job.id, -1), index === 0),
+            createQueueButton('\u2193', 'Move down', () => window.klyppr.moveInQueue(job.id, 1), index === queue.length - 1),
+            createQueueButton('\u2702', 'Analyze and review cuts', () => reviewJob(job), anyBusy || !!syncMasterOf(job)),
+            createQueueButton('\u2699', 'Per-file settings', () => {
+                if (expandedOverrides.has(job.id)) expandedOverrides.delete(job.id);
+                else expandedOverrides.add(job.id);
+                renderQueue();
+            }),
+            createQueueButton('\u2715', 'Remove from queue', () => window.klyppr.removeFromQueue(job.id), busy)
+        );
+        item.appendChild(row);
+
+        if (expandedOverrides.has(job.id)) {
+            item.appendChild(createOverrideEditor(job));
+        }
+        list.appendChild(item);
+    });
+
+    const pending = queue.filter(j => j.status !== 'done').length;
+    $('queueSection').style.display = queue.length ? '' : 'none';
+    $('queueCount').textContent = queue.length ? `${pending} of ${queue.length} to process` : '';
+    $('inputPath').value = queue.length === 1
+        ? queue[0].inputPath
+        : queue.length ? `${queue.length} files in queue` : '';
+    updateStartButton();
+    refreshAnalysisTracks();
+}
+
+// ============================================================================
+// ANALYSIS SOURCE
+// ============================================================================
+
+// Track numbers (0-based) silence detection listens to; empty = default track.
+// The picker lists the first queued file's tracks, the numbers apply to every file.
+let analysisTracks = [];
+let analysisTracksFile = null;
+
+async function refreshAnalysisTracks() {
+    const first = queue[0] || null;
+    const inputPath = first ? first.inputPath : null;
+    if (inputPath === analysisTracksFile) return;
+    analysisTracksFile = inputPath;
+    const streams = first ? await window.klyppr.getAudioStreams(first.id) : [];
+    if (analysisTracksFile === inputPath) renderAnalysisTracks(streams);
+}
+
+function renderAnalysisTracks(streams) {
+    const picker = $('analysisTracks');
+    if (!streams.length) {
+        const hint = document.createElement('span');
+        hint.className = 'field-hint';
+        hint.textContent = analysisTracksFile ? 'No audio tracks in this file' : 'Add a file to pick its audio tracks';
+        picker.replaceChildren(hint);
+        return;
+    }
+
+    picker.replaceChildren(...streams.map(stream => {
+        const chip = document.createElement('label');
+        chip.className = 'track-chip';
+        const box = document.createElement('input');
+        box.type = 'checkbox';
+        box.dataset.track = stream.track;
+        box.checked = analysisTracks.includes(stream.track);
+        box.addEventListener('change', () => {
+            analysisTracks = box.checked
+                ? [...analysisTracks, stream.track].sort((a, b) => a - b)
+                : analysisTracks.filter(k => k !== stream.track);
+        });
+        const name = [stream.title, stream.language].filter(Boolean).join(', ');
+        chip.title = `${stream.codec}, ${stream.channels} ch`;
+        chip.append(box, `Track ${stream.track + 1}${name ? ` · ${name}` : ''}`);
+        return chip;
+    }));
+}
+
+// ============================================================================
+// ANALYSIS CACHE
+// ============================================================================
+
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function renderAnalysisCache(info) {
+    const label = $('analysisCacheInfo');
+    if (!info.entries) {
+        label.textContent = 'Empty';
+        label.title = '';
+    } else {
+        const files = info.files.length;
+        label.textContent = `${files} file${files === 1 ? '' : 's'} · ${info.entries} results · ${formatBytes(info.bytes)}`;
+        label.title = info.files.join('\n');
+    }
+    $('clearAnalysisCacheBtn').disabled = !info.entries;
+}
+
+async function refreshAnalysisCache() {
+    renderAnalysisCache(await window.klyppr.getAnalysisCache());
 }
 
 // ============================================================================
 // PROCESSING
 // ============================================================================
 
-function startProcessing() {
-    const params = {
-        inputPath: $('inputPath').value,
+function collectParams() {
+    return {
         outputPath: $('outputPath').value,
         silenceDb: $('silenceDb').value,
         minSilenceDuration: $('minSilenceDuration').value,
-        paddingDuration: $('paddingDuration').value,
+        paddingBefore: $('paddingBefore').value,
+        paddingAfter: $('paddingAfter').value,
+        minSegmentDuration: $('minSegmentDuration').value,
+        minGapDuration: $('minGapDuration').value,
+        islandMode: $('islandMode').value,
+        autoThreshold: $('autoThreshold').checked,
         normalizeAudio: $('normalizeAudio').checked,
+        loudnessTarget: $('loudnessTarget').value,
+        loudnessI: $('loudnessI').value,
+        loudnessTP: $('loudnessTP').value,
+        loudnessLRA: $('loudnessLRA').value,
+        voiceHighpass: $('voiceHighpass').value,
+        voiceDenoise: $('voiceDenoise').value,
+        voiceDeess: $('voiceDeess').value,
+        voiceDynamics: $('voiceDynamics').value,
+        voiceCleanAnalysis: $('voiceCleanAnalysis').checked,
+        analysisTracks: analysisTracks.slice(),
+        analysisChannel: $('analysisChannel').value,
         qualityPreset: $('qualityPreset').value,
-        useHardwareEncoder: $('useHardwareEncoder').checked
+        useHardwareEncoder: $('useHardwareEncoder').checked,
+        smartRender: $('smartRender').checked,
+        muxSubtitles: $('muxSubtitles').checked,
+        chapterMinPause: $('chapterMinPause').value,
+        fadeDuration: $('fadeDuration').value,
+        fadeMode: $('fadeMode').value,
+        videoTransition: $('videoTransition').value,
+        silenceMode: $('silenceMode').value,
+        silenceSpeed: $('silenceSpeed').value,
+        silenceAudio: $('silenceAudio').value,
+        maxPause: $('maxPause').value,
+        pauseKeep: $('pauseKeep').value,
+        parallelChunks: $('parallelChunks').value,
+        resumable: $('resumable').checked,
+        outputTemplate: $('outputTemplate').value,
+        onCollision: $('onCollision').value,
+        outputSubfolder: $('outputSubfolder').value.trim(),
+        outputProfile: $('outputProfile').value
     };
+}
 
-    // Save settings for next session
-    window.klyppr.saveSettings({
-        silenceDb: params.silenceDb,
-        minSilenceDuration: params.minSilenceDuration,
-        paddingDuration: params.paddingDuration,
-        qualityPreset: params.qualityPreset,
-        normalizeAudio: params.normalizeAudio,
-        useHardwareEncoder: params.useHardwareEncoder
-    });
-
+function showRunningState(statusText) {
     $('startBtn').style.display = 'none';
     const cancelBtn = $('cancelBtn');
     cancelBtn.style.display = '';
@@ -78,7 +407,7 @@ function startProcessing() {
     cancelBtn.querySelector('.btn-text').textContent = 'Cancel';
     $('progress').style.display = 'block';
     $('logSection').style.display = 'block';
-    $('status').textContent = 'Starting process...';
+    $('status').textContent = statusText;
     $('progressBar').style.width = '0%';
 
     // Clear log and collapse
@@ -86,7 +415,61 @@ function startProcessing() {
     $('logContainer').style.display = 'none';
     $('logToggleBtn').querySelector('.log-toggle-icon').textContent = '\u25BC';
     $('logToggleBtn').querySelector('.log-toggle-text').textContent = 'Show Processing Logs';
+}
 
+function showIdleState() {
+    $('startBtn').style.display = '';
+    $('cancelBtn').style.display = 'none';
+    updateStartButton();
+}
+
+function startProcessing() {
+    const params = collectParams();
+
+    // Save settings for next session
+    window.klyppr.saveSettings({
+        silenceDb: params.silenceDb,
+        minSilenceDuration: params.minSilenceDuration,
+        paddingBefore: params.paddingBefore,
+        paddingAfter: params.paddingAfter,
+        minSegmentDuration: params.minSegmentDuration,
+        minGapDuration: params.minGapDuration,
+        islandMode: params.islandMode,
+        autoThreshold: params.autoThreshold,
+        qualityPreset: params.qualityPreset,
+        normalizeAudio: params.normalizeAudio,
+        loudnessTarget: params.loudnessTarget,
+        loudnessI: params.loudnessI,
+        loudnessTP: params.loudnessTP,
+        loudnessLRA: params.loudnessLRA,
+        voiceHighpass: params.voiceHighpass,
+        voiceDenoise: params.voiceDenoise,
+        voiceDeess: params.voiceDeess,
+        voiceDynamics: params.voiceDynamics,
+        voiceCleanAnalysis: params.voiceCleanAnalysis,
+        analysisTracks: params.analysisTracks,
+        analysisChannel: params.analysisChannel,
+        useHardwareEncoder: params.useHardwareEncoder,
+        smartRender: params.smartRender,
+        muxSubtitles: params.muxSubtitles,
+        chapterMinPause: params.chapterMinPause,
+        fadeDuration: params.fadeDuration,
+        fadeMode: params.fadeMode,
+        videoTransition: params.videoTransition,
+        silenceMode: params.silenceMode,
+        silenceSpeed: params.silenceSpeed,
+        silenceAudio: params.silenceAudio,
+        maxPause: params.maxPause,
+        pauseKeep: params.pauseKeep,
+        parallelChunks: params.parallelChunks,
+        resumable: params.resumable,
+        outputTemplate: params.outputTemplate,
+        onCollision: params.onCollision,
+        outputSubfolder: params.outputSubfolder,
+        outputProfile: params.outputProfile
+    });
+
+    showRunningState('Starting process...');
     window.klyppr.startProcessing(params);
 }
 
@@ -98,10 +481,176 @@ function cancelProcessing() {
     window.klyppr.cancelProcessing();
 }
 
+// ============================================================================
+// REVIEW BEFORE RENDER
+// ============================================================================
+
+const CUT_NUDGE = 0.05;
+
+// { jobId, duration, cuts: [{ start, end, enabled }] } while the dialog is open
+let review = null;
+
+async function reviewJob(job) {
+    showRunningState('Analyzing audio for silence...');
+    const result = await window.klyppr.analyzeJob(job.id, collectParams());
+    showIdleState();
+    refreshAnalysisCache();
+
+    if (result.cancelled) {
+        $('status').textContent = 'Analysis cancelled';
+        return;
+    }
+    if (result.error) {
+        $('status').textContent = `Error: ${result.error}`;
+        return;
+    }
+    $('progress').style.display = 'none';
+
+    // Reopening a reviewed file shows the saved cuts rather than a fresh detection
+    const ranges = job.reviewedRanges || result.silenceRanges;
+    review = {
+        jobId: job.id,
+        duration: result.duration,
+        // keptPauseAfter marks the first cut around the kept middle of a shortened pause
+        cuts: ranges.map(r => ({ start: r.start, end: r.end, keptPauseAfter: !!r.keptPauseAfter, enabled: true }))
+    };
+    $('reviewFileName').textContent = fileName(job.inputPath);
+    renderReview();
+    $('reviewModal').style.display = 'flex';
+}
+
+function enabledCutRanges() {
+    return review.cuts.filter(c => c.enabled).map(c => ({ start: c.start, end: c.end, keptPauseAfter: c.keptPauseAfter }));
+}
+
+function setCutBounds(cut, start, end) {
+    const s = Math.max(0, Math.min(start, review.duration));
+    const e = Math.max(0, Math.min(end, review.duration));
+    if (e - s > 0.01) {
+        cut.start = s;
+        cut.end = e;
+    }
+    renderReview();
+}
+
+function createCutInput(value, onChange) {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.step = '0.01';
+    input.min = '0';
+    input.className = 'number-input review-time-input';
+    input.value = value.toFixed(2);
+    input.addEventListener('change', () => onChange(parseFloat(input.value)));
+    return input;
+}
+
+function renderReview() {
+    const { duration, cuts } = review;
+    const timeline = $('reviewTimeline');
+    const list = $('reviewList');
+    timeline.replaceChildren();
+    list.replaceChildren();
+
+    cuts.forEach((cut, index) => {
+        const block = document.createElement('div');
+        block.className = 'review-cut' + (cut.enabled ? '' : ' disabled');
+        block.style.left = `${(cut.start / duration) * 100}%`;
+        block.style.width = `${Math.max(0.2, ((cut.end - cut.start) / duration) * 100)}%`;
+        block.title = `${cut.start.toFixed(2)}s – ${cut.end.toFixed(2)}s`;
+        block.addEventListener('click', () => {
+            cut.enabled = !cut.enabled;
+            renderReview();
+            const row = list.children[index];
+            if (row) row.scrollIntoView({ block: 'nearest' });
+        });
+        timeline.appendChild(block);
+
+        const row = document.createElement('li');
+        row.className = 'review-row' + (cut.enabled ? '' : ' disabled');
+
+        const toggle = document.createElement('input');
+        toggle.type = 'checkbox';
+        toggle.checked = cut.enabled;
+        toggle.addEventListener('change', () => {
+            cut.enabled = toggle.checked;
+            renderReview();
+        });
+
+        const label = document.createElement('span');
+        label.className = 'review-index';
+        label.textContent = `#${index + 1}`;
+
+        const length = document.createElement('span');
+        length.className = 'review-length';
+        length.textContent = `${(cut.end - cut.start).toFixed(2)}s`;
+
+        row.append(
+            toggle,
+            label,
+            createCutInput(cut.start, (v) => setCutBounds(cut, v, cut.end)),
+            createCutInput(cut.end, (v) => setCutBounds(cut, cut.start, v)),
+            length,
+            createQueueButton('+', `Widen cut by ${CUT_NUDGE}s on each side`,
+                () => setCutBounds(cut, cut.start - CUT_NUDGE, cut.end + CUT_NUDGE)),
+            createQueueButton('\u2212', `Narrow cut by ${CUT_NUDGE}s on each side`,
+                () => setCutBounds(cut, cut.start + CUT_NUDGE, cut.end - CUT_NUDGE))
+        );
+        list.appendChild(row);
+    });
+
+    const enabled = cuts.filter(c => c.enabled);
+    const removed = enabled.reduce((sum, c) => sum + (c.end - c.start), 0);
+    $('reviewSummary').textContent =
+        `${enabled.length} of ${cuts.length} cuts · removing ${removed.toFixed(1)}s · ` +
+        `output ~${Math.max(0, duration - removed).toFixed(1)}s of ${duration.toFixed(1)}s`;
+}
+
+function closeReview() {
+    $('reviewModal').style.display = 'none';
+    review = null;
+}
+
+function saveReview() {
+    window.klyppr.setReviewedRanges(review.jobId, enabledCutRanges());
+    closeReview();
+}
+
+async function exportReview() {
+    const outputPath = $('outputPath').value;
+    if (!outputPath) {
+        $('reviewSummary').textContent = 'Select an output folder first';
+        return;
+    }
+    const result = await window.klyppr.exportCutList(
+        review.jobId, $('reviewExportFormat').value, enabledCutRanges(), outputPath
+    );
+    if (result.error) {
+        $('reviewSummary').textContent = `Export failed: ${result.error}`;
+        return;
+    }
+    $('reviewSummary').textContent = `Exported ${fileName(result.outputFile)}`;
+}
+
+function renderReviewed() {
+    const { jobId } = review;
+    const ranges = enabledCutRanges();
+    closeReview();
+    showRunningState('Rendering reviewed cuts...');
+    window.klyppr.renderJob(jobId, collectParams(), ranges);
+}
+
 // ============================================================================
 // LOGS
 // ============================================================================
 
+function appendLog(message) {
+    const log = $('log');
+    const line = document.createElement('div');
+    line.textContent = message;
+    log.appendChild(line);
+    log.scrollTop = log.scrollHeight;
+}
+
 function toggleLogs() {
     const logContainer = $('logContainer');
     const toggleBtn = $('logToggleBtn');
@@ -144,7 +693,15 @@ function copyLogs() {
 // MODAL
 // ============================================================================
 
-function showCompletionModal() {
+const DEFAULT_MODAL_TEXT = 'Your video has been successfully processed and is ready to use.';
+
+function showCompletionModal(summary) {
+    let text = DEFAULT_MODAL_TEXT;
+    if (summary && summary.total > 1) {
+        text = `${summary.done} of ${summary.total} videos processed successfully.`;
+        if (summary.failed) text += ` ${summary.failed} failed — see the queue for details.`;
+    }
+    $('modalText').textContent = text;
     $('completionModal').style.display = 'flex';
 }
 
@@ -165,7 +722,7 @@ function openFolderFromModal() {
 
 function setupDragAndDrop() {
     const dropZone = $('inputDropZone');
-    const videoExts = window.klyppr.videoExtensions;
+    const mediaExts = [...window.klyppr.videoExtensions, ...window.klyppr.audioExtensions];
 
     // Prevent Electron from navigating to dropped files
     document.addEventListener('dragover', (e) => e.preventDefault());
@@ -188,14 +745,16 @@ function setupDragAndDrop() {
         e.stopPropagation();
         dropZone.classList.remove('drag-over');
 
-        const file = e.dataTransfer.files[0];
-        if (!file) return;
-
-        const ext = file.name.split('.').pop().toLowerCase();
-        if (videoExts.includes(ext)) {
-            $('inputPath').value = file.path;
-            updateStartButton();
-        }
+        // Folders come through as entries without an extension; main expands them
+        const paths = Array.from(e.dataTransfer.files)
+            .map(file => window.klyppr.getPathForFile(file))
+            .filter(p => {
+                if (!p) return false;
+                const name = fileName(p);
+                const ext = name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+                return !ext || mediaExts.includes(ext);
+            });
+        if (paths.length) window.klyppr.addToQueue(paths);
     });
 }
 
@@ -204,9 +763,12 @@ function setupDragAndDrop() {
 // ============================================================================
 
 function setupIPC() {
-    window.klyppr.onInputSelected((path) => {
-        $('inputPath').value = path;
-        updateStartButton();
+    window.klyppr.onQueueUpdated((jobs) => {
+        queue = jobs;
+        for (const id of expandedOverrides) {
+            if (!queue.some(j => j.id === id)) expandedOverrides.delete(id);
+        }
+        renderQueue();
     });
 
     window.klyppr.onOutputSelected((path) => {
@@ -219,24 +781,17 @@ function setupIPC() {
         $('progressBar').style.width = `${data.percent}%`;
     });
 
-    window.klyppr.onLog((message) => {
-        const log = $('log');
-        const line = document.createElement('div');
-        line.textContent = message;
-        log.appendChild(line);
-        log.scrollTop = log.scrollHeight;
-    });
+    window.klyppr.onLog(appendLog);
 
     window.klyppr.onCompleted((result) => {
-        $('startBtn').style.display = '';
-        $('startBtn').disabled = false;
-        $('cancelBtn').style.display = 'none';
+        showIdleState();
+        refreshAnalysisCache();
 
         if (result.success) {
             $('status').textContent = 'Process completed!';
             currentOutputFile = result.outputFile;
             $('progressBar').style.width = '100%';
-            showCompletionModal();
+            showCompletionModal(result.summary);
 
             setTimeout(() => {
                 $('progress').style.display = 'none';
@@ -275,6 +830,52 @@ function setupIPC() {
 // EVENT BINDINGS (replacing inline onclick)
 // ============================================================================
 
+// Auto threshold picks these per file (padding stays as set); presets switch it back off
+function updateAutoThresholdFields() {
+    const auto = $('autoThreshold').checked;
+    ['silenceDb', 'minSilenceDuration'].forEach(id => { $(id).disabled = auto; });
+}
+
+// Video-only options do nothing for an audio-only output
+const AUDIO_ONLY_PROFILES = ['mp3', 'm4a', 'wav', 'flac'];
+
+function updateOutputProfileFields() {
+    const audioOnly = AUDIO_ONLY_PROFILES.includes($('outputProfile').value);
+    ['smartRender', 'muxSubtitles', 'parallelChunks'].forEach(id => { $(id).disabled = audioOnly; });
+}
+
+// The target only matters when normalizing; custom values only for Custom
+function updateLoudnessFields() {
+    const normalize = $('normalizeAudio').checked;
+    $('loudnessTarget').disabled = !normalize;
+    const custom = normalize && $('loudnessTarget').value === 'custom';
+    ['loudnessI', 'loudnessTP', 'loudnessLRA'].forEach(id => { $(id).disabled = !custom; });
+}
+
+function updateSilenceModeFields() {
+    const speedUp = $('silenceMode').value === 'speed';
+    $('silenceSpeed').disabled = !speedUp;
+    $('silenceAudio').disabled = !speedUp;
+    const shorten = $('silenceMode').value === 'shorten';
+    $('maxPause').disabled = !shorten;
+    $('pauseKeep').disabled = !shorten;
+}
+
+// RNNoise needs a model file that not every build ships; fall back to FFT without it
+async function updateDenoiseOptions() {
+    const { available } = await window.klyppr.getDenoiseModel();
+    if (available) return;
+
+    const select = $('voiceDenoise');
+    const option = select.querySelector('option[value="arnndn"]');
+    option.disabled = true;
+    option.textContent = 'RNNoise (model missing)';
+    if (select.value === 'arnndn') {
+        select.value = 'afftdn';
+        appendLog(`⚠️ RNNoise model not found — Noise Reduction switched to FFT`);
+    }
+}
+
 function setupEventBindings() {
     // Browse buttons
     document.querySelector('.file-selection .form-group:nth-child(1) .browse-btn')
@@ -282,6 +883,13 @@ function setupEventBindings() {
     document.querySelector('.file-selection .form-group:nth-child(2) .browse-btn')
         .addEventListener('click', selectOutput);
 
+    // Queue
+    $('queueClearBtn').addEventListener('click', () => window.klyppr.clearQueue());
+    $('showAnalysisCacheBtn').addEventListener('click', () => window.klyppr.showAnalysisCache());
+    $('clearAnalysisCacheBtn').addEventListener('click', async () => {
+        renderAnalysisCache(await window.klyppr.clearAnalysisCache());
+    });
+
     // Start button
     $('startBtn').addEventListener('click', startProcessing);
 
@@ -296,21 +904,41 @@ function setupEventBindings() {
 
             const preset = button.dataset.preset;
             const values = presets[preset];
+            $('autoThreshold').checked = false;
+            updateAutoThresholdFields();
             $('silenceDb').value = values.silenceDb;
             $('minSilenceDuration').value = values.minSilenceDuration;
-            $('paddingDuration').value = values.paddingDuration;
+            $('paddingBefore').value = values.paddingBefore;
+            $('paddingAfter').value = values.paddingAfter;
+            $('minSegmentDuration').value = values.minSegmentDuration;
+            $('minGapDuration').value = values.minGapDuration;
         });
     });
 
+    // Pause speed/audio and max pause only apply in their own mode
+    $('silenceMode').addEventListener('change', updateSilenceModeFields);
+    $('autoThreshold').addEventListener('change', updateAutoThresholdFields);
+    $('outputProfile').addEventListener('change', updateOutputProfileFields);
+    $('normalizeAudio').addEventListener('change', updateLoudnessFields);
+    $('loudnessTarget').addEventListener('change', updateLoudnessFields);
+    $('outputSubfolder').addEventListener('input', updateStartButton);
+
     // Log controls
     $('logToggleBtn').addEventListener('click', toggleLogs);
     $('logCopyBtn').addEventListener('click', copyLogs);
 
     // Modal
-    document.querySelector('.modal-backdrop').addEventListener('click', closeModal);
-    document.querySelector('.modal-close').addEventListener('click', closeModal);
-    document.querySelector('.modal-btn-primary').addEventListener('click', openFolderFromModal);
-    document.querySelector('.modal-btn-secondary').addEventListener('click', closeModal);
+    document.querySelector('#completionModal .modal-backdrop').addEventListener('click', closeModal);
+    document.querySelector('#completionModal .modal-close').addEventListener('click', closeModal);
+    document.querySelector('#completionModal .modal-btn-primary').addEventListener('click', openFolderFromModal);
+    document.querySelector('#completionModal .modal-btn-secondary').addEventListener('click', closeModal);
+
+    // Review dialog
+    document.querySelector('#reviewModal .modal-backdrop').addEventListener('click', closeReview);
+    $('reviewCancelBtn').addEventListener('click', closeReview);
+    $('reviewSaveBtn').addEventListener('click', saveReview);
+    $('reviewRenderBtn').addEventListener('click', renderReviewed);
+    $('reviewExportBtn').addEventListener('click', exportReview);
 }
 
 // ============================================================================
@@ -323,13 +951,59 @@ async function restoreSettings() {
 
     if (saved.silenceDb != null)          $('silenceDb').value = saved.silenceDb;
     if (saved.minSilenceDuration != null) $('minSilenceDuration').value = saved.minSilenceDuration;
-    if (saved.paddingDuration != null)    $('paddingDuration').value = saved.paddingDuration;
+    // Settings saved before the split had one padding for both sides
+    const paddingBefore = saved.paddingBefore != null ? saved.paddingBefore : saved.paddingDuration;
+    const paddingAfter = saved.paddingAfter != null ? saved.paddingAfter : saved.paddingDuration;
+    if (paddingBefore != null)            $('paddingBefore').value = paddingBefore;
+    if (paddingAfter != null)             $('paddingAfter').value = paddingAfter;
+    if (saved.minSegmentDuration != null) $('minSegmentDuration').value = saved.minSegmentDuration;
+    if (saved.minGapDuration != null)     $('minGapDuration').value = saved.minGapDuration;
+    if (saved.islandMode != null)         $('islandMode').value = saved.islandMode;
     if (saved.qualityPreset != null)      $('qualityPreset').value = saved.qualityPreset;
     if (saved.normalizeAudio != null)     $('normalizeAudio').checked = saved.normalizeAudio;
+    if (saved.loudnessTarget != null)     $('loudnessTarget').value = saved.loudnessTarget;
+    if (saved.loudnessI != null)          $('loudnessI').value = saved.loudnessI;
+    if (saved.loudnessTP != null)         $('loudnessTP').value = saved.loudnessTP;
+    if (saved.loudnessLRA != null)        $('loudnessLRA').value = saved.loudnessLRA;
+    if (saved.voiceHighpass != null)      $('voiceHighpass').value = saved.voiceHighpass;
+    if (saved.voiceDenoise != null)       $('voiceDenoise').value = saved.voiceDenoise;
+    if (saved.voiceDeess != null)         $('voiceDeess').value = saved.voiceDeess;
+    if (saved.voiceDynamics != null)      $('voiceDynamics').value = saved.voiceDynamics;
+    if (saved.voiceCleanAnalysis != null) $('voiceCleanAnalysis').checked = saved.voiceCleanAnalysis;
+    if (Array.isArray(saved.analysisTracks)) {
+        analysisTracks = saved.analysisTracks;
+        $('analysisTracks').querySelectorAll('input').forEach(box => {
+            box.checked = analysisTracks.includes(Number(box.dataset.track));
+        });
+    }
+    if (saved.analysisChannel != null)    $('analysisChannel').value = saved.analysisChannel;
     if (saved.useHardwareEncoder != null) {
         $('useHardwareEncoder').checked = saved.useHardwareEncoder;
         $('useHardwareEncoder').dataset.restored = 'true';
     }
+    if (saved.smartRender != null)        $('smartRender').checked = saved.smartRender;
+    if (saved.muxSubtitles != null)       $('muxSubtitles').checked = saved.muxSubtitles;
+    if (saved.chapterMinPause != null)    $('chapterMinPause').value = saved.chapterMinPause;
+    if (saved.fadeDuration != null)       $('fadeDuration').value = saved.fadeDuration;
+    if (saved.fadeMode != null)           $('fadeMode').value = saved.fadeMode;
+    if (saved.videoTransition != null)    $('videoTransition').value = saved.videoTransition;
+    if (saved.silenceMode != null)        $('silenceMode').value = saved.silenceMode;
+    if (saved.silenceSpeed != null)       $('silenceSpeed').value = saved.silenceSpeed;
+    if (saved.silenceAudio != null)       $('silenceAudio').value = saved.silenceAudio;
+    if (saved.maxPause != null)           $('maxPause').value = saved.maxPause;
+    if (saved.pauseKeep != null)          $('pauseKeep').value = saved.pauseKeep;
+    if (saved.parallelChunks != null)     $('parallelChunks').value = saved.parallelChunks;
+    if (saved.autoThreshold != null)      $('autoThreshold').checked = saved.autoThreshold;
+    if (saved.resumable != null)          $('resumable').checked = saved.resumable;
+    if (saved.outputTemplate != null)     $('outputTemplate').value = saved.outputTemplate;
+    if (saved.onCollision != null)        $('onCollision').value = saved.onCollision;
+    if (saved.outputSubfolder != null)    $('outputSubfolder').value = saved.outputSubfolder;
+    if (saved.outputProfile != null)      $('outputProfile').value = saved.outputProfile;
+    updateSilenceModeFields();
+    updateOutputProfileFields();
+    updateLoudnessFields();
+    updateAutoThresholdFields();
+    updateStartButton();
 
     // Saved values may not match any preset — clear active state
     document.querySelectorAll('.preset-btn').forEach(btn => btn.classList.remove('active'));
@@ -345,7 +1019,9 @@ window.addEventListener('DOMContentLoaded', async () => {
     setupDragAndDrop();
 
     await restoreSettings();
+    await updateDenoiseOptions();
 
     window.klyppr.loadLastOutput();
     window.klyppr.getEncoderInfo();
+    refreshAnalysisCache();
 });
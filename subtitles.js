@@ -0,0 +1,237 @@
+// Subtitle retiming: move cues onto the cut timeline so they stay in sync after
+// silences are removed. Pure string/array helpers — no ffmpeg, no file I/O.
+//
+// Every parser returns { header, cues, footer }; cues are { start, end, ... }
+// in seconds and everything else is written back untouched.
+
+const SUBTITLE_EXTENSIONS = ['srt', 'vtt', 'ass', 'ssa'];
+
+function normalizeText(text) {
+    return String(text).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+}
+
+const pad = (n, w = 2) => String(n).padStart(w, '0');
+
+// ============================================================================
+// SRT
+// ============================================================================
+
+function parseSrtTime(value) {
+    const m = /(\d+):(\d+):(\d+)[,.](\d+)/.exec(value);
+    if (!m) return null;
+    return (+m[1] * 3600) + (+m[2] * 60) + (+m[3]) + (+m[4].padEnd(3, '0').slice(0, 3)) / 1000;
+}
+
+function formatSrtTime(seconds) {
+    const ms = Math.max(0, Math.round(seconds * 1000));
+    return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)},${pad(ms % 1000, 3)}`;
+}
+
+function parseSrt(text) {
+    const cues = [];
+    for (const block of normalizeText(text).split(/\n{2,}/)) {
+        const lines = block.split('\n');
+        const timingIndex = lines.findIndex(l => l.includes('-->'));
+        if (timingIndex < 0) continue;
+        const [from, to] = lines[timingIndex].split('-->');
+        const start = parseSrtTime(from);
+        const end = parseSrtTime(to);
+        if (start == null || end == null) continue;
+        cues.push({ start, end, text: lines.slice(timingIndex + 1).join('\n').trim() });
+    }
+    return { header: '', cues, footer: '' };
+}
+
+function formatSrt({ cues }) {
+    return cues.map((cue, i) =>
+        `${i + 1}\n${formatSrtTime(cue.start)} --> ${formatSrtTime(cue.end)}\n${cue.text}\n`
+    ).join('\n');
+}
+
+// ============================================================================
+// WEBVTT
+// ============================================================================
+
+function parseVttTime(value) {
+    const m = /(?:(\d+):)?(\d+):(\d+)\.(\d+)/.exec(value);
+    if (!m) return null;
+    return (+(m[1] || 0) * 3600) + (+m[2] * 60) + (+m[3]) + (+m[4].padEnd(3, '0').slice(0, 3)) / 1000;
+}
+
+function formatVttTime(seconds) {
+    return formatSrtTime(seconds).replace(',', '.');
+}
+
+// The WEBVTT line plus STYLE/REGION/NOTE blocks before the first cue are kept
+// as the header; cue identifiers and settings are carried per cue.
+function parseVtt(text) {
+    const headerBlocks = [];
+    const cues = [];
+    for (const block of normalizeText(text).split(/\n{2,}/)) {
+        const lines = block.split('\n');
+        const timingIndex = lines.findIndex(l => l.includes('-->'));
+        if (timingIndex < 0) {
+            if (cues.length === 0 && block.trim()) headerBlocks.push(block.trim());
+            continue;
+        }
+        const [from, rest] = lines[timingIndex].split('-->');
+        const [to, ...settings] = rest.trim().split(/\s+/);
+        const start = parseVttTime(from);
+        const end = parseVttTime(to);
+        if (start == null || end == null) continue;
+        cues.push({
+            start,
+            end,
+            id: lines.slice(0, timingIndex).join('\n'),
+            settings: settings.join(' '),
+            text: lines.slice(timingIndex + 1).join('\n').trim()
+        });
+    }
+    if (!headerBlocks.length || !headerBlocks[0].startsWith('WEBVTT')) headerBlocks.unshift('WEBVTT');
+    return { header: headerBlocks.join('\n\n'), cues, footer: '' };
+}
+
+function formatVtt({ header, cues }) {
+    const blocks = cues.map(cue =>
+        (cue.id ? `${cue.id}\n` : '') +
+        `${formatVttTime(cue.start)} --> ${formatVttTime(cue.end)}${cue.settings ? ` ${cue.settings}` : ''}\n${cue.text}`
+    );
+    return [header, ...blocks].join('\n\n') + '\n';
+}
+
+// ============================================================================
+// ASS / SSA
+// ============================================================================
+
+function parseAssTime(value) {
+    const m = /(\d+):(\d+):(\d+)[.:](\d+)/.exec(value);
+    if (!m) return null;
+    return (+m[1] * 3600) + (+m[2] * 60) + (+m[3]) + (+m[4].padEnd(2, '0').slice(0, 2)) / 100;
+}
+
+function formatAssTime(seconds) {
+    const cs = Math.max(0, Math.round(seconds * 100));
+    return `${Math.floor(cs / 360000)}:${pad(Math.floor(cs / 6000) % 60)}:${pad(Math.floor(cs / 100) % 60)}.${pad(cs % 100)}`;
+}
+
+// Script info and styles stay verbatim; Dialogue/Comment lines of the [Events]
+// section become cues, split on the section's own Format line.
+function parseAss(text) {
+    const header = [];
+    const footer = [];
+    const cues = [];
+    let inEvents = false;
+    let fieldNames = ['layer', 'start', 'end', 'style', 'name', 'marginl', 'marginr', 'marginv', 'effect', 'text'];
+
+    for (const line of normalizeText(text).split('\n')) {
+        const trimmed = line.trim();
+        if (/^\[.*\]$/.test(trimmed)) inEvents = trimmed.toLowerCase() === '[events]';
+
+        const event = inEvents && /^(Dialogue|Comment):\s*(.*)$/.exec(trimmed);
+        if (event) {
+            const values = event[2].split(',');
+            const fields = [...values.slice(0, fieldNames.length - 1), values.slice(fieldNames.length - 1).join(',')];
+            const start = parseAssTime(fields[fieldNames.indexOf('start')] || '');
+            const end = parseAssTime(fields[fieldNames.indexOf('end')] || '');
+            if (start != null && end != null) cues.push({ start, end, kind: event[1], fields, fieldNames });
+            continue;
+        }
+        if (inEvents && /^Format:/i.test(trimmed)) {
+            fieldNames = trimmed.slice(7).split(',').map(f => f.trim().toLowerCase());
+        }
+        if (cues.length && !inEvents) footer.push(line);
+        else if (!cues.length) header.push(line);
+    }
+
+    while (header.length && !header[header.length - 1].trim()) header.pop();
+    return { header: header.join('\n'), cues, footer: footer.join('\n').trim() };
+}
+
+function formatAss({ header, cues, footer }) {
+    const lines = cues.map(cue => {
+        const fields = [...cue.fields];
+        fields[cue.fieldNames.indexOf('start')] = formatAssTime(cue.start);
+        fields[cue.fieldNames.indexOf('end')] = formatAssTime(cue.end);
+        return `${cue.kind}: ${fields.join(',')}`;
+    });
+    return [header, ...lines].join('\n') + '\n' + (footer ? `\n${footer}\n` : '');
+}
+
+const SUBTITLE_FORMATS = {
+    srt: { parse: parseSrt, format: formatSrt },
+    vtt: { parse: parseVtt, format: formatVtt },
+    ass: { parse: parseAss, format: formatAss },
+    ssa: { parse: parseAss, format: formatAss }
+};
+
+// 'srt' | 'vtt' | 'ass' | 'ssa' from a file name, or null when unsupported.
+function getSubtitleFormat(fileName) {
+    const ext = String(fileName).split('.').pop().toLowerCase();
+    return SUBTITLE_EXTENSIONS.includes(ext) ? ext : null;
+}
+
+// ============================================================================
+// RETIMING
+// ============================================================================
+
+/**
+ * Map cues from source time onto the output timeline built from `talkingRanges`.
+ * A cue inside a removed range is dropped; a cue spanning a cut is clamped to
+ * the kept parts, which are contiguous in the output. Ranges with a `speed`
+ * (speed-up mode) are compressed by that factor. With crossfades, each range
+ * starts `overlap` output seconds before the previous one ends.
+ */
+function retimeCues(cues, talkingRanges, overlap = 0) {
+    const offsets = [];
+    let outputTime = 0;
+    for (const r of talkingRanges) {
+        offsets.push(outputTime);
+        outputTime += (r.end - r.start) / (r.speed || 1) - overlap;
+    }
+
+    const retimed = [];
+    for (const cue of cues) {
+        let start = null;
+        let end = null;
+        talkingRanges.forEach((r, i) => {
+            const from = Math.max(cue.start, r.start);
+            const to = Math.min(cue.end, r.end);
+            if (to <= from) return;
+            const speed = r.speed || 1;
+            if (start == null) start = offsets[i] + (from - r.start) / speed;
+            // A crossfade starts the next range before this one ends; never move the end back
+            end = Math.max(end == null ? start : end, offsets[i] + (to - r.start) / speed);
+        });
+        if (start != null && end - start >= 0.001) retimed.push({ ...cue, start, end });
+    }
+    return retimed;
+}
+
+/**
+ * Retime a whole subtitle file in its own format (see retimeCues). Returns the
+ * new text and how many cues were kept/dropped.
+ */
+function retimeSubtitleText(text, format, talkingRanges, overlap = 0) {
+    const handler = SUBTITLE_FORMATS[format];
+    if (!handler) throw new Error(`Unsupported subtitle format: ${format}`);
+    const doc = handler.parse(text);
+    const cues = retimeCues(doc.cues, talkingRanges, overlap);
+    return {
+        text: handler.format({ ...doc, cues }),
+        kept: cues.length,
+        dropped: doc.cues.length - cues.length
+    };
+}
+
+module.exports = {
+    SUBTITLE_EXTENSIONS,
+    getSubtitleFormat,
+    parseSrt,
+    formatSrt,
+    parseVtt,
+    formatVtt,
+    parseAss,
+    formatAss,
+    retimeCues,
+    retimeSubtitleText
+};
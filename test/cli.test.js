@@ -0,0 +1,41 @@
+// Command-line parsing: defaults, flags and usage errors. Nothing here runs ffmpeg.
+// Usage: npm test
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { parseArgs } = require('../cli');
+
+test('inputs and the output folder are required', () => {
+    assert.throws(() => parseArgs([]), /No input file given/);
+    assert.throws(() => parseArgs(['talk.mp4']), /No output folder given/);
+});
+
+test('flags and bare arguments are collected', () => {
+    const opts = parseArgs(['a.mp4', '-i', 'b.mov', '--out', '/tmp/out', '--silence-db', '-35', '--padding', '0.1', '--quality', 'high']);
+    assert.deepStrictEqual(opts.inputs, ['a.mp4', 'b.mov']);
+    assert.strictEqual(opts.outputPath, '/tmp/out');
+    assert.strictEqual(opts.silenceDb, -35);
+    assert.strictEqual(opts.paddingDuration, 0.1);
+    assert.strictEqual(opts.qualityPreset, 'high');
+});
+
+test('defaults match the app', () => {
+    const opts = parseArgs(['a.mp4', '-o', 'out']);
+    assert.strictEqual(opts.silenceDb, -40);
+    assert.strictEqual(opts.minSilenceDuration, 0.2);
+    assert.strictEqual(opts.qualityPreset, 'lossless');
+    assert.strictEqual(opts.json, false);
+});
+
+test('bad values are usage errors', () => {
+    assert.throws(() => parseArgs(['a.mp4', '-o', 'out', '--silence-db', 'loud']), /--silence-db expects a number/);
+    assert.throws(() => parseArgs(['a.mp4', '-o', 'out', '--padding']), /--padding expects a value/);
+    assert.throws(() => parseArgs(['a.mp4', '-o', 'out', '--quality', 'ultra']), /--quality must be one of/);
+    assert.throws(() => parseArgs(['a.mp4', '-o', 'out', '--frobnicate']), /Unknown option: --frobnicate/);
+});
+
+test('help and version need no input', () => {
+    assert.strictEqual(parseArgs(['--help']).help, true);
+    assert.strictEqual(parseArgs(['-v']).version, true);
+});
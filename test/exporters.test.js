@@ -0,0 +1,107 @@
+// Cut-list exporters: frame math, timecodes and the NLE file formats.
+// Usage: npm test
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+    buildCutList,
+    toFrameRanges,
+    framesToTimecode,
+    timecodeToFrames,
+    frameDuration
+} = require('../exporters');
+
+// 10 s at 25 fps with one cut from 2 s to 3 s
+const cut = (overrides = {}) => ({
+    sourcePath: '/media/talk.mp4',
+    duration: 10,
+    fps: 25,
+    width: 1920,
+    height: 1080,
+    audioChannels: 2,
+    startTimecode: null,
+    silenceRanges: [{ start: 2, end: 3 }],
+    talkingRanges: [{ start: 0, end: 2 }, { start: 3, end: 10 }],
+    ...overrides
+});
+
+// ============================================================================
+// FRAME MATH
+// ============================================================================
+
+test('timecodes round-trip through frame counts', () => {
+    assert.strictEqual(framesToTimecode(0, 25), '00:00:00:00');
+    assert.strictEqual(framesToTimecode(90061, 25), '01:00:02:11');
+    assert.strictEqual(timecodeToFrames('01:00:02:11', 25), 90061);
+    for (const frames of [0, 1, 29, 30, 1799, 107892]) {
+        assert.strictEqual(timecodeToFrames(framesToTimecode(frames, 30), 30), frames);
+    }
+});
+
+test('NTSC rates count on the nominal rate and accept drop-frame separators', () => {
+    assert.strictEqual(framesToTimecode(30, 29.97), '00:00:01:00');
+    assert.strictEqual(timecodeToFrames('00:00:01;00', 29.97), 30);
+    assert.strictEqual(timecodeToFrames('not a timecode', 25), 0);
+    assert.deepStrictEqual(frameDuration(29.97), { num: 1001, den: 30000 });
+    assert.deepStrictEqual(frameDuration(25), { num: 1, den: 25 });
+});
+
+test('ranges snap to whole frames and empty ones are dropped', () => {
+    assert.deepStrictEqual(
+        toFrameRanges([{ start: 0.01, end: 1.03 }, { start: 2, end: 2.01 }], 25),
+        [{ startFrame: 0, endFrame: 26 }]
+    );
+});
+
+// ============================================================================
+// FORMATS
+// ============================================================================
+
+test('EDL events follow the record timeline and the source timecode', () => {
+    const events = buildCutList('edl', cut({ startTimecode: '01:00:00:00' }))
+        .split('\r\n')
+        .filter(line => /^\d{3} /.test(line));
+    assert.deepStrictEqual(events.map(line => line.split(/\s+/).slice(-4)), [
+        ['01:00:00:00', '01:00:02:00', '00:00:00:00', '00:00:02:00'],
+        ['01:00:03:00', '01:00:10:00', '00:00:02:00', '00:00:09:00']
+    ]);
+});
+
+test('FCPXML clips sit back to back and start on the source timecode', () => {
+    const xml = buildCutList('fcpxml', cut({ startTimecode: '01:00:00:00' }));
+    assert.match(xml, /<asset id="r2" name="talk.mp4" start="90000\/25s" duration="250\/25s"/);
+    const clips = [...xml.matchAll(/<asset-clip [^>]*offset="([^"]+)" start="([^"]+)" duration="([^"]+)"/g)]
+        .map(m => m.slice(1));
+    assert.deepStrictEqual(clips, [
+        ['0s', '90000/25s', '50/25s'],
+        ['50/25s', '90075/25s', '175/25s']
+    ]);
+    assert.match(xml, /<sequence format="r1" duration="225\/25s"/);
+});
+
+test('FCPXML without a source timecode starts the asset at zero', () => {
+    const xml = buildCutList('fcpxml', cut());
+    assert.match(xml, /<asset id="r2" name="talk.mp4" start="0s"/);
+    assert.match(xml, /offset="0s" start="0s" duration="50\/25s"/);
+});
+
+test('Premiere XML carries the source timecode on the file', () => {
+    const xml = buildCutList('premiere', cut({ startTimecode: '01:00:00:00' }));
+    assert.match(xml, /<string>01:00:00:00<\/string><frame>90000<\/frame>/);
+    assert.strictEqual((xml.match(/<file id="file-1">/g) || []).length, 1);
+    const inOut = [...xml.matchAll(/<in>(\d+)<\/in>\s*<out>(\d+)<\/out>/g)].map(m => [+m[1], +m[2]]);
+    assert.deepStrictEqual(inOut, [[0, 50], [75, 250], [0, 50], [75, 250]]);
+});
+
+test('JSON and CSV list every keep and cut span in order', () => {
+    const json = JSON.parse(buildCutList('json', cut()));
+    assert.strictEqual(json.outputDuration, 9);
+    assert.deepStrictEqual(json.cut.map(s => [s.startFrame, s.endFrame]), [[50, 75]]);
+    const rows = buildCutList('csv', cut()).trim().split('\n');
+    assert.deepStrictEqual(rows.slice(1).map(row => row.split(',')[0]), ['keep', 'cut', 'keep']);
+});
+
+test('unknown formats are rejected', () => {
+    assert.throws(() => buildCutList('avid', cut()), /Unknown export format/);
+});
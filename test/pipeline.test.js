@@ -0,0 +1,651 @@
+// Pure pipeline helpers: render planning, silence ranges, encoding options and
+// output names. Nothing here runs ffmpeg.
+// Usage: npm test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+const pipeline = require('../pipeline');
+
+// Collects log lines instead of sending them to a renderer
+function recorder() {
+    const lines = [];
+    return { lines, reply: (channel, message) => { if (channel === 'log') lines.push(message); } };
+}
+
+const rounded = (ranges) => ranges.map(r => [+r.start.toFixed(3), +r.end.toFixed(3)]);
+
+// A scratch folder removed after the test
+async function scratchDir(t) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'klyppr-test-'));
+    t.after(() => fs.remove(dir));
+    return dir;
+}
+
+// ============================================================================
+// SMART RENDER
+// ============================================================================
+
+test('smart pieces copy whole GOPs and encode the partial ones at each end', () => {
+    const keyframes = [0, 2, 4, 6, 8, 10];
+    const pieces = pipeline.planSmartPieces([{ start: 1, end: 7 }], keyframes);
+    assert.deepStrictEqual(pieces.map(p => [p.copy, p.start, p.end]), [
+        [false, 1, 2],
+        [true, 2, 6],
+        [false, 6, 7]
+    ]);
+});
+
+test('smart pieces on keyframe boundaries are copied as a whole', () => {
+    const pieces = pipeline.planSmartPieces([{ start: 2, end: 6.01 }], [0, 2, 4, 6, 8]);
+    assert.deepStrictEqual(pieces.map(p => [p.copy, p.start, p.end]), [[true, 2, 6]]);
+});
+
+test('ranges without a whole GOP inside are encoded entirely', () => {
+    const pieces = pipeline.planSmartPieces([{ start: 2.5, end: 3.5 }, { start: 4.5, end: 7 }], [0, 2, 4, 6, 8]);
+    assert.deepStrictEqual(pieces.map(p => [p.copy, p.start, p.end]), [
+        [false, 2.5, 3.5],
+        [false, 4.5, 7]
+    ]);
+});
+
+// ============================================================================
+// STREAM LAYOUT
+// ============================================================================
+
+const SOURCE = {
+    format: { tags: { timecode: '01:00:00:00' } },
+    streams: [
+        { index: 0, codec_type: 'video', codec_name: 'h264' },
+        { index: 1, codec_type: 'audio', codec_name: 'aac', bit_rate: '192000' },
+        { index: 2, codec_type: 'audio', codec_name: 'ac3', bit_rate: '384000' },
+        { index: 3, codec_type: 'subtitle', codec_name: 'mov_text' },
+        { index: 4, codec_type: 'subtitle', codec_name: 'hdmv_pgs_subtitle' },
+        { index: 5, codec_type: 'data', codec_tag_string: 'tmcd' },
+        { index: 6, codec_type: 'video', codec_name: 'mjpeg', disposition: { attached_pic: 1 } }
+    ]
+};
+
+test('every audio track, text subtitle and the timecode are carried', () => {
+    const layout = pipeline.getStreamLayout(SOURCE, '/out/talk.mp4');
+    assert.strictEqual(layout.video, true);
+    assert.deepStrictEqual(layout.audio.map(s => s.index), [1, 2]);
+    assert.deepStrictEqual(layout.subtitles.map(s => [s.stream.index, s.position]), [[3, 0]]);
+    assert.strictEqual(layout.subtitleCodec, 'mov_text');
+    assert.strictEqual(layout.timecode, '01:00:00:00');
+    assert.strictEqual(layout.timecodeAsTrack, true);
+    assert.deepStrictEqual(layout.dropped.map(d => d.stream.index), [4, 6]);
+});
+
+test('stream args map each cut track and keep extra tracks in their own format', () => {
+    const layout = pipeline.getStreamLayout(SOURCE, '/out/talk.mkv');
+    layout.subtitles[0].file = '/tmp/subtitle_0.srt';
+    layout.chaptersFile = '/tmp/chapters.txt';
+    const { inputArgs, outputArgs } = pipeline.buildStreamArgs(layout, { audioCodec: 'aac', audioBitrate: '192k' }, 0, 1);
+    assert.deepStrictEqual(inputArgs, ['-i', '/tmp/subtitle_0.srt', '-f', 'ffmetadata', '-i', '/tmp/chapters.txt']);
+    const args = outputArgs.join(' ');
+    assert.match(args, /-map \[outa0\] -c:a:0 aac -b:a:0 192k/);
+    assert.match(args, /-map \[outa1\] -c:a:1 ac3 -b:a:1 384k/);
+    assert.match(args, /-map 1:0 -c:s:0 srt -map_metadata:s:s:0 0:s:s:0/);
+    assert.match(args, /-map_chapters 2/);
+    // MKV stores the timecode as a tag, not a tmcd track
+    assert.match(args, /-metadata timecode=01:00:00:00$/);
+});
+
+// ============================================================================
+// CHAPTERS
+// ============================================================================
+
+test('source chapters shift through the cut and a cut-out start moves to the join', () => {
+    const chapters = [
+        { start_time: '0', tags: { title: 'Intro' } },
+        { start_time: '15', tags: { title: 'Middle' } },
+        { start_time: '25.5' }
+    ];
+    const result = pipeline.buildChapters(chapters, [{ start: 10, end: 20 }], [{ start: 0, end: 10 }, { start: 20, end: 30 }], 0);
+    assert.deepStrictEqual(result.chapters.map(c => [c.start, c.end, c.title]), [
+        [0, 10, 'Intro'],
+        [10, 15.5, 'Middle'],
+        [15.5, 20, 'Chapter 3']
+    ]);
+    assert.strictEqual(result.moved, 1);
+    assert.strictEqual(result.created, 0);
+});
+
+test('long pauses start new chapters, with one added at zero', () => {
+    const silences = [{ start: 10, end: 20 }, { start: 30, end: 31 }];
+    const talking = [{ start: 0, end: 10 }, { start: 20, end: 30 }, { start: 31, end: 40 }];
+    const result = pipeline.buildChapters([], silences, talking, 5);
+    assert.deepStrictEqual(result.chapters.map(c => [c.start, c.end, c.title]), [
+        [0, 10, 'Chapter 1'],
+        [10, 29, 'Chapter 2']
+    ]);
+    assert.strictEqual(result.created, 1);
+});
+
+test('chapters collapsing onto one output time keep the later title', () => {
+    const chapters = [{ start_time: '12', tags: { title: 'Gone' } }, { start_time: '20', tags: { title: 'Kept' } }];
+    const result = pipeline.buildChapters(chapters, [{ start: 10, end: 20 }], [{ start: 0, end: 10 }, { start: 20, end: 30 }], 0);
+    assert.deepStrictEqual(result.chapters.map(c => [c.start, c.end, c.title]), [[10, 20, 'Kept']]);
+});
+
+// ============================================================================
+// SPEED-UP
+// ============================================================================
+
+test('speed-up alternates talking at normal speed and silences at the factor', () => {
+    const segments = pipeline.calculateSpeedSegments([{ start: 2, end: 5 }, { start: 8, end: 10 }], 10, 4, true);
+    assert.deepStrictEqual(segments, [
+        { start: 0, end: 2, speed: 1 },
+        { start: 2, end: 5, speed: 4, mute: true },
+        { start: 5, end: 8, speed: 1 },
+        { start: 8, end: 10, speed: 4, mute: true }
+    ]);
+});
+
+test('speed-up drops segments under the minimum length', () => {
+    const segments = pipeline.calculateSpeedSegments([{ start: 0.01, end: 5 }], 5.5, 2, false, 0.5);
+    assert.deepStrictEqual(segments.map(s => [s.start, s.end, s.speed]), [[0.01, 5, 2]]);
+    assert.strictEqual(segments[0].mute, false);
+});
+
+// ============================================================================
+// AUTO THRESHOLD
+// ============================================================================
+
+// 50 ms window levels: ten rounds of 1 s speech and a 0.6 s pause
+function levelWindows(speechDb, noiseDb) {
+    const levels = [];
+    for (let i = 0; i < 10; i++) {
+        levels.push(...Array(20).fill(speechDb), ...Array(12).fill(noiseDb));
+    }
+    return levels;
+}
+
+test('a clean recording gets a threshold well above the noise floor and little padding', () => {
+    const suggestion = pipeline.suggestSilenceSettings(levelWindows(-20, -60));
+    assert.strictEqual(suggestion.silenceDb, -48);
+    assert.strictEqual(suggestion.minSilenceDuration, 0.3);
+    assert.strictEqual(suggestion.paddingDuration, 0.06);
+});
+
+test('a noisy recording gets the minimum margin, more padding and a warning', () => {
+    const suggestion = pipeline.suggestSilenceSettings(levelWindows(-32, -40));
+    assert.strictEqual(suggestion.silenceDb, -34);
+    assert.strictEqual(suggestion.paddingDuration, 0.15);
+    assert.ok(suggestion.reasons.some(r => /Low speech-to-noise gap/.test(r)));
+});
+
+test('too little audio gives no suggestion', () => {
+    assert.strictEqual(pipeline.suggestSilenceSettings(Array(10).fill(-20).concat(Array(50).fill(-100))), null);
+});
+
+// ============================================================================
+// PARALLEL CHUNKS
+// ============================================================================
+
+test('chunks split the ranges into roughly equal output durations', () => {
+    const ranges = [0, 1, 2, 3, 4, 5].map(i => ({ start: i * 10, end: i * 10 + 5 }));
+    const chunks = pipeline.splitIntoChunks(ranges, 3);
+    assert.deepStrictEqual(chunks.map(c => c.map(r => r.start)), [[0, 10], [20, 30], [40, 50]]);
+});
+
+test('sped-up ranges count by their output duration and ranges are never split', () => {
+    const ranges = [{ start: 0, end: 4 }, { start: 4, end: 20, speed: 4 }, { start: 20, end: 28 }];
+    const chunks = pipeline.splitIntoChunks(ranges, 2);
+    assert.deepStrictEqual(chunks.map(c => c.length), [2, 1]);
+    assert.deepStrictEqual(pipeline.splitIntoChunks(ranges, 5).flat(), ranges);
+    assert.strictEqual(pipeline.splitIntoChunks(ranges, 1).length, 1);
+});
+
+// ============================================================================
+// RESUMABLE JOB STATE
+// ============================================================================
+
+test('job state is saved and read back for the same input and settings', async (t) => {
+    const dir = await scratchDir(t);
+    const inputPath = path.join(dir, 'talk.mp4');
+    await fs.writeFile(inputPath, 'video');
+    const params = { inputPath, silenceDb: -40 };
+
+    const fresh = await pipeline.openJobState(params, dir, recorder());
+    assert.strictEqual(fresh.silenceRanges, null);
+    fresh.silenceRanges = [{ start: 1, end: 2 }];
+    fresh.chunks = { signature: 'plan', done: [0] };
+    await pipeline.saveJobState(dir, fresh);
+
+    const event = recorder();
+    const resumed = await pipeline.openJobState(params, dir, event);
+    assert.deepStrictEqual(resumed.silenceRanges, [{ start: 1, end: 2 }]);
+    assert.deepStrictEqual(resumed.chunks, { signature: 'plan', done: [0] });
+    assert.match(event.lines.join('\n'), /Resuming unfinished job/);
+});
+
+test('changed detection settings drop the saved ranges but keep the rest', async (t) => {
+    const dir = await scratchDir(t);
+    const inputPath = path.join(dir, 'talk.mp4');
+    await fs.writeFile(inputPath, 'video');
+    const state = await pipeline.openJobState({ inputPath, silenceDb: -40 }, dir, recorder());
+    state.silenceRanges = [{ start: 1, end: 2 }];
+    state.loudness = { input_i: '-20' };
+    await pipeline.saveJobState(dir, state);
+
+    const resumed = await pipeline.openJobState({ inputPath, silenceDb: -35 }, dir, recorder());
+    assert.strictEqual(resumed.silenceRanges, null);
+    assert.deepStrictEqual(resumed.loudness, { input_i: '-20' });
+});
+
+test('a changed input starts a fresh job', async (t) => {
+    const dir = await scratchDir(t);
+    const inputPath = path.join(dir, 'talk.mp4');
+    await fs.writeFile(inputPath, 'video');
+    const state = await pipeline.openJobState({ inputPath }, dir, recorder());
+    state.silenceRanges = [{ start: 1, end: 2 }];
+    await pipeline.saveJobState(dir, state);
+
+    await fs.writeFile(inputPath, 'a longer re-export');
+    const event = recorder();
+    const fresh = await pipeline.openJobState({ inputPath }, dir, event);
+    assert.strictEqual(fresh.silenceRanges, null);
+    assert.match(event.lines.join('\n'), /Input changed since the last run/);
+});
+
+test('finished chunks are skipped only for the same plan and while their files exist', async (t) => {
+    const dir = await scratchDir(t);
+    const chunkFiles = [0, 1, 2].map(i => path.join(dir, `chunk_00${i}.mkv`));
+    await fs.writeFile(chunkFiles[0], 'chunk');
+    await fs.writeFile(chunkFiles[2], 'chunk');
+
+    const state = { chunks: { signature: 'plan', done: [0, 1] } };
+    assert.deepStrictEqual([...await pipeline.findFinishedChunks(state, 'plan', chunkFiles, dir)], [0]);
+
+    const done = await pipeline.findFinishedChunks(state, 'other plan', chunkFiles, dir);
+    assert.strictEqual(done.size, 0);
+    assert.deepStrictEqual(state.chunks, { signature: 'other plan', done: [] });
+    assert.deepStrictEqual((await fs.readJson(path.join(dir, 'job.json'))).chunks, state.chunks);
+});
+
+// ============================================================================
+// OUTPUT NAMES
+// ============================================================================
+
+test('the default template prefixes the input name', () => {
+    assert.strictEqual(pipeline.renderOutputName({ inputPath: '/in/talk.mov' }), 'processed_talk.mov');
+});
+
+test('templates fill tokens and strip unsafe characters', () => {
+    const params = {
+        inputPath: '/in/talk.mov',
+        outputTemplate: '{name}-{preset}-{silenceDb}dB_{counter}',
+        qualityPreset: 'high',
+        silenceDb: -40
+    };
+    assert.strictEqual(pipeline.renderOutputName(params), 'talk-high--40dB_1.mov');
+    assert.strictEqual(pipeline.renderOutputName(params, 3), 'talk-high--40dB_3.mov');
+    assert.strictEqual(pipeline.renderOutputName({ inputPath: '/in/a.mp4', outputTemplate: 'x:y?{unknown}' }), 'x_y_{unknown}.mp4');
+    assert.match(pipeline.renderOutputName({ inputPath: '/in/a.mp4', outputTemplate: '{name}_{date}.{ext}' }), /^a_\d{4}-\d{2}-\d{2}\.mp4$/);
+});
+
+test('a template that renders to nothing is rejected', () => {
+    assert.throws(() => pipeline.renderOutputName({ inputPath: '/in/a.mp4', outputTemplate: '.{ext}' }), /empty file name/);
+});
+
+// ============================================================================
+// OUTPUT PROFILES
+// ============================================================================
+
+const H264_SOURCE = { vcodec: 'h264', pixFmt: 'yuv420p', acodec: 'aac', abitrate: '128k' };
+
+test('the source profile mirrors the input codecs', () => {
+    const info = pipeline.applyOutputProfile(H264_SOURCE, pipeline.getOutputProfile('source'));
+    assert.strictEqual(info, H264_SOURCE);
+    const encoding = pipeline.getEncodingOptions('medium', false, info);
+    assert.strictEqual(encoding.videoCodec, 'libx264');
+    assert.strictEqual(encoding.audioCodec, 'aac');
+    assert.strictEqual(encoding.audioBitrate, '128k');
+    assert.strictEqual(encoding.forceAudio, false);
+});
+
+test('a delivery profile forces its codecs and keeps 10-bit where the codec carries it', () => {
+    const tenBit = { ...H264_SOURCE, pixFmt: 'yuv420p10le', acodec: 'flac', abitrate: null };
+    const encoding = pipeline.getEncodingOptions('high', false, pipeline.applyOutputProfile(tenBit, pipeline.getOutputProfile('mp4-hevc')));
+    assert.deepStrictEqual([encoding.videoCodec, encoding.pixFmt, encoding.audioCodec], ['libx265', 'yuv420p10le', 'aac']);
+    assert.deepStrictEqual(encoding.videoQuality, ['-preset', 'medium', '-crf', '18']);
+    assert.strictEqual(encoding.forceAudio, true);
+
+    const h264 = pipeline.applyOutputProfile(tenBit, pipeline.getOutputProfile('mp4-h264'));
+    assert.strictEqual(h264.pixFmt, 'yuv420p');
+});
+
+test('WebM and ProRes profiles pick their encoders, bitrates and rates', () => {
+    const webm = pipeline.getEncodingOptions('medium', false, pipeline.applyOutputProfile(H264_SOURCE, pipeline.getOutputProfile('webm-vp9')));
+    assert.deepStrictEqual(webm.videoQuality, ['-crf', '23', '-b:v', '0']);
+    assert.deepStrictEqual([webm.videoCodec, webm.audioCodec, webm.audioBitrate, webm.audioRate], ['libvpx-vp9', 'libopus', '160k', 48000]);
+
+    const prores = pipeline.getEncodingOptions('fast', false, pipeline.applyOutputProfile(H264_SOURCE, pipeline.getOutputProfile('mov-prores')));
+    assert.deepStrictEqual([prores.videoCodec, prores.pixFmt, prores.audioCodec, prores.audioBitrate], ['prores_ks', 'yuv422p10le', 'pcm_s16le', null]);
+    assert.deepStrictEqual(prores.videoQuality, ['-profile:v', '1', '-vendor', 'apl0']);
+});
+
+test('output names take the extension of the output profile', () => {
+    assert.strictEqual(pipeline.renderOutputName({ inputPath: '/in/talk.mov', outputProfile: 'mp4-h264' }), 'processed_talk.mp4');
+    assert.strictEqual(pipeline.renderOutputName({ inputPath: '/in/talk.mov', outputProfile: 'mp3' }), 'processed_talk.mp3');
+    assert.strictEqual(pipeline.getOutputProfile('avi'), null);
+});
+
+// ============================================================================
+// AUDIO-ONLY
+// ============================================================================
+
+test('audio-only outputs keep the first track and drop everything else', () => {
+    const layout = pipeline.getStreamLayout(SOURCE, '/out/talk.m4a', { audioOnly: true });
+    assert.strictEqual(layout.video, false);
+    assert.deepStrictEqual(layout.audio.map(s => s.index), [1]);
+    assert.strictEqual(layout.timecode, null);
+    assert.deepStrictEqual(layout.dropped.map(d => d.stream.index), [0, 2, 3, 4, 5, 6]);
+});
+
+test('audio-only cuts build a graph without video', () => {
+    const script = pipeline.buildAudioFilterScript([{ start: 0, end: 2 }, { start: 3, end: 5 }], false, null, 1);
+    assert.doesNotMatch(script, /\[0:v\]|\[outv\]/);
+    assert.match(script, /\[a0_0\]\[a1_0\]concat=n=2:v=0:a=1\[outa0\]$/);
+});
+
+test('audio-only profiles reject files without audio', async () => {
+    const silent = { streams: [{ codec_type: 'video', codec_name: 'h264' }], format: { duration: '10' } };
+    await assert.rejects(pipeline.validateOutputProfile({ outputProfile: 'mp3' }, silent), /needs an audio track/);
+    const audio = { streams: [{ codec_type: 'audio', codec_name: 'mp3' }], format: { duration: '10' } };
+    await assert.rejects(pipeline.validateOutputProfile({ outputProfile: 'mp4-h264' }, audio), /needs a video track/);
+});
+
+// ============================================================================
+// FADES AND CROSSFADES
+// ============================================================================
+
+test('micro-fades go only on real cuts and never take more than half a segment', () => {
+    const ranges = [{ start: 0, end: 2 }, { start: 3, end: 3.01 }, { start: 3.01, end: 6 }];
+    const faded = pipeline.addCutFades(ranges, 0.02);
+    assert.deepStrictEqual(faded.map(r => [r.fadeIn, r.fadeOut].map(t => +t.toFixed(3))), [
+        [0, 0.02],
+        [0.005, 0],
+        [0, 0]
+    ]);
+    assert.strictEqual(pipeline.addCutFades(ranges, 0), ranges);
+});
+
+test('crossfades chain acrossfade per track and hard-cut video on the shortened timeline', () => {
+    const script = pipeline.buildCrossfadeScript([{ start: 0, end: 2 }, { start: 3, end: 5 }], 0.5, false, false, null, 2);
+    assert.match(script, /\[0:v\]trim=start=0\.0000:end=1\.5000,/);
+    assert.match(script, /\[0:v\]trim=start=3\.0000:end=5\.0000,/);
+    assert.match(script, /\[v0\]\[v1\]concat=n=2:v=1:a=0\[outv\]/);
+    assert.match(script, /\[a0_0\]\[a1_0\]acrossfade=d=0\.5000:c1=tri:c2=tri\[outa0\]/);
+    assert.match(script, /\[a0_1\]\[a1_1\]acrossfade=d=0\.5000:c1=tri:c2=tri\[outa1\]/);
+    assert.deepStrictEqual(pipeline.shortenForOverlap([{ start: 0, end: 2 }, { start: 3, end: 5 }], 0.5), [{ start: 0, end: 1.5 }, { start: 3, end: 5 }]);
+});
+
+test('dissolves place each xfade at the end of the chain so far', () => {
+    const ranges = [{ start: 0, end: 2 }, { start: 3, end: 5 }, { start: 6, end: 9 }];
+    const script = pipeline.buildCrossfadeScript(ranges, 0.5, true, true, 'loudnorm=I=-16', 1);
+    assert.match(script, /\[v0\]\[v1\]xfade=transition=fade:duration=0\.5000:offset=1\.5000\[vx1\]/);
+    assert.match(script, /\[vx1\]\[v2\]xfade=transition=fade:duration=0\.5000:offset=3\.0000\[outv\]/);
+    assert.match(script, /\[tmpa\]loudnorm=I=-16\[outa0\]$/);
+});
+
+// ============================================================================
+// SILENCE RANGES
+// ============================================================================
+
+test('short pauses stay in and are counted', () => {
+    const event = recorder();
+    const refined = pipeline.refineSilenceRanges([{ start: 1, end: 1.1 }, { start: 3, end: 5 }], 10, { minGapDuration: 0.2 }, event);
+    assert.deepStrictEqual(rounded(refined), [[3, 5]]);
+    assert.match(event.lines.join('\n'), /Kept 1 pause shorter than 0.2s/);
+});
+
+test('merge cuts a short island together with the pauses around it', () => {
+    const event = recorder();
+    const refined = pipeline.refineSilenceRanges(
+        [{ start: 1, end: 3 }, { start: 3.1, end: 5 }, { start: 8, end: 9 }],
+        12, { minSegmentDuration: 0.2, islandMode: 'merge' }, event
+    );
+    assert.deepStrictEqual(rounded(refined), [[1, 5], [8, 9]]);
+    assert.match(event.lines.join('\n'), /1 speech island under 0.2s merged/);
+});
+
+test('absorb leaves the shorter pause in and counts every absorbed island', () => {
+    const event = recorder();
+    // Islands at 3–3.1 and 3.3–3.4 sit either side of a 0.2 s pause, which is left in
+    const refined = pipeline.refineSilenceRanges(
+        [{ start: 1, end: 3 }, { start: 3.1, end: 3.3 }, { start: 3.4, end: 6 }, { start: 8, end: 9 }],
+        12, { minSegmentDuration: 0.2, islandMode: 'absorb' }, event
+    );
+    assert.deepStrictEqual(rounded(refined), [[1, 3], [3.4, 6], [8, 9]]);
+    assert.match(event.lines.join('\n'), /2 speech islands under 0.2s absorbed/);
+});
+
+test('islands at the start and end of the file are cut', () => {
+    const event = recorder();
+    const refined = pipeline.refineSilenceRanges([{ start: 0.1, end: 2 }, { start: 5, end: 9.9 }], 10, { minSegmentDuration: 0.2 }, event);
+    assert.deepStrictEqual(rounded(refined), [[0, 2], [5, 10]]);
+    assert.match(event.lines.join('\n'), /2 speech islands/);
+});
+
+test('talking ranges are the gaps between silences, without slivers', () => {
+    const silences = [{ start: 1, end: 2 }, { start: 2.03, end: 4 }, { start: 9, end: 10 }];
+    assert.deepStrictEqual(rounded(pipeline.calculateTalkingRanges(silences, 10)), [[0, 1], [4, 9]]);
+    assert.deepStrictEqual(rounded(pipeline.calculateTalkingRanges(silences, 10, 1)), [[4, 9]]);
+});
+
+test('pauses under the minimum cut, or under the sliver floor when it is off, stay in', () => {
+    const refined = pipeline.refineSilenceRanges([{ start: 1, end: 1.25 }, { start: 3, end: 3.04 }], 10, { minGapDuration: 0.2 }, recorder());
+    assert.deepStrictEqual(rounded(refined), [[1, 1.25]]);
+    // Off still leaves slivers below MIN_SEGMENT_DURATION in
+    const off = pipeline.refineSilenceRanges([{ start: 1, end: 1.25 }, { start: 3, end: 3.04 }], 10, { minGapDuration: 0 }, recorder());
+    assert.deepStrictEqual(rounded(off), [[1, 1.25]]);
+});
+
+// ============================================================================
+// MAX PAUSE
+// ============================================================================
+
+test('max-pause middle mode keeps the central maximum and cuts both sides', () => {
+    const cuts = pipeline.processSilenceRange(2, 5, { before: 0.1, after: 0.3 }, 1);
+    assert.deepStrictEqual(rounded(cuts), [[2, 3], [4, 5]]);
+    assert.strictEqual(cuts[0].keptPauseAfter, true);
+});
+
+test('max-pause leading mode keeps the start and the padding before speech', () => {
+    const cuts = pipeline.processSilenceRange(2, 5, { before: 0.1, after: 0.3 }, 1, 'leading');
+    assert.deepStrictEqual(rounded(cuts), [[2.9, 4.9]]);
+    // A pause already shorter than the maximum is not cut
+    assert.deepStrictEqual(pipeline.processSilenceRange(2, 2.5, 0, 1), []);
+    assert.deepStrictEqual(pipeline.processSilenceRange(2, 2.5, 0, 1, 'leading'), []);
+});
+
+test('the kept middle of a pause is neither a speech island nor a dropped sliver', () => {
+    const cuts = pipeline.processSilenceRange(2, 5, 0, 0.2);
+    const event = recorder();
+    const refined = pipeline.refineSilenceRanges(cuts, 10, { minSegmentDuration: 0.5, minGapDuration: 2 }, event);
+    assert.deepStrictEqual(rounded(refined), [[2, 3.4], [3.6, 5]]);
+    assert.deepStrictEqual(event.lines, []);
+    assert.deepStrictEqual(rounded(pipeline.calculateTalkingRanges(refined, 10, 0.5)), [[0, 2], [3.4, 3.6], [5, 10]]);
+    // Reviewed cuts come back through sanitizeSilenceRanges with the mark intact
+    assert.deepStrictEqual(pipeline.sanitizeSilenceRanges(refined, 10).map(r => !!r.keptPauseAfter), [true, false]);
+});
+
+// ============================================================================
+// PADDING
+// ============================================================================
+
+test('padding is kept after the last word and before the next one', () => {
+    const [cut] = pipeline.processSilenceRange(2, 5, { before: 0.1, after: 0.3 });
+    assert.deepStrictEqual(rounded([cut]), [[2.3, 4.9]]);
+    assert.deepStrictEqual(rounded(pipeline.processSilenceRange(2, 5, 0.5)), [[2.5, 4.5]]);
+    assert.deepStrictEqual(pipeline.processSilenceRange(2, 2.5, 0.3), []);
+});
+
+test('each side falls back to the shared padding', () => {
+    assert.deepStrictEqual(pipeline.resolvePadding({ paddingDuration: 0.06 }), { before: 0.06, after: 0.06 });
+    assert.deepStrictEqual(pipeline.resolvePadding({ paddingDuration: 0.06, paddingBefore: '', paddingAfter: '0.2' }), { before: 0.06, after: 0.2 });
+    assert.deepStrictEqual(pipeline.resolvePadding({ paddingBefore: -1, paddingAfter: 0 }), { before: 0, after: 0 });
+});
+
+// ============================================================================
+// LOUDNESS TARGETS
+// ============================================================================
+
+test('loudness presets resolve by id, with -16 LUFS as the default', () => {
+    assert.deepStrictEqual(pipeline.resolveLoudnessTarget({}), { id: 'default', label: 'Default (-16 LUFS)', I: -16, TP: -1.5, LRA: 11 });
+    assert.strictEqual(pipeline.resolveLoudnessTarget({ loudnessTarget: 'atsc' }).I, -24);
+    assert.throws(() => pipeline.resolveLoudnessTarget({ loudnessTarget: 'youtube' }), /Unknown loudness target: youtube/);
+});
+
+test('custom targets are checked against what loudnorm accepts', () => {
+    const custom = pipeline.resolveLoudnessTarget({ loudnessTarget: 'custom', loudnessI: '-19', loudnessTP: '-1', loudnessLRA: '7' });
+    assert.deepStrictEqual(custom, { id: 'custom', label: 'Custom (-19 LUFS)', I: -19, TP: -1, LRA: 7 });
+    assert.throws(() => pipeline.resolveLoudnessTarget({ loudnessTarget: 'custom', loudnessI: -3, loudnessTP: -1, loudnessLRA: 7 }), /integrated loudness must be between -70 and -5 LUFS/);
+    assert.throws(() => pipeline.resolveLoudnessTarget({ loudnessTarget: 'custom', loudnessI: -16, loudnessTP: 1, loudnessLRA: 7 }), /true peak/);
+});
+
+// ============================================================================
+// VOICE CLEANUP
+// ============================================================================
+
+test('voice cleanup stages run in a fixed order and are off by default', () => {
+    assert.strictEqual(pipeline.buildVoiceChain({}), null);
+    const log = recorder();
+    const chain = pipeline.buildVoiceChain({ voiceDynamics: 'both', voiceDeess: 'light', voiceDenoise: 'afftdn', voiceHighpass: '80' }, log);
+    assert.strictEqual(chain, 'highpass=f=80,afftdn=nr=12:nf=-40:tn=1,deesser=i=0.3,' +
+        'acompressor=threshold=0.089:ratio=3:attack=5:release=100:makeup=2,alimiter=limit=0.891:level=false');
+    assert.match(log.lines.join('\n'), /high-pass 80 Hz → FFT denoise → de-ess \(light\) → compressor, limiter/);
+});
+
+test('RNNoise uses the model when there is one and falls back to FFT without it', async (t) => {
+    const dir = await scratchDir(t);
+    t.after(() => pipeline.setDenoiseModel(null));
+
+    pipeline.setDenoiseModel(path.join(dir, 'missing.rnnn'));
+    const log = recorder();
+    assert.strictEqual(pipeline.buildVoiceChain({ voiceDenoise: 'arnndn' }, log), 'afftdn=nr=12:nf=-40:tn=1');
+    assert.match(log.lines[0], /RNNoise model not found/);
+
+    const model = path.join(dir, 'voice.rnnn');
+    fs.writeFileSync(model, '');
+    pipeline.setDenoiseModel(model);
+    const escaped = model.replace(/\\/g, '/').replace(/:/g, '\\:');
+    assert.strictEqual(pipeline.buildVoiceChain({ voiceDenoise: 'arnndn' }), `arnndn=m='${escaped}'`);
+});
+
+// ============================================================================
+// ANALYSIS TRACKS
+// ============================================================================
+
+test('analysis tracks parse from lists and strings, deduplicated and sorted', () => {
+    assert.deepStrictEqual(pipeline.parseAnalysisTracks('2,0,2'), [0, 2]);
+    assert.deepStrictEqual(pipeline.parseAnalysisTracks([1, '3']), [1, 3]);
+    assert.deepStrictEqual(pipeline.parseAnalysisTracks('x,-1,'), []);
+    assert.deepStrictEqual(pipeline.parseAnalysisTracks(undefined), []);
+});
+
+test('analysis args use the default audio unless tracks or a channel are picked', () => {
+    assert.deepStrictEqual(pipeline.analysisArgs('in.mp4', null, 'silencedetect', ['-map', '0:a:0']),
+        ['-hide_banner', '-vn', '-i', 'in.mp4', '-map', '0:a:0', '-af', 'silencedetect', '-f', 'null', '-']);
+
+    const one = pipeline.analysisArgs('in.mp4', { tracks: [1], channel: 'right' }, 'silencedetect');
+    assert.strictEqual(one[one.indexOf('-filter_complex') + 1], '[0:a:1]pan=mono|c0=c1,silencedetect[analysis]');
+
+    const mix = pipeline.analysisArgs('in.mp4', { tracks: [0, 2], channel: 'both' }, 'silencedetect');
+    assert.strictEqual(mix[mix.indexOf('-filter_complex') + 1],
+        '[0:a:0][0:a:2]amix=inputs=2:duration=longest:normalize=0,silencedetect[analysis]');
+    assert.deepStrictEqual(mix.slice(-5), ['-map', '[analysis]', '-f', 'null', '-']);
+});
+
+// ============================================================================
+// SYNCED COMPANIONS
+// ============================================================================
+
+test('companion cuts are the master cuts shifted by the offset', () => {
+    // The companion started 2 s before the master and runs 3 s past it
+    assert.deepStrictEqual(rounded(pipeline.companionSilenceRanges([{ start: 4, end: 6 }], 2, 20, 25)), [[0, 2], [6, 8], [22, 25]]);
+});
+
+test('companion cuts are clipped when the companion started later', () => {
+    // Master 0:00 is 1 s before the companion's first frame
+    assert.deepStrictEqual(rounded(pipeline.companionSilenceRanges([{ start: 0.5, end: 3 }, { start: 8, end: 9 }], -1, 10, 9)), [[0, 2], [7, 8]]);
+});
+
+test('a silent angle is cut video only', () => {
+    const ranges = [{ start: 0, end: 2 }, { start: 4, end: 6 }];
+    assert.strictEqual(pipeline.buildFilterScript(ranges, false, null, 0),
+        '[0:v]trim=start=0.0000:end=2.0000,setpts=PTS-STARTPTS[v0];' +
+        '[0:v]trim=start=4.0000:end=6.0000,setpts=PTS-STARTPTS[v1];' +
+        '[v0][v1]concat=n=2:v=1:a=0[outv]');
+
+    const layout = pipeline.getStreamLayout({ streams: [{ index: 0, codec_type: 'video', codec_name: 'h264' }] }, 'cam-b.mp4');
+    const { outputArgs } = pipeline.buildStreamArgs(layout, pipeline.getEncodingOptions('medium', false, null), 0, 1);
+    assert.ok(!outputArgs.some(arg => /outa|:a:/.test(arg)));
+});
+
+// ============================================================================
+// AUDIO SYNC
+// ============================================================================
+
+// Deterministic noise, so the correlation peak is unambiguous; each seed gives
+// an unrelated signal (not a shifted copy, as two seeds of one LCG would be)
+function noise(length, seed) {
+    const samples = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+        const x = Math.sin((i + 1) * 12.9898 * seed) * 43758.5453;
+        samples[i] = (x - Math.floor(x)) * 2 - 1;
+    }
+    return samples;
+}
+
+// correlateOffset works on samples at the sync rate (2 kHz)
+const RATE = 2000;
+
+test('correlateOffset finds a recording that started later', () => {
+    const camera = noise(RATE * 8, 7);
+    const external = camera.slice(RATE * 1.5);
+    const { offset, confidence } = pipeline.correlateOffset(camera, external, 5);
+    assert.ok(Math.abs(offset - -1.5) < 1 / RATE, `offset ${offset}`);
+    assert.ok(confidence > 0.5, `confidence ${confidence}`);
+});
+
+test('correlateOffset finds a recording that started earlier', () => {
+    const source = noise(RATE * 8, 11);
+    const camera = source.slice(RATE * 0.75);
+    const { offset } = pipeline.correlateOffset(camera, source, 5);
+    assert.ok(Math.abs(offset - 0.75) < 1 / RATE, `offset ${offset}`);
+});
+
+test('correlateOffset has low confidence for unrelated audio', () => {
+    const { confidence } = pipeline.correlateOffset(noise(RATE * 4, 3), noise(RATE * 4, 5), 2);
+    assert.ok(confidence < 0.3, `confidence ${confidence}`);
+});
+
+// ============================================================================
+// ANALYSIS CACHE
+// ============================================================================
+
+test('cache keys follow the file and the setting values, not how they were typed', async (t) => {
+    const dir = await scratchDir(t);
+    const file = path.join(dir, 'talk.wav');
+    await fs.writeFile(file, 'audio');
+    assert.strictEqual(await pipeline.analysisCacheKey('silence', [file], { silenceDb: -40 }), null);
+
+    pipeline.setAnalysisCacheDir(path.join(dir, 'cache'));
+    t.after(() => pipeline.setAnalysisCacheDir(null));
+    const key = (settings) => pipeline.analysisCacheKey('silence', [file], settings);
+    const numbers = await key({ silenceDb: -40, minSilenceDuration: 0.2, source: null });
+    assert.match(numbers, /^[0-9a-f]{40}$/);
+    assert.strictEqual(await key({ silenceDb: '-40', minSilenceDuration: '0.20', source: null }), numbers);
+    assert.notStrictEqual(await key({ silenceDb: -35, minSilenceDuration: 0.2, source: null }), numbers);
+    assert.notStrictEqual(await pipeline.analysisCacheKey('threshold', [file], { silenceDb: -40, minSilenceDuration: 0.2, source: null }), numbers);
+
+    await fs.appendFile(file, ' edited');
+    assert.notStrictEqual(await key({ silenceDb: -40, minSilenceDuration: 0.2, source: null }), numbers);
+});
@@ -0,0 +1,120 @@
+// Subtitle parsing, formatting and retiming onto the cut timeline.
+// Usage: npm test
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+    parseSrt,
+    formatSrt,
+    parseVtt,
+    formatVtt,
+    parseAss,
+    formatAss,
+    retimeCues,
+    retimeSubtitleText
+} = require('../subtitles');
+
+const SRT = [
+    '1',
+    '00:00:01,000 --> 00:00:02,500',
+    'Hello',
+    '',
+    '2',
+    '00:01:05,250 --> 00:01:07,000',
+    'Two',
+    'lines',
+    ''
+].join('\n');
+
+const VTT = [
+    'WEBVTT',
+    '',
+    'intro',
+    '00:00:01.000 --> 00:00:02.500 align:start',
+    'Hello',
+    ''
+].join('\n');
+
+const ASS = [
+    '[Script Info]',
+    'Title: Test',
+    '',
+    '[Events]',
+    'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+    'Dialogue: 0,0:00:01.00,0:00:02.50,Default,,0,0,0,,Hello, world',
+    ''
+].join('\n');
+
+// ============================================================================
+// PARSE / FORMAT
+// ============================================================================
+
+test('SRT round-trips', () => {
+    const doc = parseSrt(SRT);
+    assert.deepStrictEqual(doc.cues.map(c => [c.start, c.end, c.text]), [
+        [1, 2.5, 'Hello'],
+        [65.25, 67, 'Two\nlines']
+    ]);
+    assert.strictEqual(formatSrt(doc), SRT);
+});
+
+test('SRT parsing tolerates CRLF, a BOM and dot milliseconds', () => {
+    const doc = parseSrt('﻿1\r\n00:00:01.5 --> 00:00:02.000\r\nHi\r\n');
+    assert.deepStrictEqual(doc.cues.map(c => [c.start, c.end, c.text]), [[1.5, 2, 'Hi']]);
+});
+
+test('VTT and ASS keep everything but the times', () => {
+    const vtt = parseVtt(VTT);
+    assert.deepStrictEqual(vtt.cues.map(c => [c.start, c.end]), [[1, 2.5]]);
+    assert.strictEqual(parseVtt(formatVtt(vtt)).cues[0].text, vtt.cues[0].text);
+    assert.match(formatVtt(vtt), /00:00:01\.000 --> 00:00:02\.500 align:start/);
+
+    const ass = parseAss(ASS);
+    assert.deepStrictEqual(ass.cues.map(c => [c.start, c.end]), [[1, 2.5]]);
+    assert.match(formatAss(ass), /^Dialogue: 0,0:00:01\.00,0:00:02\.50,Default,,0,0,0,,Hello, world$/m);
+    assert.match(formatAss(ass), /^Title: Test$/m);
+});
+
+// ============================================================================
+// RETIMING
+// ============================================================================
+
+const ranges = [{ start: 0, end: 10 }, { start: 20, end: 30 }];
+
+test('cues move onto the cut timeline', () => {
+    const cues = [
+        { start: 1, end: 2 },      // first range
+        { start: 12, end: 14 },    // inside the removed pause
+        { start: 21, end: 22 },    // second range, 10 s earlier
+        { start: 9, end: 21 }      // spans the cut, clamped to the kept parts
+    ];
+    assert.deepStrictEqual(retimeCues(cues, ranges).map(c => [c.start, c.end]), [
+        [1, 2],
+        [11, 12],
+        [9, 11]
+    ]);
+});
+
+test('sped-up ranges compress their cues', () => {
+    const speedRanges = [{ start: 0, end: 10, speed: 1 }, { start: 10, end: 30, speed: 4 }];
+    assert.deepStrictEqual(retimeCues([{ start: 14, end: 18 }], speedRanges).map(c => [c.start, c.end]), [[11, 12]]);
+});
+
+test('crossfades pull every later range back by one overlap per join', () => {
+    const three = [...ranges, { start: 40, end: 50 }];
+    const retimed = retimeCues([{ start: 21, end: 22 }, { start: 41, end: 42 }, { start: 9.8, end: 20.1 }], three, 0.5);
+    assert.deepStrictEqual(retimed.map(c => [c.start, c.end].map(t => +t.toFixed(3))), [
+        [10.5, 11.5],
+        [20, 21],
+        [9.8, 10]
+    ]);
+});
+
+test('retimeSubtitleText reports kept and dropped cues', () => {
+    const result = retimeSubtitleText(SRT, 'srt', [{ start: 0, end: 5 }]);
+    assert.strictEqual(result.kept, 1);
+    assert.strictEqual(result.dropped, 1);
+    assert.match(result.text, /^1\n00:00:01,000 --> 00:00:02,500\nHello\n$/);
+    assert.throws(() => retimeSubtitleText(SRT, 'sub', ranges), /Unsupported subtitle format/);
+});